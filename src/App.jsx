@@ -4,11 +4,13 @@ import { ExpenseProvider } from './context/ExpenseContext';
 import PalmBackground from './components/PalmBackground/PalmBackground';
 import Header from './components/Header/Header';
 import Dashboard from './components/Dashboard/Dashboard';
+import SavedViews from './components/SavedViews/SavedViews';
 import FilterBar from './components/FilterBar/FilterBar';
 import ExpenseList from './components/ExpenseList/ExpenseList';
 import ExpenseForm from './components/ExpenseForm/ExpenseForm';
 import Analytics from './components/Analytics/Analytics';
 import UnsavedBanner from './components/UnsavedBanner/UnsavedBanner';
+import UndoToast from './components/UndoToast/UndoToast';
 import './App.css';
 
 function AppContent() {
@@ -31,7 +33,8 @@ function AppContent() {
           {/* Overview stats */}
           <Dashboard />
 
-          {/* Search + category filter */}
+          {/* Saved views + search and filters */}
+          <SavedViews />
           <FilterBar />
 
           {/* Expense list */}
@@ -51,6 +54,9 @@ function AppContent() {
 
       <UnsavedBanner />
 
+      {/* Undo / Redo shortcuts + toast */}
+      <UndoToast />
+
       {/* Add / Edit modal — centered overlay */}
       {showForm && (
         <ExpenseForm expenseToEdit={editingExpense} onClose={handleClose} />
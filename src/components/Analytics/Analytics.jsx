@@ -11,11 +11,20 @@
  *  • Animated transitions on data change so the viewer can track what changed.
  *  • Demo mode: when no expenses exist, engaging animated sample charts show the
  *    full capability of the analytics dashboard.
+ *  • Income never counts as spending: the spending charts see expenses only,
+ *    and a separate income-vs-expenses chart shows up once income is recorded.
+ *  • A query box narrows every chart with the search language of the expense
+ *    list (see query.js) — e.g. `tag:spring-break -cat:travel`.
  */
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import * as d3 from 'd3';
 import { useExpenses } from '../../context/ExpenseContext';
-import { CATEGORIES } from '../../utils/constants';
+import { DEFAULT_CATEGORIES, orderCategories, topLevelId } from '../../utils/categories';
+import { categorySharesOf, portionIn } from '../../utils/splits';
+import { formatCurrency } from '../../utils/formatters';
+import { isIncome, getMonthlyCashFlow } from '../../utils/cashflow';
+import { getTagTotals, tagsOf } from '../../utils/tags';
+import { parseQuery, matchesQuery } from '../../utils/query';
 import './Analytics.css';
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -31,18 +40,28 @@ function monthLabel(key) {
   return `${MONTH_ABBR[+mo - 1]} '${yr.slice(2)}`;
 }
 
-function fmt(n) {
-  return n >= 1000
-    ? `$${(n / 1000).toFixed(1)}k`
-    : `$${n.toFixed(0)}`;
+// Amounts are in the home currency; demo data is always US dollars
+function fmt(n, currency = 'USD') {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    notation: 'compact',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: Math.abs(n) >= 1000 ? 1 : 0,
+  }).format(n);
 }
 
-function fmtFull(n) {
-  return '$' + n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function fmtFull(n, currency = 'USD') {
+  return formatCurrency(n, 'en-US', currency);
 }
 
-// Category info lookup
-const CAT_MAP = Object.fromEntries(CATEGORIES.map(c => [c.value, c]));
+// Category names and tags are typed by the user and end up in tooltip HTML
+function esc(s) {
+  return String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Category info for the demo data — real data reads the user's own categories
+const CAT_MAP = Object.fromEntries(DEFAULT_CATEGORIES.map(c => [c.id, c]));
 
 // ─── Demo Data (shown when no real expenses exist) ────────────────────────────
 // 6 months of plausible student spending — total must match across both views
@@ -95,7 +114,7 @@ function useTooltip() {
 }
 
 // ─── Monthly Bar Chart ────────────────────────────────────────────────────────
-function BarChart({ data, tooltip, isDemo }) {
+function BarChart({ data, tooltip, isDemo, currency }) {
   const svgRef = useRef(null);
 
   useEffect(() => {
@@ -155,7 +174,7 @@ function BarChart({ data, tooltip, isDemo }) {
 
     // Y axis
     g.append('g')
-      .call(d3.axisLeft(y).ticks(4).tickFormat(fmt).tickSize(0))
+      .call(d3.axisLeft(y).ticks(4).tickFormat(d => fmt(d, currency)).tickSize(0))
       .call(ax => ax.select('.domain').remove())
       .call(ax => ax.selectAll('text')
         .attr('fill', 'rgba(255,255,255,0.35)')
@@ -184,12 +203,12 @@ function BarChart({ data, tooltip, isDemo }) {
         d3.select(this).interrupt().transition().duration(120).attr('fill', '#ffc627');
         tooltip.show(event,
           `<div class="tip-month">${monthLabel(d.month)}</div>
-           <div class="tip-val">${fmtFull(d.total)}</div>
+           <div class="tip-val">${fmtFull(d.total, currency)}</div>
            <div class="tip-sub">${d.count} transaction${d.count !== 1 ? 's' : ''}${isDemo ? ' · sample' : ''}</div>`);
       })
       .on('mousemove', (event, d) => tooltip.show(event,
           `<div class="tip-month">${monthLabel(d.month)}</div>
-           <div class="tip-val">${fmtFull(d.total)}</div>
+           <div class="tip-val">${fmtFull(d.total, currency)}</div>
            <div class="tip-sub">${d.count} transaction${d.count !== 1 ? 's' : ''}${isDemo ? ' · sample' : ''}</div>`))
       .on('mouseleave', function() {
         d3.select(this).interrupt().transition().duration(120).attr('fill', '#8c1d40');
@@ -210,15 +229,15 @@ function BarChart({ data, tooltip, isDemo }) {
         .delay((_, i) => i * 80)
         .duration(600).ease(d3.easeCubicOut)
         .attr('y', d => y(d.total) - 4)
-        .text(d => fmt(d.total));
+        .text(d => fmt(d.total, currency));
     }
-  }, [data, isDemo]);
+  }, [data, isDemo, currency]);
 
   return <svg ref={svgRef} className="analytics-svg" />;
 }
 
 // ─── Category Donut Chart ─────────────────────────────────────────────────────
-function DonutChart({ data, tooltip, isDemo }) {
+function DonutChart({ data, tooltip, isDemo, currency }) {
   const svgRef = useRef(null);
 
   useEffect(() => {
@@ -274,15 +293,15 @@ function DonutChart({ data, tooltip, isDemo }) {
         d3.select(this).interrupt().transition().duration(120).attr('d', hArc);
         const pct = ((d.data.total / total) * 100).toFixed(1);
         tooltip.show(event,
-          `<div class="tip-cat">${d.data.info.icon} ${d.data.info.label}</div>
-           <div class="tip-val">${fmtFull(d.data.total)}</div>
+          `<div class="tip-cat">${esc(d.data.info.icon)} ${esc(d.data.info.label)}</div>
+           <div class="tip-val">${fmtFull(d.data.total, currency)}</div>
            <div class="tip-sub">${pct}% of total · ${d.data.count} item${d.data.count !== 1 ? 's' : ''}${isDemo ? ' · sample' : ''}</div>`);
       })
       .on('mousemove', (event, d) => {
         const pct = ((d.data.total / total) * 100).toFixed(1);
         tooltip.show(event,
-          `<div class="tip-cat">${d.data.info.icon} ${d.data.info.label}</div>
-           <div class="tip-val">${fmtFull(d.data.total)}</div>
+          `<div class="tip-cat">${esc(d.data.info.icon)} ${esc(d.data.info.label)}</div>
+           <div class="tip-val">${fmtFull(d.data.total, currency)}</div>
            <div class="tip-sub">${pct}% of total · ${d.data.count} item${d.data.count !== 1 ? 's' : ''}${isDemo ? ' · sample' : ''}</div>`);
       })
       .on('mouseleave', function(event, d) {
@@ -294,18 +313,18 @@ function DonutChart({ data, tooltip, isDemo }) {
     g.append('text')
       .attr('text-anchor', 'middle').attr('dy', '-0.2em')
       .attr('fill', '#ffc627').attr('font-size', `${size * 0.07}px`).attr('font-weight', '800')
-      .text(fmt(total));
+      .text(fmt(total, currency));
     g.append('text')
       .attr('text-anchor', 'middle').attr('dy', '1.1em')
       .attr('fill', 'rgba(255,255,255,0.35)').attr('font-size', `${size * 0.045}px`)
       .text(isDemo ? 'sample' : 'total');
-  }, [data, isDemo]);
+  }, [data, isDemo, currency]);
 
   return <svg ref={svgRef} className="analytics-svg" />;
 }
 
 // ─── Trend Line Chart ─────────────────────────────────────────────────────────
-function TrendChart({ data, tooltip, isDemo }) {
+function TrendChart({ data, tooltip, isDemo, currency }) {
   const svgRef = useRef(null);
 
   useEffect(() => {
@@ -349,7 +368,7 @@ function TrendChart({ data, tooltip, isDemo }) {
         .attr('fill', 'rgba(255,255,255,0.4)').attr('font-size', '0.65rem').attr('dy', '1.2em'));
 
     // Y axis
-    g.append('g').call(d3.axisLeft(y).ticks(3).tickFormat(fmt).tickSize(0))
+    g.append('g').call(d3.axisLeft(y).ticks(3).tickFormat(d => fmt(d, currency)).tickSize(0))
       .call(ax => ax.select('.domain').remove())
       .call(ax => ax.selectAll('text')
         .attr('fill', 'rgba(255,255,255,0.35)').attr('font-size', '0.65rem'));
@@ -410,34 +429,253 @@ function TrendChart({ data, tooltip, isDemo }) {
         d3.select(this).transition().duration(100).attr('r', 7);
         tooltip.show(event,
           `<div class="tip-month">${monthLabel(d.month)}</div>
-           <div class="tip-val">${fmtFull(d.total)}</div>
+           <div class="tip-val">${fmtFull(d.total, currency)}</div>
            <div class="tip-sub">${d.count} transaction${d.count !== 1 ? 's' : ''}${isDemo ? ' · sample' : ''}</div>`);
       })
       .on('mousemove', (event, d) => tooltip.show(event,
           `<div class="tip-month">${monthLabel(d.month)}</div>
-           <div class="tip-val">${fmtFull(d.total)}</div>
+           <div class="tip-val">${fmtFull(d.total, currency)}</div>
            <div class="tip-sub">${d.count} transaction${d.count !== 1 ? 's' : ''}${isDemo ? ' · sample' : ''}</div>`))
       .on('mouseleave', function() {
         d3.select(this).transition().duration(100).attr('r', 4);
         tooltip.hide();
       });
-  }, [data, isDemo]);
+  }, [data, isDemo, currency]);
+
+  return <svg ref={svgRef} className="analytics-svg" />;
+}
+
+// ─── Income vs. Expenses Chart ────────────────────────────────────────────────
+const INCOME_COLOR  = '#7ed957';
+const EXPENSE_COLOR = '#8c1d40';
+
+function CashFlowChart({ data, tooltip, currency }) {
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const container = svgRef.current.parentElement;
+    const W = container.clientWidth || 500;
+    const H = 210;
+    const m = { top: 16, right: 16, bottom: 44, left: 54 };
+    const w = W - m.left - m.right;
+    const h = H - m.top - m.bottom;
+
+    const svg = d3.select(svgRef.current).attr('width', W).attr('height', H);
+    svg.selectAll('*').remove();
+    const g = svg.append('g').attr('transform', `translate(${m.left},${m.top})`);
+
+    if (!data.length) {
+      g.append('text')
+        .attr('x', w / 2).attr('y', h / 2)
+        .attr('text-anchor', 'middle')
+        .attr('fill', 'rgba(255,255,255,0.25)').attr('font-size', '0.8rem')
+        .text('No data for selected range');
+      return;
+    }
+
+    const x  = d3.scaleBand().domain(data.map(d => d.month)).range([0, w]).padding(0.28);
+    const xs = d3.scaleBand().domain(['income', 'expenses']).range([0, x.bandwidth()]).padding(0.08);
+    const maxVal = d3.max(data, d => Math.max(d.income, d.expenses)) || 1;
+    const minVal = Math.min(0, d3.min(data, d => d.net));
+    const y = d3.scaleLinear().domain([minVal * 1.12, maxVal * 1.12]).range([h, 0]);
+
+    // Grid
+    g.append('g').selectAll('line').data(y.ticks(4)).join('line')
+      .attr('x1', 0).attr('x2', w)
+      .attr('y1', d => y(d)).attr('y2', d => y(d))
+      .attr('stroke', d => (d === 0 ? 'rgba(255,255,255,0.18)' : 'rgba(255,255,255,0.06)'))
+      .attr('stroke-dasharray', d => (d === 0 ? null : '3,3'));
+
+    // X axis
+    g.append('g').attr('transform', `translate(0,${h})`)
+      .call(d3.axisBottom(x).tickFormat(monthLabel).tickSize(0))
+      .call(ax => ax.select('.domain').attr('stroke', 'rgba(255,255,255,0.12)'))
+      .call(ax => ax.selectAll('text')
+        .attr('fill', 'rgba(255,255,255,0.45)').attr('font-size', '0.68rem').attr('dy', '1.2em'));
+
+    // Y axis
+    g.append('g').call(d3.axisLeft(y).ticks(4).tickFormat(d => fmt(d, currency)).tickSize(0))
+      .call(ax => ax.select('.domain').remove())
+      .call(ax => ax.selectAll('text')
+        .attr('fill', 'rgba(255,255,255,0.35)').attr('font-size', '0.68rem'));
+
+    const tipHtml = (d) =>
+      `<div class="tip-month">${monthLabel(d.month)}</div>
+       <div class="tip-val">${d.net < 0 ? '−' : '+'}${fmtFull(Math.abs(d.net), currency)} net</div>
+       <div class="tip-sub">${fmtFull(d.income, currency)} in · ${fmtFull(d.expenses, currency)} out</div>`;
+
+    // Grouped bars — income and expenses side by side
+    const groups = g.selectAll('.cf-month').data(data).join('g')
+      .attr('class', 'cf-month')
+      .attr('transform', d => `translate(${x(d.month)},0)`)
+      .style('cursor', 'pointer');
+
+    groups.selectAll('rect')
+      .data(d => [
+        { key: 'income',   value: d.income,   color: INCOME_COLOR  },
+        { key: 'expenses', value: d.expenses, color: EXPENSE_COLOR },
+      ])
+      .join('rect')
+      .attr('x', d => xs(d.key))
+      .attr('width', xs.bandwidth())
+      .attr('rx', 4)
+      .attr('fill', d => d.color)
+      .attr('y', y(0))
+      .attr('height', 0)
+      .transition()
+      .delay((_, i) => i * 80)
+      .duration(600).ease(d3.easeCubicOut)
+      .attr('y', d => y(d.value))
+      .attr('height', d => y(0) - y(d.value));
+
+    groups
+      .on('mouseenter', function(event, d) {
+        d3.select(this).selectAll('rect').attr('opacity', 0.8);
+        tooltip.show(event, tipHtml(d));
+      })
+      .on('mousemove', (event, d) => tooltip.show(event, tipHtml(d)))
+      .on('mouseleave', function() {
+        d3.select(this).selectAll('rect').attr('opacity', 1);
+        tooltip.hide();
+      });
+
+    // Net line
+    const line = d3.line()
+      .x(d => x(d.month) + x.bandwidth() / 2).y(d => y(d.net))
+      .curve(d3.curveMonotoneX);
+
+    const path = g.append('path').datum(data)
+      .attr('fill', 'none')
+      .attr('stroke', '#ffc627')
+      .attr('stroke-width', 2)
+      .attr('pointer-events', 'none')
+      .attr('d', line);
+
+    const len = path.node().getTotalLength();
+    path.attr('stroke-dasharray', `${len} ${len}`)
+        .attr('stroke-dashoffset', len)
+      .transition().delay(300).duration(700).ease(d3.easeCubicOut)
+        .attr('stroke-dashoffset', 0);
+
+    g.selectAll('.cf-net').data(data).join('circle')
+      .attr('class', 'cf-net')
+      .attr('cx', d => x(d.month) + x.bandwidth() / 2)
+      .attr('cy', d => y(d.net))
+      .attr('r', 3.5)
+      .attr('fill', '#ffc627')
+      .attr('stroke', '#160722')
+      .attr('stroke-width', 1.5)
+      .attr('pointer-events', 'none');
+  }, [data, currency]);
+
+  return <svg ref={svgRef} className="analytics-svg" />;
+}
+
+// ─── Tag Breakdown Chart ──────────────────────────────────────────────────────
+const TAG_COLOR = '#4ecdc4';
+const TAG_LIMIT = 10;
+
+function TagChart({ data, tooltip, currency }) {
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const container = svgRef.current.parentElement;
+    const rows = data.slice(0, TAG_LIMIT);
+    const W = container.clientWidth || 500;
+    const rowH = 26;
+    const m = { top: 6, right: 64, bottom: 6, left: 130 };
+    const w = W - m.left - m.right;
+    const H = Math.max(rows.length, 1) * rowH + m.top + m.bottom;
+
+    const svg = d3.select(svgRef.current).attr('width', W).attr('height', H);
+    svg.selectAll('*').remove();
+    const g = svg.append('g').attr('transform', `translate(${m.left},${m.top})`);
+
+    if (!rows.length) {
+      g.append('text')
+        .attr('x', w / 2).attr('y', rowH / 2)
+        .attr('text-anchor', 'middle').attr('dominant-baseline', 'middle')
+        .attr('fill', 'rgba(255,255,255,0.25)').attr('font-size', '0.8rem')
+        .text('No tagged spending for selected range');
+      return;
+    }
+
+    const y = d3.scaleBand().domain(rows.map(d => d.tag)).range([0, rows.length * rowH]).padding(0.25);
+    const x = d3.scaleLinear().domain([0, d3.max(rows, d => d.total) || 1]).range([0, w]);
+
+    // Tag labels, truncated so long tags don't run into the bars
+    g.selectAll('.tag-label').data(rows).join('text')
+      .attr('class', 'tag-label')
+      .attr('x', -10).attr('y', d => y(d.tag) + y.bandwidth() / 2)
+      .attr('text-anchor', 'end').attr('dominant-baseline', 'middle')
+      .attr('fill', 'rgba(255,255,255,0.6)').attr('font-size', '0.72rem')
+      .text(d => `#${d.tag.length > 16 ? d.tag.slice(0, 15) + '…' : d.tag}`);
+
+    const tipHtml = (d) =>
+      `<div class="tip-cat">#${esc(d.tag)}</div>
+       <div class="tip-val">${fmtFull(d.total, currency)}</div>
+       <div class="tip-sub">${d.count} item${d.count !== 1 ? 's' : ''}</div>`;
+
+    const bars = g.selectAll('.tag-bar').data(rows).join('rect')
+      .attr('class', 'tag-bar')
+      .attr('x', 0).attr('y', d => y(d.tag))
+      .attr('height', y.bandwidth())
+      .attr('rx', 4)
+      .attr('fill', TAG_COLOR)
+      .attr('opacity', 0.75)
+      .attr('width', 0)
+      .style('cursor', 'pointer');
+
+    bars.transition()
+      .delay((_, i) => i * 60)
+      .duration(600).ease(d3.easeCubicOut)
+      .attr('width', d => x(d.total));
+
+    bars
+      .on('mouseenter', function(event, d) {
+        d3.select(this).attr('opacity', 1);
+        tooltip.show(event, tipHtml(d));
+      })
+      .on('mousemove', (event, d) => tooltip.show(event, tipHtml(d)))
+      .on('mouseleave', function() {
+        d3.select(this).attr('opacity', 0.75);
+        tooltip.hide();
+      });
+
+    g.selectAll('.tag-value').data(rows).join('text')
+      .attr('class', 'tag-value')
+      .attr('x', d => x(d.total) + 6).attr('y', d => y(d.tag) + y.bandwidth() / 2)
+      .attr('dominant-baseline', 'middle')
+      .attr('fill', 'rgba(255,198,39,0.75)').attr('font-size', '0.68rem').attr('font-weight', '700')
+      .text(d => fmt(d.total, currency));
+  }, [data, currency]);
 
   return <svg ref={svgRef} className="analytics-svg" />;
 }
 
 // ─── Main Analytics Component ─────────────────────────────────────────────────
 export default function Analytics() {
-  const { expenses } = useExpenses();
+  // Charts work on amounts converted to the home currency
+  const { homeExpenses: expenses, homeCurrency, categories, getCategory } = useExpenses();
   const [selectedCat, setSelectedCat] = useState('all');
   const [timeRange,   setTimeRange]   = useState('6months');
+  const [queryText,   setQueryText]   = useState('');
   const tooltip = useTooltip();
 
   const isDemoMode = expenses.length === 0;
 
   // ── Filter ──────────────────────────────────────────────────────────────────
-  const filtered = useMemo(() => {
-    let data = expenses;
+  const query = useMemo(() => parseQuery(queryText, categories), [queryText, categories]);
+
+  // Every transaction in the time range that matches the query — income and
+  // expenses alike. The charts count your share of a shared expense, but
+  // `amount:` compares the whole bill, as the list does, so one query finds
+  // the same entries in both
+  const inRange = useMemo(() => {
+    const billOf = (e) => e.fullAmount ?? e.amount;
+    let data = query.clauses.length ? expenses.filter(e => matchesQuery(e, query, categories, billOf)) : expenses;
     const now = new Date();
     if (timeRange === '3months') {
       const cut = new Date(now.getFullYear(), now.getMonth() - 2, 1);
@@ -448,9 +686,23 @@ export default function Analytics() {
     } else if (timeRange === 'year') {
       data = data.filter(e => new Date(e.date + 'T00:00:00').getFullYear() === now.getFullYear());
     }
-    if (selectedCat !== 'all') data = data.filter(e => e.category === selectedCat);
     return data;
-  }, [expenses, selectedCat, timeRange]);
+  }, [expenses, timeRange, query, categories]);
+
+  // Spending only — what the spending charts and stats are built from. With a
+  // category selected, split expenses contribute just their lines in it.
+  const filtered = useMemo(() => {
+    const data = inRange.filter(e => !isIncome(e));
+    if (selectedCat === 'all') return data;
+    return data.map(e => portionIn(categories, e, selectedCat)).filter(Boolean);
+  }, [inRange, selectedCat, categories]);
+
+  const cashFlowData = useMemo(() => getMonthlyCashFlow(inRange), [inRange]);
+  const hasIncome    = useMemo(() => expenses.some(isIncome), [expenses]);
+
+  // Tags overlap, so an expense counts towards each of its tags
+  const tagData = useMemo(() => getTagTotals(filtered), [filtered]);
+  const hasTags = useMemo(() => expenses.some(e => !isIncome(e) && tagsOf(e).length > 0), [expenses]);
 
   // ── Monthly aggregation ──────────────────────────────────────────────────────
   const monthlyData = useMemo(() => {
@@ -465,17 +717,22 @@ export default function Analytics() {
   }, [filtered]);
 
   // ── Category aggregation ─────────────────────────────────────────────────────
+  // Across all categories subcategories fold into their parent; with one
+  // category selected the donut breaks it down into its subcategories instead
   const categoryData = useMemo(() => {
     const map = {};
     filtered.forEach(e => {
-      if (!map[e.category]) map[e.category] = { total: 0, count: 0 };
-      map[e.category].total += e.amount;
-      map[e.category].count++;
+      categorySharesOf(e).forEach(({ category, amount }) => {
+        const key = selectedCat === 'all' ? topLevelId(categories, category) : category;
+        if (!map[key]) map[key] = { total: 0, count: 0 };
+        map[key].total += amount;
+        map[key].count++;
+      });
     });
     return Object.entries(map)
-      .map(([cat, v]) => ({ category: cat, ...v, info: CAT_MAP[cat] || { label: cat, icon: '?', color: '#888' } }))
+      .map(([cat, v]) => ({ category: cat, ...v, info: getCategory(cat) }))
       .sort((a, b) => b.total - a.total);
-  }, [filtered]);
+  }, [filtered, selectedCat, categories, getCategory]);
 
   // ── Summary stats ────────────────────────────────────────────────────────────
   const stats = useMemo(() => {
@@ -490,6 +747,7 @@ export default function Analytics() {
   const activeMonthly  = isDemoMode ? DEMO_MONTHLY  : monthlyData;
   const activeCategory = isDemoMode ? DEMO_CATEGORY : categoryData;
   const activeStats    = isDemoMode ? DEMO_STATS    : stats;
+  const activeCurrency = isDemoMode ? 'USD'         : homeCurrency;
 
   return (
     <section className="analytics" aria-label="Spending Analytics">
@@ -512,9 +770,11 @@ export default function Analytics() {
             aria-label="Filter by category"
           >
             <option value="all">All Categories</option>
-            {CATEGORIES.map(c => (
-              <option key={c.value} value={c.value}>{c.icon} {c.label}</option>
-            ))}
+            {orderCategories(categories, { type: 'expense', keep: selectedCat })
+              .filter(c => !c.parentId)
+              .map(c => (
+                <option key={c.id} value={c.id}>{c.icon} {c.label}</option>
+              ))}
           </select>
           <select
             className="analytics__select"
@@ -528,8 +788,25 @@ export default function Analytics() {
             <option value="year">This Year</option>
             <option value="all">All Time</option>
           </select>
+          <input
+            type="search"
+            className={`analytics__query ${query.errors.length ? 'analytics__query--error' : ''}`}
+            value={queryText}
+            onChange={e => setQueryText(e.target.value)}
+            placeholder="Query… e.g. tag:trip amount:>20"
+            disabled={isDemoMode}
+            aria-label="Filter charts by query"
+            aria-invalid={query.errors.length > 0}
+          />
         </div>
       </div>
+      {query.errors.length > 0 && (
+        <ul className="analytics__query-errors" role="alert">
+          {query.errors.map(({ token, message }, i) => (
+            <li key={i}><code>{token}</code> {message} — left out of the query.</li>
+          ))}
+        </ul>
+      )}
 
       {/* ── Demo Banner ── */}
       {isDemoMode && (
@@ -548,11 +825,11 @@ export default function Analytics() {
       {/* ── Summary Stats Row ── */}
       <div className="analytics__stats">
         <div className="analytics__stat">
-          <span className="analytics__stat-val">{fmtFull(activeStats.total)}</span>
+          <span className="analytics__stat-val">{fmtFull(activeStats.total, activeCurrency)}</span>
           <span className="analytics__stat-label">Total Spent</span>
         </div>
         <div className="analytics__stat">
-          <span className="analytics__stat-val">{fmtFull(activeStats.avgMonth)}</span>
+          <span className="analytics__stat-val">{fmtFull(activeStats.avgMonth, activeCurrency)}</span>
           <span className="analytics__stat-label">Avg / Month</span>
         </div>
         <div className="analytics__stat">
@@ -575,7 +852,7 @@ export default function Analytics() {
             <span className="analytics__card-hint">{isDemoMode ? 'sample data' : 'hover for details'}</span>
           </div>
           <div className="analytics__chart-wrap">
-            <BarChart data={activeMonthly} tooltip={tooltip} isDemo={isDemoMode} />
+            <BarChart data={activeMonthly} tooltip={tooltip} isDemo={isDemoMode} currency={activeCurrency} />
           </div>
         </div>
 
@@ -588,7 +865,7 @@ export default function Analytics() {
             </div>
             <div className="analytics__donut-wrap">
               <div className="analytics__chart-wrap analytics__chart-wrap--donut">
-                <DonutChart data={activeCategory} tooltip={tooltip} isDemo={isDemoMode} />
+                <DonutChart data={activeCategory} tooltip={tooltip} isDemo={isDemoMode} currency={activeCurrency} />
               </div>
               {/* Legend */}
               <div className="analytics__legend">
@@ -614,11 +891,43 @@ export default function Analytics() {
               <span className="analytics__card-hint">{isDemoMode ? 'sample data' : 'hover dots'}</span>
             </div>
             <div className="analytics__chart-wrap">
-              <TrendChart data={activeMonthly} tooltip={tooltip} isDemo={isDemoMode} />
+              <TrendChart data={activeMonthly} tooltip={tooltip} isDemo={isDemoMode} currency={activeCurrency} />
             </div>
           </div>
         </div>
 
+        {/* Income vs. expenses */}
+        {hasIncome && (
+          <div className="analytics__card analytics__card--cashflow">
+            <div className="analytics__card-header">
+              <span className="analytics__card-title">Income vs. Expenses</span>
+              <span className="analytics__cashflow-key">
+                <span className="analytics__legend-dot" style={{ background: INCOME_COLOR }} /> Income
+                <span className="analytics__legend-dot" style={{ background: EXPENSE_COLOR }} /> Expenses
+                <span className="analytics__cashflow-net" /> Net
+              </span>
+            </div>
+            <div className="analytics__chart-wrap">
+              <CashFlowChart data={cashFlowData} tooltip={tooltip} currency={homeCurrency} />
+            </div>
+          </div>
+        )}
+
+        {/* Spending by tag */}
+        {hasTags && (
+          <div className="analytics__card analytics__card--tags">
+            <div className="analytics__card-header">
+              <span className="analytics__card-title">By Tag</span>
+              <span className="analytics__card-hint">
+                {tagData.length > TAG_LIMIT ? `top ${TAG_LIMIT} · ` : ''}items with several tags count toward each
+              </span>
+            </div>
+            <div className="analytics__chart-wrap">
+              <TagChart data={tagData} tooltip={tooltip} currency={homeCurrency} />
+            </div>
+          </div>
+        )}
+
       </div>
     </section>
   );
@@ -0,0 +1,89 @@
+/**
+ * AttachmentPicker — the form's receipt field: pick images or PDFs, see
+ * them as thumbnails and take them off again before saving.
+ *
+ * Works on the form's draft: `kept` are entries already stored for the
+ * expense, `added` are new picks `{ meta, file }` that ExpenseForm stores
+ * on submit.
+ */
+import React, { useRef, useState } from 'react';
+import { useExpenses } from '../../context/ExpenseContext';
+import { ATTACHMENT_RULES, checkFiles, describeAttachment } from '../../utils/attachments';
+import { AttachmentThumb } from '../AttachmentViewer/AttachmentViewer';
+import './AttachmentPicker.css';
+
+export default function AttachmentPicker({ kept, added, onChange }) {
+  const { canAttach } = useExpenses();
+  const inputRef = useRef(null);
+  const [errors, setErrors] = useState([]);
+  const count = kept.length + added.length;
+
+  function pick(e) {
+    const { accepted, errors: rejected } = checkFiles([...e.target.files], count);
+    setErrors(rejected);
+    if (accepted.length) {
+      onChange({ kept, added: [...added, ...accepted.map((file) => ({ meta: describeAttachment(file), file }))] });
+    }
+    // Lets the same file be picked again after removing it
+    e.target.value = '';
+  }
+
+  function remove(id) {
+    setErrors([]);
+    onChange({
+      kept:  kept.filter((a) => a.id !== id),
+      added: added.filter((a) => a.meta.id !== id),
+    });
+  }
+
+  if (!canAttach && !kept.length) {
+    return <p className="att-picker__hint">📎 Sign in to attach receipts — files are kept in this browser.</p>;
+  }
+
+  const items = [...kept.map((meta) => ({ meta })), ...added];
+
+  return (
+    <div className="att-picker">
+      {items.length > 0 && (
+        <ul className="att-picker__list">
+          {items.map(({ meta, file }) => (
+            <li key={meta.id} className="att-picker__item">
+              <AttachmentThumb attachment={meta} file={file} />
+              <span className="att-picker__name" title={meta.name}>{meta.name}</span>
+              <button
+                type="button"
+                className="att-picker__remove"
+                onClick={() => remove(meta.id)}
+                aria-label={`Remove ${meta.name}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canAttach && count < ATTACHMENT_RULES.maxFiles && (
+        <>
+          <input
+            ref={inputRef}
+            type="file"
+            accept={ATTACHMENT_RULES.accept}
+            multiple
+            onChange={pick}
+            className="att-picker__input"
+            tabIndex={-1}
+            aria-hidden="true"
+          />
+          <button type="button" className="ef-link-btn" onClick={() => inputRef.current?.click()}>
+            📎 Attach receipt
+          </button>
+        </>
+      )}
+
+      {errors.map((msg) => (
+        <p key={msg} className="ef-error-msg" role="alert">{msg}</p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+/**
+ * AttachmentViewer — full-size view of an expense's receipt files, one at
+ * a time (← / → to move between them, Escape to close), with a download
+ * link. Rendered into document.body: expense cards move on hover, and a
+ * transformed parent would trap a fixed overlay inside the card.
+ *
+ * AttachmentThumb is the small preview used on expense cards and in the
+ * form — the stored thumbnail for images, a 📄 tile for PDFs.
+ */
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useExpenses } from '../../context/ExpenseContext';
+import { isImage, isPdf, formatFileSize } from '../../utils/attachments';
+import './AttachmentViewer.css';
+
+/**
+ * Object URL for a stored file (or a Blob already in hand), revoked when
+ * no longer shown. `enabled: false` skips loading altogether.
+ */
+function useFileUrl(attachment, part, blob, enabled = true) {
+  const { loadAttachment } = useExpenses();
+  const [state, setState] = useState({ url: null, missing: false });
+
+  useEffect(() => {
+    let cancelled = false;
+    let url = null;
+    setState({ url: null, missing: false });
+    if (!enabled) return undefined;
+    (blob ? Promise.resolve(blob) : loadAttachment(attachment, part))
+      .then((found) => {
+        if (cancelled) return;
+        if (!found) { setState({ url: null, missing: true }); return; }
+        url = URL.createObjectURL(found);
+        setState({ url, missing: false });
+      })
+      .catch((err) => {
+        console.error('[AttachmentViewer] Could not load attachment', err);
+        if (!cancelled) setState({ url: null, missing: true });
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [attachment.id, part, blob, enabled, loadAttachment]);
+
+  return state;
+}
+
+/** @param {Blob} [file]  preview a file not stored yet (the form's new picks) */
+export function AttachmentThumb({ attachment, file, onClick }) {
+  // Thumbnails are only made for images; a picked file previews itself
+  const { url } = useFileUrl(attachment, 'thumb', file, isImage(attachment));
+  const Tag = onClick ? 'button' : 'span';
+
+  return (
+    <Tag
+      {...(onClick && { type: 'button', onClick })}
+      className="att-thumb"
+      title={`${attachment.name} (${formatFileSize(attachment.size)})`}
+      aria-label={onClick ? `View ${attachment.name}` : undefined}
+    >
+      {url && isImage(attachment) ? (
+        <img src={url} alt="" className="att-thumb__img" />
+      ) : (
+        <span className="att-thumb__icon">{isPdf(attachment) ? '📄' : '🖼️'}</span>
+      )}
+    </Tag>
+  );
+}
+
+export default function AttachmentViewer({ attachments, startIndex = 0, onClose }) {
+  const [index, setIndex] = useState(startIndex);
+  const attachment = attachments[index];
+  const { url, missing } = useFileUrl(attachment, 'file');
+  const many = attachments.length > 1;
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowRight' && many) setIndex((i) => (i + 1) % attachments.length);
+      else if (e.key === 'ArrowLeft' && many) setIndex((i) => (i - 1 + attachments.length) % attachments.length);
+    };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [onClose, many, attachments.length]);
+
+  return createPortal(
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="att-viewer" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Attachment viewer">
+        <div className="rm-header">
+          <div className="att-viewer__title">
+            <h2 title={attachment.name}>{attachment.name}</h2>
+            <span className="att-viewer__meta">
+              {formatFileSize(attachment.size)}{many && ` · ${index + 1} of ${attachments.length}`}
+            </span>
+          </div>
+          <div className="att-viewer__actions">
+            {url && (
+              <a href={url} download={attachment.name} className="rm-btn">Download</a>
+            )}
+            <button className="modal-close" onClick={onClose} aria-label="Close">✕</button>
+          </div>
+        </div>
+
+        <div className="att-viewer__body">
+          {many && (
+            <button
+              className="att-viewer__nav att-viewer__nav--prev"
+              onClick={() => setIndex((i) => (i - 1 + attachments.length) % attachments.length)}
+              aria-label="Previous file"
+            >
+              ‹
+            </button>
+          )}
+          {missing ? (
+            <p className="att-viewer__missing">
+              This file is not stored on this device — attachments stay in the browser they were added in.
+            </p>
+          ) : !url ? (
+            <p className="att-viewer__missing">Loading…</p>
+          ) : isPdf(attachment) ? (
+            <iframe src={url} title={attachment.name} className="att-viewer__pdf" />
+          ) : (
+            <img src={url} alt={attachment.name} className="att-viewer__img" />
+          )}
+          {many && (
+            <button
+              className="att-viewer__nav att-viewer__nav--next"
+              onClick={() => setIndex((i) => (i + 1) % attachments.length)}
+              aria-label="Next file"
+            >
+              ›
+            </button>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
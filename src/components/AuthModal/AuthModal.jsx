@@ -6,11 +6,13 @@
  *   Step 'password' → returning user: show stored name/avatar, ask for password
  *   Step 'register' → new user: collect name, password, confirm, avatar colour
  *   Step 'success'  → auto-closes after 1.6 s
+ *
+ * With `lockedAccount` (a session restored after refresh) it opens straight
+ * on the password step for that account, since the data key is only ever
+ * derived from the password.
  */
 import React, { useState, useCallback, useRef } from 'react';
 import { useAuth } from '../../context/AuthContext';
-import { loadUserData, emailToUserId } from '../../utils/userStorage';
-import { md5 } from '../../utils/md5';
 import './AuthModal.css';
 
 const AVATAR_COLORS = [
@@ -22,11 +24,6 @@ function getInitials(name) {
   return name.trim().split(/\s+/).map(w => w[0]?.toUpperCase() ?? '').slice(0, 2).join('');
 }
 
-function hashPassword(password, email) {
-  // Salted with email so the same password produces different hashes per account
-  return md5(password + ':asu:' + email.toLowerCase().trim());
-}
-
 // ── Small components ───────────────────────────────────────────────────────────
 function PasswordInput({ id, label, value, onChange, autoFocus, placeholder = '••••••••' }) {
   const [visible, setVisible] = useState(false);
@@ -59,33 +56,44 @@ function PasswordInput({ id, label, value, onChange, autoFocus, placeholder = '
 }
 
 // ── Main component ─────────────────────────────────────────────────────────────
-export default function AuthModal({ onClose, guestExpenseCount = 0 }) {
-  const { signIn } = useAuth();
+export default function AuthModal({ onClose, guestExpenseCount = 0, lockedAccount = null }) {
+  const { signIn, lookupAccount } = useAuth();
 
-  const [step,    setStep]    = useState('email');  // 'email'|'password'|'register'|'success'
-  const [email,   setEmail]   = useState('');
+  const [step,    setStep]    = useState(lockedAccount ? 'password' : 'email');  // 'email'|'password'|'register'|'success'
+  const [email,   setEmail]   = useState(lockedAccount?.email ?? '');
   const [name,    setName]    = useState('');
   const [pw,      setPw]      = useState('');
   const [pwConf,  setPwConf]  = useState('');
   const [color,   setColor]   = useState(AVATAR_COLORS[0]);
   const [errors,  setErrors]  = useState({});
   const [authErr, setAuthErr] = useState('');
-  const [stored,  setStored]  = useState(null);   // profile of returning user
+  const [stored,  setStored]  = useState(lockedAccount);   // profile of returning user
+  const [busy,    setBusy]    = useState(false);  // password hashing takes a moment
 
   const emailRef = useRef(null);
 
   // ── Step 1: email lookup ─────────────────────────────────────────────────────
-  function handleEmailSubmit(e) {
+  async function handleEmailSubmit(e) {
     e.preventDefault();
     const trimmed = email.trim().toLowerCase();
     if (!trimmed || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) {
       setErrors({ email: 'Enter a valid email address.' });
       return;
     }
-    const id   = emailToUserId(trimmed);
-    const data = loadUserData(id);
-    if (data?.profile) {
-      setStored(data.profile);
+    // Reading the stored account can fail too — storage blocked or a damaged record
+    let profile;
+    setBusy(true);
+    try {
+      profile = await lookupAccount(trimmed);
+    } catch (err) {
+      console.error('[AuthModal] Account lookup failed', err);
+      setErrors({ email: 'Could not read the saved accounts in this browser. Please try again.' });
+      return;
+    } finally {
+      setBusy(false);
+    }
+    if (profile) {
+      setStored(profile);
       setStep('password');
     } else {
       setStep('register');
@@ -94,22 +102,38 @@ export default function AuthModal({ onClose, guestExpenseCount = 0 }) {
     setPw(''); setPwConf('');
   }
 
+  // Hashing, key derivation and the first save can throw — no WebCrypto on
+  // an insecure origin, storage full — so the panel never stays busy
+  const trySignIn = useCallback(async (profile, password) => {
+    setBusy(true);
+    try {
+      return await signIn(profile, password);
+    } catch (err) {
+      console.error('[AuthModal] Sign-in failed', err);
+      return {
+        success: false,
+        error:   'Signing in failed — this browser may not allow encryption on this page, or its storage is full. Please try again.',
+      };
+    } finally {
+      setBusy(false);
+    }
+  }, [signIn]);
+
   // ── Step 2a: returning user password check ───────────────────────────────────
-  const handlePasswordSubmit = useCallback((e) => {
+  const handlePasswordSubmit = useCallback(async (e) => {
     e.preventDefault();
     if (!pw) { setErrors({ pw: 'Please enter your password.' }); return; }
     setErrors({});
 
-    const hash   = hashPassword(pw, email.trim());
-    const result = signIn({ ...stored, email: email.trim().toLowerCase() }, hash);
+    const result = await trySignIn({ ...stored, email: email.trim().toLowerCase() }, pw);
     if (!result.success) { setAuthErr(result.error); return; }
     setAuthErr('');
     setStep('success');
     setTimeout(onClose, 1600);
-  }, [pw, email, stored, signIn, onClose]);
+  }, [pw, email, stored, trySignIn, onClose]);
 
   // ── Step 2b: new user registration ──────────────────────────────────────────
-  const handleRegisterSubmit = useCallback((e) => {
+  const handleRegisterSubmit = useCallback(async (e) => {
     e.preventDefault();
     const errs = {};
     if (!name.trim())           errs.name   = 'Full name is required.';
@@ -125,12 +149,11 @@ export default function AuthModal({ onClose, guestExpenseCount = 0 }) {
       color,
       avatar: getInitials(name),
     };
-    const hash   = hashPassword(pw, profile.email);
-    const result = signIn(profile, hash);
+    const result = await trySignIn(profile, pw);
     if (!result.success) { setAuthErr(result.error); return; }
     setStep('success');
     setTimeout(onClose, 1600);
-  }, [name, pw, pwConf, color, email, signIn, onClose]);
+  }, [name, pw, pwConf, color, email, trySignIn, onClose]);
 
   // ── Render ────────────────────────────────────────────────────────────────────
   return (
@@ -160,7 +183,9 @@ export default function AuthModal({ onClose, guestExpenseCount = 0 }) {
               />
               {errors.email && <span className="auth-err">{errors.email}</span>}
             </div>
-            <button type="submit" className="auth-form__submit">Continue →</button>
+            <button type="submit" className="auth-form__submit" disabled={busy}>
+              {busy ? 'Looking up…' : 'Continue →'}
+            </button>
             <p className="auth-modal__notice">🔒 All data stays in your browser — no server, no tracking.</p>
           </form>
         </>
@@ -184,6 +209,9 @@ export default function AuthModal({ onClose, guestExpenseCount = 0 }) {
               <div className="auth-returning__email">{email.trim().toLowerCase()}</div>
             </div>
           </div>
+          {lockedAccount?.email === email.trim().toLowerCase() && (
+            <p className="auth-modal__sub">🔒 Your data is encrypted — enter your password to unlock it.</p>
+          )}
 
           <form className="auth-form" onSubmit={handlePasswordSubmit} noValidate>
             <div className={errors.pw ? 'auth-field--err' : ''}>
@@ -203,7 +231,9 @@ export default function AuthModal({ onClose, guestExpenseCount = 0 }) {
               </div>
             )}
 
-            <button type="submit" className="auth-form__submit">🔓 Sign In</button>
+            <button type="submit" className="auth-form__submit" disabled={busy}>
+              {busy ? 'Checking…' : '🔓 Sign In'}
+            </button>
           </form>
         </>
       )}
@@ -268,7 +298,9 @@ export default function AuthModal({ onClose, guestExpenseCount = 0 }) {
 
             {authErr && <div className="auth-err-banner"><span>⚠️</span> {authErr}</div>}
 
-            <button type="submit" className="auth-form__submit">✅ Create Account</button>
+            <button type="submit" className="auth-form__submit" disabled={busy}>
+              {busy ? 'Creating…' : '✅ Create Account'}
+            </button>
             <p className="auth-modal__notice">🔒 All data stays in your browser — no server, no tracking.</p>
           </form>
         </>
@@ -0,0 +1,193 @@
+/**
+ * BackupModal — export the signed-in account to a JSON file and restore it.
+ *
+ * Restore modes:
+ *   'merge'   → expenses are matched by id; new ones are added and, where
+ *               both copies changed, the most recently updated one wins
+ *   'replace' → the account's expenses, budgets and recurring rules are
+ *               swapped for the backup's
+ */
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useExpenses } from '../../context/ExpenseContext';
+import { createBackup, downloadBackup, parseBackup, mergeExpenses } from '../../utils/backup';
+import { formatDate } from '../../utils/formatters';
+import './BackupModal.css';
+
+export default function BackupModal({ onClose }) {
+  const { currentUser } = useAuth();
+  const {
+    expenses, monthlyBudget, categoryBudgets, recurring, homeCurrency, exchangeRates, categories,
+    people, settlements, trash, trashDays, savedViews, listGrouping, restoreBackup,
+  } = useExpenses();
+  // The trash is part of the data: backed up, and merged into like the rest
+  const allExpenses = [...expenses, ...trash];
+
+  const [pending, setPending] = useState(null);   // { backup, skipped, fileName }
+  const [mode,    setMode]    = useState('merge');
+  const [error,   setError]   = useState('');
+  const [report,  setReport]  = useState(null);
+
+  function handleExport() {
+    downloadBackup(createBackup(currentUser, {
+      expenses: allExpenses, budget: monthlyBudget, categoryBudgets, recurring, homeCurrency, exchangeRates,
+      categories, people, settlements, trashDays, savedViews, listGrouping,
+    }));
+  }
+
+  function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { backup, error: parseError, skipped } = parseBackup(String(reader.result));
+      if (!backup) { setError(parseError); setPending(null); return; }
+      setError('');
+      setReport(null);
+      setPending({ backup, skipped, fileName: file.name });
+    };
+    reader.onerror = () => setError('Could not read that file.');
+    reader.readAsText(file);
+  }
+
+  function handleRestore() {
+    const { backup, skipped } = pending;
+
+    if (mode === 'replace') {
+      restoreBackup({
+        expenses:        backup.expenses,
+        budget:          backup.budget,
+        categoryBudgets: backup.categoryBudgets,
+        recurring:       backup.recurring,
+        homeCurrency:    backup.homeCurrency,
+        exchangeRates:   backup.exchangeRates,
+        categories:      backup.categories,
+        people:          backup.people,
+        settlements:     backup.settlements,
+        trashDays:       backup.trashDays,
+        savedViews:      backup.savedViews,
+        listGrouping:    backup.listGrouping,
+      });
+      setReport({ mode, added: backup.expenses.length, updated: 0, unchanged: 0, conflicts: [], skipped });
+    } else {
+      const merged = mergeExpenses(allExpenses, backup.expenses);
+      const ruleIds = new Set(recurring.map((r) => r.id));
+      const rateIds = new Set(exchangeRates.map((r) => r.id));
+      const catIds  = new Set(categories.map((c) => c.id));
+      const personIds  = new Set(people.map((p) => p.id));
+      const paymentIds = new Set(settlements.map((s) => s.id));
+      const viewIds    = new Set(savedViews.map((v) => v.id));
+      restoreBackup({
+        expenses:        merged.expenses,
+        budget:          monthlyBudget || backup.budget,
+        categoryBudgets: { ...backup.categoryBudgets, ...categoryBudgets },
+        recurring:       [...recurring, ...backup.recurring.filter((r) => !ruleIds.has(r.id))],
+        homeCurrency,
+        exchangeRates:   [...exchangeRates, ...backup.exchangeRates.filter((r) => !rateIds.has(r.id))],
+        categories:      [...categories, ...backup.categories.filter((c) => !catIds.has(c.id))],
+        people:          [...people, ...backup.people.filter((p) => !personIds.has(p.id))],
+        settlements:     [...settlements, ...backup.settlements.filter((s) => !paymentIds.has(s.id))],
+        trashDays,
+        savedViews:      [...savedViews, ...backup.savedViews.filter((v) => !viewIds.has(v.id))],
+        listGrouping,
+      });
+      setReport({ mode, ...merged, skipped });
+    }
+    setPending(null);
+  }
+
+  const otherAccount = pending && pending.backup.profile?.email &&
+    pending.backup.profile.email !== currentUser?.email;
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="backup-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="bm-header">
+          <h2>Backup &amp; Restore</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        <div className="bm-body">
+          {/* ── Export ── */}
+          <section className="bm-section">
+            <h3>Export</h3>
+            <p>
+              Download all {expenses.length} expense{expenses.length !== 1 ? 's' : ''}
+              {trash.length > 0 && ` (and ${trash.length} in the trash)`}, budgets and
+              recurring rules as a JSON file. Your password is never included.
+            </p>
+            <button className="btn-save" onClick={handleExport}>⬇ Download backup</button>
+          </section>
+
+          {/* ── Import ── */}
+          <section className="bm-section">
+            <h3>Restore</h3>
+            <label className="bm-file">
+              <input type="file" accept=".json,application/json" onChange={handleFile} />
+              <span>📂 Choose backup file…</span>
+            </label>
+
+            {error && <p className="bm-error">{error}</p>}
+
+            {pending && (
+              <div className="bm-pending">
+                <p>
+                  <strong>{pending.fileName}</strong> — {pending.backup.expenses.length} expenses
+                  {pending.backup.exportedAt && <> from {formatDate(pending.backup.exportedAt.slice(0, 10))}</>}
+                </p>
+                {otherAccount && (
+                  <p className="bm-warn">⚠️ This backup belongs to {pending.backup.profile.email}.</p>
+                )}
+                {pending.skipped > 0 && (
+                  <p className="bm-warn">⚠️ {pending.skipped} malformed entr{pending.skipped !== 1 ? 'ies' : 'y'} will be skipped.</p>
+                )}
+                <div className="bm-modes" role="radiogroup" aria-label="Restore mode">
+                  <label className={`bm-mode ${mode === 'merge' ? 'bm-mode--active' : ''}`}>
+                    <input type="radio" name="bm-mode" value="merge" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                    <strong>Merge</strong>
+                    <span>Add missing expenses; newest copy wins on conflicts</span>
+                  </label>
+                  <label className={`bm-mode ${mode === 'replace' ? 'bm-mode--active' : ''}`}>
+                    <input type="radio" name="bm-mode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                    <strong>Replace</strong>
+                    <span>Discard current data and use the backup</span>
+                  </label>
+                </div>
+                <div className="bm-actions">
+                  <button className="btn-cancel" onClick={() => setPending(null)}>Cancel</button>
+                  <button className="btn-save" onClick={handleRestore}>
+                    {mode === 'replace' ? 'Replace my data' : 'Merge backup'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {report && (
+              <div className="bm-report" role="status">
+                <p>
+                  ✅ {report.mode === 'replace' ? 'Restored' : 'Added'} <strong>{report.added}</strong>
+                  {report.mode === 'merge' && <>, updated <strong>{report.updated}</strong>, {report.unchanged} already up to date</>}
+                  {report.skipped > 0 && <>, skipped {report.skipped} malformed</>}.
+                </p>
+                {report.conflicts.length > 0 && (
+                  <>
+                    <p>{report.conflicts.length} conflict{report.conflicts.length !== 1 ? 's' : ''} resolved:</p>
+                    <ul className="bm-conflicts">
+                      {report.conflicts.map((c) => (
+                        <li key={c.id}>
+                          <span>{c.title}</span>
+                          <span className="bm-conflicts__kept">kept {c.kept === 'backup' ? 'backup copy' : 'current copy'}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,25 +1,71 @@
 import React, { useState } from 'react';
 import { useExpenses } from '../../context/ExpenseContext';
+import { CURRENCIES } from '../../utils/constants';
 import { formatCurrency } from '../../utils/formatters';
 import './BudgetModal.css';
 
+// Spending rolls up into top-level categories, so that is where limits are set.
+// An archived category keeps its row only while it still has a limit.
+function budgetCategories(categories, categoryBudgets) {
+  return categories.filter((c) =>
+    c.type === 'expense' && !c.parentId && (!c.archived || categoryBudgets[c.id] > 0)
+  );
+}
+
+function toInputValues(categories, categoryBudgets) {
+  return Object.fromEntries(
+    categories.map((c) => [c.id, categoryBudgets[c.id] > 0 ? String(categoryBudgets[c.id]) : ''])
+  );
+}
+
 export default function BudgetModal({ onClose }) {
-  const { monthlyBudget, setBudget } = useExpenses();
+  const {
+    monthlyBudget, setBudget, categoryBudgets, setCategoryBudgets, homeCurrency, categories,
+  } = useExpenses();
+  const [rows] = useState(() => budgetCategories(categories, categoryBudgets));
   const [value, setValue] = useState(monthlyBudget > 0 ? String(monthlyBudget) : '');
+  const [catValues, setCatValues] = useState(() => toInputValues(rows, categoryBudgets));
   const [error, setError] = useState('');
 
+  // Budgets are in the home currency
+  const money  = (n) => formatCurrency(n, 'en-US', homeCurrency);
+  const symbol = CURRENCIES.find((c) => c.value === homeCurrency)?.symbol ?? homeCurrency;
+
+  const hasAnyBudget = monthlyBudget > 0 || Object.values(categoryBudgets).some((b) => b > 0);
+  const categorySum  = Object.values(catValues).reduce((s, v) => s + (parseFloat(v) || 0), 0);
+
   function handleSave() {
-    const num = parseFloat(value);
-    if (!value || isNaN(num) || num < 0) {
+    const num = value === '' ? 0 : parseFloat(value);
+    if (isNaN(num) || num < 0) {
+      setError('Please enter a valid non-negative number.');
+      return;
+    }
+
+    const nextCategoryBudgets = {};
+    for (const cat of rows) {
+      const raw = catValues[cat.id];
+      if (raw === '') continue;
+      const n = parseFloat(raw);
+      if (isNaN(n) || n < 0) {
+        setError(`Please enter a valid non-negative number for ${cat.label}.`);
+        return;
+      }
+      if (n > 0) nextCategoryBudgets[cat.id] = n;
+    }
+
+    if (num === 0 && Object.keys(nextCategoryBudgets).length === 0 && !hasAnyBudget) {
       setError('Please enter a valid non-negative number.');
       return;
     }
+
     setBudget(num);
+    setCategoryBudgets(nextCategoryBudgets);
     onClose();
   }
 
   function handleClear() {
     setBudget(0);
+    setCategoryBudgets({});
     onClose();
   }
 
@@ -33,14 +79,14 @@ export default function BudgetModal({ onClose }) {
 
         {monthlyBudget > 0 && (
           <p className="budget-modal__current">
-            Current budget: <strong>{formatCurrency(monthlyBudget)}</strong>
+            Current budget: <strong>{money(monthlyBudget)}</strong>
           </p>
         )}
 
         <div className="budget-modal__body">
-          <label htmlFor="budget-input">Set your monthly budget (USD)</label>
+          <label htmlFor="budget-input">Set your monthly budget ({homeCurrency})</label>
           <div className="budget-input-wrap">
-            <span className="currency-prefix">$</span>
+            <span className="currency-prefix">{symbol}</span>
             <input
               id="budget-input"
               type="number"
@@ -52,12 +98,46 @@ export default function BudgetModal({ onClose }) {
               autoFocus
             />
           </div>
+
+          <div className="budget-categories">
+            <div className="budget-categories__head">
+              <span>Per-category limits <span className="budget-categories__optional">optional</span></span>
+              {categorySum > 0 && (
+                <span className="budget-categories__sum">{money(categorySum)} allocated</span>
+              )}
+            </div>
+            <div className="budget-categories__list">
+              {rows.map((cat) => (
+                <label key={cat.id} className="budget-cat-row">
+                  <span className="budget-cat-row__icon">{cat.icon}</span>
+                  <span className="budget-cat-row__label">{cat.label}</span>
+                  <span className="budget-input-wrap budget-input-wrap--small">
+                    <span className="currency-prefix">{symbol}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="—"
+                      value={catValues[cat.id]}
+                      onChange={(e) => {
+                        const v = e.target.value;
+                        setCatValues((prev) => ({ ...prev, [cat.id]: v }));
+                        setError('');
+                      }}
+                      aria-label={`${cat.label} monthly budget`}
+                    />
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
           {error && <p className="budget-error">{error}</p>}
         </div>
 
         <div className="budget-modal__footer">
-          {monthlyBudget > 0 && (
-            <button className="btn-clear-budget" onClick={handleClear}>Clear Budget</button>
+          {hasAnyBudget && (
+            <button className="btn-clear-budget" onClick={handleClear}>Clear Budgets</button>
           )}
           <button className="btn-cancel" onClick={onClose}>Cancel</button>
           <button className="btn-save" onClick={handleSave}>Save</button>
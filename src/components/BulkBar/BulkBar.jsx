@@ -0,0 +1,187 @@
+/**
+ * BulkBar — batch actions for the entries picked in the expense list.
+ *
+ * Sticks to the bottom of the list while picking. Each action is one edit
+ * of the whole selection (see bulk.js), so a single Undo puts it all back.
+ * A category only goes onto entries of its own type and not onto split
+ * ones, and a date shift never moves an entry past today; the bar says how
+ * many it will leave as they are.
+ */
+import React, { useState } from 'react';
+import { useExpenses } from '../../context/ExpenseContext';
+import { orderCategories, categoryPath, findCategory } from '../../utils/categories';
+import {
+  MAX_SHIFT_DAYS, canRecategorize, canShiftDate, parseTagList, expensesToCsv, downloadCsv,
+} from '../../utils/bulk';
+import { getTodayString } from '../../utils/formatters';
+import './BulkBar.css';
+
+export default function BulkBar({ selected, total, onSelectAll, onClear, onDone }) {
+  const { categories, bulkSetCategory, bulkEditTags, bulkShiftDates, bulkDelete } = useExpenses();
+  const [categoryId, setCategoryId] = useState('');
+  const [tagText,    setTagText]    = useState('');
+  const [days,       setDays]       = useState('');
+  const [confirming, setConfirming] = useState(false);
+
+  const ids      = selected.map((e) => e.id);
+  const category = categoryId ? findCategory(categories, categoryId) : null;
+  const skipped  = category ? selected.filter((e) => !canRecategorize(e, category)).length : 0;
+  const tags     = parseTagList(tagText);
+  const shift    = Number(days);
+  const validShift = Number.isInteger(shift) && shift !== 0 && Math.abs(shift) <= MAX_SHIFT_DAYS;
+  const unshifted  = validShift ? selected.filter((e) => !canShiftDate(e, shift)).length : 0;
+
+  if (selected.length === 0) {
+    return (
+      <div className="bulk-bar bulk-bar--idle" role="toolbar" aria-label="Batch actions">
+        <span className="bulk-bar__count">Tick entries to edit them together — shift-click picks a range</span>
+        <div className="bulk-bar__spacer" />
+        <button className="bulk-bar__btn" onClick={onSelectAll}>Select all filtered ({total})</button>
+        <button className="bulk-bar__btn" onClick={onDone}>Done</button>
+      </div>
+    );
+  }
+
+  function applyCategory() {
+    bulkSetCategory(ids, category);
+    setCategoryId('');
+  }
+
+  function applyTags(change) {
+    bulkEditTags(ids, { [change]: tags });
+    setTagText('');
+  }
+
+  function applyShift(e) {
+    e.preventDefault();
+    bulkShiftDates(ids, shift);
+    setDays('');
+  }
+
+  function handleDelete() {
+    bulkDelete(ids);
+    setConfirming(false);
+    onClear();
+  }
+
+  function handleExport() {
+    downloadCsv(expensesToCsv(selected, categories), `expenses-selection-${getTodayString()}.csv`);
+  }
+
+  return (
+    <div className="bulk-bar" role="toolbar" aria-label="Batch actions">
+      {/* ── Selection ── */}
+      <div className="bulk-bar__row">
+        <span className="bulk-bar__count">
+          <strong>{selected.length}</strong> selected
+        </span>
+        {selected.length < total && (
+          <button className="bulk-bar__btn" onClick={onSelectAll}>Select all filtered ({total})</button>
+        )}
+        <button className="bulk-bar__btn" onClick={onClear}>Clear</button>
+        <div className="bulk-bar__spacer" />
+        <button className="bulk-bar__btn" onClick={handleExport}>⬇ Export CSV</button>
+        {confirming ? (
+          <>
+            <button className="bulk-bar__btn bulk-bar__btn--danger" onClick={handleDelete}>
+              Move {selected.length} to trash?
+            </button>
+            <button className="bulk-bar__btn" onClick={() => setConfirming(false)}>Keep</button>
+          </>
+        ) : (
+          <button className="bulk-bar__btn bulk-bar__btn--danger" onClick={() => setConfirming(true)}>🗑 Delete</button>
+        )}
+        <button className="bulk-bar__btn" onClick={onDone}>Done</button>
+      </div>
+
+      {/* ── Edits ── */}
+      <div className="bulk-bar__row">
+        <div className="bulk-bar__group">
+          <select
+            value={categoryId}
+            onChange={(e) => setCategoryId(e.target.value)}
+            className="bulk-bar__input"
+            aria-label="Move to category"
+          >
+            <option value="">Move to category…</option>
+            {orderCategories(categories).map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.icon} {categoryPath(categories, c.id)}{c.type === 'income' ? ' (income)' : ''}
+              </option>
+            ))}
+          </select>
+          <button
+            className="bulk-bar__btn bulk-bar__btn--primary"
+            onClick={applyCategory}
+            disabled={!category || skipped === selected.length}
+          >
+            Move
+          </button>
+        </div>
+
+        <div className="bulk-bar__group">
+          <input
+            value={tagText}
+            onChange={(e) => setTagText(e.target.value)}
+            placeholder="tags, e.g. trip work"
+            className="bulk-bar__input"
+            aria-label="Tags to add or remove"
+          />
+          <button className="bulk-bar__btn bulk-bar__btn--primary" onClick={() => applyTags('add')} disabled={!tags.length}>
+            Add
+          </button>
+          <button className="bulk-bar__btn" onClick={() => applyTags('remove')} disabled={!tags.length}>
+            Remove
+          </button>
+        </div>
+
+        <form className="bulk-bar__group" onSubmit={applyShift}>
+          <input
+            type="number"
+            step="1"
+            min={-MAX_SHIFT_DAYS}
+            max={MAX_SHIFT_DAYS}
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            placeholder="± days"
+            className="bulk-bar__input bulk-bar__input--days"
+            aria-label="Days to shift dates by"
+            aria-invalid={days !== '' && !validShift}
+          />
+          <button
+            type="submit"
+            className="bulk-bar__btn bulk-bar__btn--primary"
+            disabled={!validShift || unshifted === selected.length}
+          >
+            Shift dates
+          </button>
+        </form>
+      </div>
+
+      {skipped > 0 && (
+        <p className="bulk-bar__note">
+          {skipped === selected.length
+            ? `None of the selected entries can take ${category.label}`
+            : `${skipped} of the selected entries will keep their category`}
+          {' '}— split entries keep their own categories, and {category.type === 'income' ? 'income' : 'expense'}{' '}
+          categories only go on {category.type === 'income' ? 'income' : 'expenses'}.
+        </p>
+      )}
+
+      {days !== '' && !validShift && (
+        <p className="bulk-bar__note bulk-bar__note--error">
+          Shift by a whole number of days, up to {MAX_SHIFT_DAYS} either way.
+        </p>
+      )}
+
+      {unshifted > 0 && (
+        <p className="bulk-bar__note">
+          {unshifted === selected.length
+            ? 'None of the selected entries can move that far'
+            : `${unshifted} of the selected entries will keep their date`}
+          {' '}— an entry can’t be moved past today.
+        </p>
+      )}
+    </div>
+  );
+}
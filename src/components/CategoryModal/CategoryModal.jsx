@@ -0,0 +1,300 @@
+/**
+ * CategoryModal — create, edit, archive, nest and delete the user's categories.
+ *
+ * Changes apply straight away, like RecurringModal. Deleting a category
+ * that still has expenses (or recurring series) filed under it asks where
+ * to move them first; archiving only hides it from the pickers.
+ */
+import React, { useState } from 'react';
+import { useExpenses } from '../../context/ExpenseContext';
+import { TRANSACTION_TYPES } from '../../utils/constants';
+import {
+  CATEGORY_ICONS, CATEGORY_COLORS, createCategory, orderCategories,
+} from '../../utils/categories';
+import { categoriesOf } from '../../utils/splits';
+import './CategoryModal.css';
+
+function CategoryEditor({ category, type, onSave, onCancel }) {
+  const { categories } = useExpenses();
+  const [draft, setDraft] = useState(() => ({
+    label:    category?.label    ?? '',
+    icon:     category?.icon     ?? CATEGORY_ICONS[0],
+    color:    category?.color    ?? CATEGORY_COLORS[0],
+    parentId: category?.parentId ?? '',
+  }));
+  const [error, setError] = useState('');
+
+  // Nesting is one level deep, so a category with subcategories stays top-level
+  const hasChildren = Boolean(category) && categories.some((c) => c.parentId === category.id);
+  const parents = categories.filter((c) =>
+    c.type === type && !c.parentId && c.id !== category?.id && (!c.archived || c.id === category?.parentId)
+  );
+
+  function set(changes) {
+    setDraft((prev) => ({ ...prev, ...changes }));
+    setError('');
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    const label = draft.label.trim();
+    const parentId = draft.parentId || null;
+    if (!label) {
+      setError('Please give the category a name.');
+      return;
+    }
+    if (label.length > 40) {
+      setError('Category names must be 40 characters or fewer.');
+      return;
+    }
+    const clash = categories.some((c) =>
+      c.id !== category?.id && c.type === type && (c.parentId || null) === parentId &&
+      c.label.toLowerCase() === label.toLowerCase()
+    );
+    if (clash) {
+      setError(`There is already a “${label}” category here.`);
+      return;
+    }
+    if (!draft.icon.trim()) {
+      setError('Please pick an icon.');
+      return;
+    }
+    onSave({ label, icon: draft.icon.trim(), color: draft.color, parentId });
+  }
+
+  return (
+    <form className="cat-editor" onSubmit={handleSave} noValidate>
+      <div className="cat-editor__row">
+        <span className="cat-editor__preview" style={{ background: `${draft.color}22`, borderColor: `${draft.color}66` }}>
+          {draft.icon || '?'}
+        </span>
+        <input
+          value={draft.label}
+          onChange={(e) => set({ label: e.target.value })}
+          placeholder="Category name"
+          maxLength={40}
+          className="rm-input"
+          aria-label="Category name"
+          autoFocus
+        />
+        <select
+          value={draft.parentId}
+          onChange={(e) => set({ parentId: e.target.value })}
+          className="rm-input"
+          aria-label="Parent category"
+          disabled={hasChildren}
+          title={hasChildren ? 'Move or delete its subcategories first' : undefined}
+        >
+          <option value="">Top level</option>
+          {parents.map((p) => (
+            <option key={p.id} value={p.id}>Inside {p.icon} {p.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="cat-editor__icons" role="group" aria-label="Icon">
+        {CATEGORY_ICONS.map((icon) => (
+          <button
+            key={icon}
+            type="button"
+            className={`cat-swatch ${draft.icon === icon ? 'cat-swatch--active' : ''}`}
+            onClick={() => set({ icon })}
+          >
+            {icon}
+          </button>
+        ))}
+        <input
+          value={draft.icon}
+          onChange={(e) => set({ icon: e.target.value })}
+          maxLength={4}
+          className="rm-input cat-editor__icon-input"
+          aria-label="Custom icon"
+          title="Type or paste any emoji"
+        />
+      </div>
+
+      <div className="cat-editor__colors" role="group" aria-label="Color">
+        {CATEGORY_COLORS.map((color) => (
+          <button
+            key={color}
+            type="button"
+            className={`cat-color ${draft.color.toLowerCase() === color.toLowerCase() ? 'cat-color--active' : ''}`}
+            style={{ background: color }}
+            onClick={() => set({ color })}
+            aria-label={color}
+          />
+        ))}
+        <input
+          type="color"
+          value={draft.color}
+          onChange={(e) => set({ color: e.target.value })}
+          className="cat-editor__color-input"
+          aria-label="Custom color"
+        />
+      </div>
+
+      {error && <p className="rm-error">{error}</p>}
+      <div className="rm-editor__actions">
+        <button type="button" className="btn-cancel" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="btn-save">{category ? 'Save' : 'Add category'}</button>
+      </div>
+    </form>
+  );
+}
+
+function CategoryRow({ category, usage }) {
+  const { categories, updateCategory, deleteCategory } = useExpenses();
+  const [editing,  setEditing]  = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  // Anywhere else of the same type can take over its expenses — including
+  // its own subcategories, which become top-level once it is gone
+  const targets = orderCategories(categories, { type: category.type }).filter((c) => c.id !== category.id);
+  const [reassignTo, setReassignTo] = useState(() =>
+    (targets.find((c) => c.id === category.parentId) || targets.find((c) => c.id === 'other') || targets[0])?.id ?? ''
+  );
+
+  const children = categories.filter((c) => c.parentId === category.id);
+  const parentArchived = categories.find((c) => c.id === category.parentId)?.archived;
+
+  if (editing) {
+    return (
+      <li className="rm-rule rm-rule--editing">
+        <CategoryEditor
+          category={category}
+          type={category.type}
+          onCancel={() => setEditing(false)}
+          onSave={(changes) => { updateCategory(category.id, changes); setEditing(false); }}
+        />
+      </li>
+    );
+  }
+
+  return (
+    <li className={`rm-rule cat-row ${category.parentId ? 'cat-row--child' : ''} ${category.archived || parentArchived ? 'cat-row--archived' : ''}`}>
+      <span className="cat-row__icon" style={{ background: `${category.color}22`, borderColor: `${category.color}66` }}>
+        {category.icon}
+      </span>
+      <div className="rm-rule__info">
+        <span className="rm-rule__title">{category.label}</span>
+        <span className="rm-rule__meta">
+          {usage} {usage === 1 ? 'entry' : 'entries'}
+          {category.archived && ' · Archived'}
+          {!category.archived && parentArchived && ' · Hidden with its parent'}
+        </span>
+      </div>
+
+      {!deleting ? (
+        <div className="rm-rule__actions">
+          <button className="rm-btn" onClick={() => setEditing(true)}>Edit</button>
+          <button className="rm-btn" onClick={() => updateCategory(category.id, { archived: !category.archived })}>
+            {category.archived ? 'Unarchive' : 'Archive'}
+          </button>
+          <button className="rm-btn rm-btn--danger" onClick={() => setDeleting(true)}>Delete</button>
+        </div>
+      ) : (
+        <div className="cat-row__confirm">
+          {usage > 0 && targets.length === 0 ? (
+            <span className="cat-row__note">
+              This is the only {category.type} category — add another one to move its {usage} {usage === 1 ? 'entry' : 'entries'} to first.
+            </span>
+          ) : (
+            <>
+              {usage > 0 && (
+                <label className="cat-row__reassign">
+                  Move its {usage} {usage === 1 ? 'entry' : 'entries'} to
+                  <select value={reassignTo} onChange={(e) => setReassignTo(e.target.value)} className="rm-input">
+                    {targets.map((c) => (
+                      <option key={c.id} value={c.id}>{c.parentId ? '\u00a0\u00a0\u00a0↳ ' : ''}{c.icon} {c.label}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {children.length > 0 && (
+                <span className="cat-row__note">
+                  Its {children.length} subcategor{children.length === 1 ? 'y becomes a' : 'ies become'} top-level.
+                </span>
+              )}
+              <button className="rm-btn rm-btn--danger" onClick={() => deleteCategory(category.id, reassignTo)}>
+                Delete category
+              </button>
+            </>
+          )}
+          <button className="rm-btn" onClick={() => setDeleting(false)}>Keep</button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default function CategoryModal({ onClose }) {
+  const { categories, expenses, trash, recurring, addCategory } = useExpenses();
+  const [type,   setType]   = useState('expense');
+  const [adding, setAdding] = useState(false);
+
+  const listed = orderCategories(categories, { type, includeArchived: true });
+
+  // Expenses (trashed ones too — they may be restored) and recurring series
+  // filed directly under each category (a split one counts once for each
+  // category its lines use)
+  const usage = [...expenses, ...trash, ...recurring].reduce((acc, e) => {
+    categoriesOf(e).forEach((id) => { acc[id] = (acc[id] || 0) + 1; });
+    return acc;
+  }, {});
+
+  function switchType(next) {
+    setType(next);
+    setAdding(false);
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="category-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rm-header">
+          <h2>Categories</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        <div className="cat-toolbar">
+          <div className="cat-tabs" role="tablist">
+            {TRANSACTION_TYPES.map((t) => (
+              <button
+                key={t.value}
+                role="tab"
+                aria-selected={type === t.value}
+                className={`cat-tab ${type === t.value ? 'cat-tab--active' : ''}`}
+                onClick={() => switchType(t.value)}
+              >
+                {t.icon} {t.label}
+              </button>
+            ))}
+          </div>
+          {!adding && (
+            <button className="rm-btn" onClick={() => setAdding(true)}>+ New category</button>
+          )}
+        </div>
+
+        <ul className="rm-list">
+          {adding && (
+            <li className="rm-rule rm-rule--editing">
+              <CategoryEditor
+                type={type}
+                onCancel={() => setAdding(false)}
+                onSave={(fields) => { addCategory(createCategory({ ...fields, type })); setAdding(false); }}
+              />
+            </li>
+          )}
+          {listed.map((c) => (
+            <CategoryRow key={c.id} category={c} usage={usage[c.id] || 0} />
+          ))}
+          {listed.length === 0 && !adding && (
+            <li className="rm-empty">
+              <span className="rm-empty__icon">🏷️</span>
+              <p>No {type} categories yet.</p>
+            </li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+}
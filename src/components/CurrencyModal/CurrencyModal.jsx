@@ -0,0 +1,206 @@
+/**
+ * CurrencyModal — pick the home currency and maintain the exchange-rate table.
+ *
+ * Rates are entered as "1 USD = x" with the date they take effect from
+ * (see currency.js), so one table serves whichever home currency is chosen.
+ * Switching it converts the budgets at today's rates; when a rate is
+ * missing the budgets can't follow, so Save asks first. Nothing is applied
+ * until Save.
+ */
+import React, { useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { useExpenses } from '../../context/ExpenseContext';
+import { CURRENCIES } from '../../utils/constants';
+import { getTodayString } from '../../utils/formatters';
+import { RATE_BASE, convertBudgets } from '../../utils/currency';
+import './CurrencyModal.css';
+
+const RATE_CURRENCIES = CURRENCIES.filter((c) => c.value !== RATE_BASE);
+
+function toDraft(rate) {
+  return { ...rate, rate: String(rate.rate) };
+}
+
+function newDraft(currency = RATE_CURRENCIES[0].value) {
+  return { id: uuidv4(), currency, rate: '', effectiveDate: getTodayString(), isNew: true };
+}
+
+export default function CurrencyModal({ onClose }) {
+  const {
+    homeCurrency, exchangeRates, missingRates, monthlyBudget, categoryBudgets, setHomeCurrency, setExchangeRates,
+  } = useExpenses();
+  const [home,  setHome]  = useState(homeCurrency);
+  const [rows,  setRows]  = useState(() =>
+    [...exchangeRates]
+      .sort((a, b) => a.currency.localeCompare(b.currency) || b.effectiveDate.localeCompare(a.effectiveDate))
+      .map(toDraft)
+  );
+  const [error, setError] = useState('');
+  const [keepBudgets, setKeepBudgets] = useState(false);
+
+  const missing = missingRates.filter((c) => c !== RATE_BASE && !rows.some((r) => r.currency === c));
+
+  function updateRow(id, changes) {
+    setRows((prev) => prev.map((r) => (r.id === id ? { ...r, ...changes } : r)));
+    setError('');
+    setKeepBudgets(false);
+  }
+
+  function removeRow(id) {
+    setRows((prev) => prev.filter((r) => r.id !== id));
+    setError('');
+    setKeepBudgets(false);
+  }
+
+  function handleSave() {
+    const seen = new Set();
+    for (const row of rows) {
+      const rate = parseFloat(row.rate);
+      if (isNaN(rate) || rate <= 0) {
+        setError(`Please enter a rate greater than zero for ${row.currency}.`);
+        return;
+      }
+      if (!row.effectiveDate) {
+        setError(`Please choose the date the ${row.currency} rate takes effect.`);
+        return;
+      }
+      const key = `${row.currency}|${row.effectiveDate}`;
+      if (seen.has(key)) {
+        setError(`There are two ${row.currency} rates starting on the same day.`);
+        return;
+      }
+      seen.add(key);
+    }
+
+    // Untouched rows keep their object (and updatedAt) so tab sync sees no change
+    const byId = new Map(exchangeRates.map((r) => [r.id, r]));
+    const now  = new Date().toISOString();
+    const next = rows.map(({ isNew, ...row }) => {
+      const prev = byId.get(row.id);
+      const rate = parseFloat(row.rate);
+      if (prev && prev.currency === row.currency && prev.rate === rate && prev.effectiveDate === row.effectiveDate) {
+        return prev;
+      }
+      return { id: row.id, currency: row.currency, rate, effectiveDate: row.effectiveDate, updatedAt: now };
+    });
+
+    const hasBudgets = monthlyBudget > 0 || Object.keys(categoryBudgets).length > 0;
+    const budgets    = convertBudgets({ monthlyBudget, categoryBudgets }, homeCurrency, home, getTodayString(), next);
+    if (hasBudgets && !budgets && !keepBudgets) {
+      setKeepBudgets(true);
+      return;
+    }
+
+    // Rates first: the home currency converts the budgets with them
+    setExchangeRates(next);
+    setHomeCurrency(home);
+    onClose();
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="currency-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="cm-header">
+          <h2>Currencies</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        <div className="cm-body">
+          <label className="cm-home">
+            <span>Home currency</span>
+            <select
+              className="cm-input"
+              value={home}
+              onChange={(e) => { setHome(e.target.value); setKeepBudgets(false); }}
+            >
+              {CURRENCIES.map((c) => (
+                <option key={c.value} value={c.value}>{c.value} — {c.label}</option>
+              ))}
+            </select>
+          </label>
+          <p className="cm-hint">
+            Totals, budgets and charts are shown in your home currency. Each expense keeps the
+            currency it was paid in and is converted with the rate in effect on its date.
+          </p>
+
+          <div className="cm-rates__head">
+            <span>Exchange rates</span>
+            <span className="cm-rates__base">against 1 {RATE_BASE}</span>
+          </div>
+
+          {missing.length > 0 && (
+            <div className="cm-missing">
+              <span>No rate yet for:</span>
+              {missing.map((c) => (
+                <button key={c} className="rm-btn" onClick={() => setRows((prev) => [newDraft(c), ...prev])}>
+                  + {c}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {rows.length === 0 ? (
+            <p className="cm-empty">No exchange rates yet — everything is counted as recorded.</p>
+          ) : (
+            <ul className="cm-list">
+              {rows.map((row) => (
+                <li key={row.id} className="cm-rate">
+                  <span className="cm-rate__base">1 {RATE_BASE} =</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    placeholder="rate"
+                    value={row.rate}
+                    onChange={(e) => updateRow(row.id, { rate: e.target.value })}
+                    className="cm-input cm-input--rate"
+                    aria-label="Rate"
+                    autoFocus={row.isNew}
+                  />
+                  <select
+                    value={row.currency}
+                    onChange={(e) => updateRow(row.id, { currency: e.target.value })}
+                    className="cm-input cm-input--code"
+                    aria-label="Currency"
+                  >
+                    {RATE_CURRENCIES.map((c) => (
+                      <option key={c.value} value={c.value}>{c.value}</option>
+                    ))}
+                  </select>
+                  <span className="cm-rate__from">from</span>
+                  <input
+                    type="date"
+                    value={row.effectiveDate}
+                    onChange={(e) => updateRow(row.id, { effectiveDate: e.target.value })}
+                    className="cm-input cm-input--date"
+                    aria-label="Effective from"
+                  />
+                  <button className="rm-btn rm-btn--danger" onClick={() => removeRow(row.id)} aria-label="Remove rate">
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <button className="rm-btn cm-add" onClick={() => setRows((prev) => [newDraft(), ...prev])}>
+            + Add rate
+          </button>
+
+          {error && <p className="budget-error">{error}</p>}
+          {keepBudgets && (
+            <p className="budget-error">
+              There is no {homeCurrency}–{home} rate, so your budgets can’t be converted and will keep
+              their numbers in {home}. Add the rate, or save again to switch anyway.
+            </p>
+          )}
+        </div>
+
+        <div className="budget-modal__footer">
+          <button className="btn-cancel" onClick={onClose}>Cancel</button>
+          <button className="btn-save" onClick={handleSave}>{keepBudgets ? 'Switch anyway' : 'Save'}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
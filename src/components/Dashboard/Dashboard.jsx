@@ -1,7 +1,7 @@
 import React, { useMemo } from 'react';
 import { useExpenses } from '../../context/ExpenseContext';
-import { CATEGORIES } from '../../utils/constants';
 import { formatCurrency } from '../../utils/formatters';
+import { getBudgetStatus, BUDGET_STATUS_COLORS } from '../../utils/budget';
 import './Dashboard.css';
 
 function StatCard({ icon, label, value, subValue, accent, highlight }) {
@@ -17,22 +17,52 @@ function StatCard({ icon, label, value, subValue, accent, highlight }) {
   );
 }
 
-function CategoryBar({ category, amount, total }) {
-  const cat = CATEGORIES.find((c) => c.value === category);
+/**
+ * With a budget the bar tracks this month's spend against the category limit
+ * and picks up the header's healthy / warning / critical states; without one
+ * it shows the category's share of all-time spending.
+ */
+function CategoryBar({ cat, amount, total, currency, monthAmount = 0, budget = 0 }) {
+  const money = (n) => formatCurrency(n, 'en-US', currency);
+
+  if (budget > 0) {
+    const used   = (monthAmount / budget) * 100;
+    const status = getBudgetStatus(used);
+    return (
+      <div className={`cat-bar cat-bar--budget cat-bar--${status}`}>
+        <div className="cat-bar__meta">
+          <span className="cat-bar__icon">{cat.icon}</span>
+          <span className="cat-bar__label">{cat.label}</span>
+          <span className="cat-bar__amount">
+            {money(monthAmount)}
+            <span className="cat-bar__limit"> / {money(budget)}</span>
+          </span>
+          <span className="cat-bar__pct">{used.toFixed(0)}%</span>
+        </div>
+        <div className="cat-bar__track">
+          <div
+            className="cat-bar__fill"
+            style={{ width: `${Math.min(used, 100)}%`, background: BUDGET_STATUS_COLORS[status] }}
+          />
+        </div>
+      </div>
+    );
+  }
+
   const pct = total > 0 ? (amount / total) * 100 : 0;
 
   return (
     <div className="cat-bar">
       <div className="cat-bar__meta">
-        <span className="cat-bar__icon">{cat?.icon || '📦'}</span>
-        <span className="cat-bar__label">{cat?.label || category}</span>
-        <span className="cat-bar__amount">{formatCurrency(amount)}</span>
+        <span className="cat-bar__icon">{cat.icon}</span>
+        <span className="cat-bar__label">{cat.label}</span>
+        <span className="cat-bar__amount">{money(amount)}</span>
         <span className="cat-bar__pct">{pct.toFixed(1)}%</span>
       </div>
       <div className="cat-bar__track">
         <div
           className="cat-bar__fill"
-          style={{ width: `${pct}%`, background: cat?.color || '#888' }}
+          style={{ width: `${pct}%`, background: cat.color }}
         />
       </div>
     </div>
@@ -40,7 +70,12 @@ function CategoryBar({ category, amount, total }) {
 }
 
 export default function Dashboard() {
-  const { expenses, totalExpenses, currentMonthTotal, categoryTotals, monthlyBudget, budgetUsedPercent } = useExpenses();
+  const {
+    expenses, spendingExpenses, totalExpenses, currentMonthTotal, categoryTotals, monthlyBudget, budgetUsedPercent,
+    categoryBudgets, currentMonthCategoryTotals, totalIncome, currentMonthIncome, currentMonthNet,
+    homeCurrency, missingRates, getCategory,
+  } = useExpenses();
+  const money = (n) => formatCurrency(n, 'en-US', homeCurrency);
 
   const topCategories = useMemo(() => {
     return Object.entries(categoryTotals)
@@ -48,12 +83,32 @@ export default function Dashboard() {
       .slice(0, 5);
   }, [categoryTotals]);
 
+  // Budgeted categories first (most used first), then the top spenders without a limit
+  const budgetedCategories = useMemo(() => {
+    return Object.keys(categoryBudgets)
+      .filter((c) => categoryBudgets[c] > 0)
+      .sort((a, b) =>
+        (currentMonthCategoryTotals[b] || 0) / categoryBudgets[b] -
+        (currentMonthCategoryTotals[a] || 0) / categoryBudgets[a]
+      );
+  }, [categoryBudgets, currentMonthCategoryTotals]);
+
+  const breakdown = useMemo(() => {
+    const unbudgeted = topCategories.filter(([c]) => !budgetedCategories.includes(c));
+    return [...budgetedCategories.map((c) => [c, categoryTotals[c] || 0]), ...unbudgeted];
+  }, [topCategories, budgetedCategories, categoryTotals]);
+
+  const overBudgetCount = budgetedCategories.filter(
+    (c) => getBudgetStatus(((currentMonthCategoryTotals[c] || 0) / categoryBudgets[c]) * 100) === 'critical'
+  ).length;
+
   const highestExpense = useMemo(() => {
-    if (!expenses.length) return null;
-    return expenses.reduce((max, e) => (e.amount > max.amount ? e : max), expenses[0]);
-  }, [expenses]);
+    if (!spendingExpenses.length) return null;
+    return spendingExpenses.reduce((max, e) => (e.amount > max.amount ? e : max), spendingExpenses[0]);
+  }, [spendingExpenses]);
 
-  const avgExpense = expenses.length > 0 ? totalExpenses / expenses.length : 0;
+  const spendCount = spendingExpenses.length;
+  const avgExpense = spendCount > 0 ? totalExpenses / spendCount : 0;
 
   if (expenses.length === 0) {
     return (
@@ -67,31 +122,49 @@ export default function Dashboard() {
 
   return (
     <section className="dashboard">
+      {missingRates.length > 0 && (
+        <p className="dashboard-notice" role="status">
+          ⚠️ No exchange rate for {missingRates.join(', ')} yet — those entries are left out of the
+          {' '}{homeCurrency} totals below. Add one with the <strong>{homeCurrency}</strong> button in the header.
+        </p>
+      )}
+
       {/* ── Summary Cards ── */}
       <div className="stat-cards">
         <StatCard
           icon="💰"
           label="Total Spent"
-          value={formatCurrency(totalExpenses)}
-          subValue={`${expenses.length} expense${expenses.length !== 1 ? 's' : ''}`}
+          value={money(totalExpenses)}
+          subValue={`${spendCount} expense${spendCount !== 1 ? 's' : ''}`}
           accent="#ffc627"
           highlight
         />
         <StatCard
           icon="📅"
           label="This Month"
-          value={formatCurrency(currentMonthTotal)}
+          value={money(currentMonthTotal)}
           subValue={
             monthlyBudget > 0
-              ? `${budgetUsedPercent.toFixed(0)}% of ${formatCurrency(monthlyBudget)} budget`
+              ? `${budgetUsedPercent.toFixed(0)}% of ${money(monthlyBudget)} budget`
               : 'No budget set'
           }
-          accent={budgetUsedPercent >= 90 ? '#ff5e5e' : budgetUsedPercent >= 70 ? '#f5a623' : '#4ecdc4'}
+          accent={BUDGET_STATUS_COLORS[getBudgetStatus(budgetUsedPercent)]}
+        />
+        <StatCard
+          icon={currentMonthNet >= 0 ? '📈' : '📉'}
+          label="Net Cash Flow"
+          value={`${currentMonthNet > 0 ? '+' : ''}${money(currentMonthNet)}`}
+          subValue={
+            totalIncome > 0
+              ? `This month · ${money(currentMonthIncome)} in, ${money(currentMonthTotal)} out`
+              : 'No income recorded yet'
+          }
+          accent={currentMonthNet >= 0 ? '#7ed957' : BUDGET_STATUS_COLORS.critical}
         />
         <StatCard
           icon="📊"
           label="Avg. per Expense"
-          value={formatCurrency(avgExpense)}
+          value={money(avgExpense)}
           subValue="across all time"
           accent="#96ceb4"
         />
@@ -99,13 +172,38 @@ export default function Dashboard() {
           <StatCard
             icon="⬆️"
             label="Highest Expense"
-            value={formatCurrency(highestExpense.amount)}
+            value={money(highestExpense.amount)}
             subValue={highestExpense.title}
             accent="#dda0dd"
           />
         )}
       </div>
 
+      {/* ── Category Breakdown ── */}
+      <div className="category-breakdown">
+        <h3 className="breakdown-title">
+          <span className="breakdown-title__icon">🗂️</span>
+          By Category
+          {overBudgetCount > 0 && (
+            <span className="breakdown-title__alert">
+              {overBudgetCount} near or over budget
+            </span>
+          )}
+        </h3>
+        <div className="cat-bars">
+          {breakdown.map(([category, amount]) => (
+            <CategoryBar
+              key={category}
+              cat={getCategory(category)}
+              amount={amount}
+              total={totalExpenses}
+              currency={homeCurrency}
+              monthAmount={currentMonthCategoryTotals[category] || 0}
+              budget={categoryBudgets[category] || 0}
+            />
+          ))}
+        </div>
+      </div>
     </section>
   );
 }
@@ -0,0 +1,105 @@
+/**
+ * DuplicatesModal — "Find duplicates": likely duplicate pairs for review.
+ *
+ * Pairs are the same amount within a few days under similar titles (see
+ * duplicates.js), newest first. Each is resolved one of two ways:
+ *  • Keep one — the other's tags, receipts and description are folded in
+ *    and it goes to the trash, so Undo or the trash can bring it back.
+ *  • Not duplicates — both entries remember it and the pair is not raised
+ *    again.
+ */
+import React, { useMemo } from 'react';
+import { useExpenses } from '../../context/ExpenseContext';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import { currencyOf } from '../../utils/currency';
+import { isIncome } from '../../utils/cashflow';
+import { tagsOf } from '../../utils/tags';
+import { attachmentsOf } from '../../utils/attachments';
+import { findDuplicatePairs } from '../../utils/duplicates';
+import './DuplicatesModal.css';
+
+function daysApart(a, b) {
+  const days = Math.round(Math.abs(new Date(a.date) - new Date(b.date)) / (24 * 60 * 60 * 1000));
+  return days === 0 ? 'same day' : `${days} day${days === 1 ? '' : 's'} apart`;
+}
+
+function DuplicateCard({ expense, other, onKeep }) {
+  const { getCategory } = useExpenses();
+  const category = getCategory(expense.category);
+  const tags     = tagsOf(expense);
+  const files    = attachmentsOf(expense).length;
+
+  return (
+    <div className="dup-card">
+      <div className="dup-card__head">
+        <span className="dup-card__icon">{category.icon}</span>
+        <span className="dup-card__title">{expense.title}</span>
+      </div>
+      <span className={`dup-card__amount ${isIncome(expense) ? 'dup-card__amount--income' : ''}`}>
+        {isIncome(expense) && '+'}{formatCurrency(expense.amount, 'en-US', currencyOf(expense))}
+      </span>
+      <span className="dup-card__meta">
+        {formatDate(expense.date)} · {category.label}
+        {files > 0 && ` · 📎 ${files}`}
+      </span>
+      {tags.length > 0 && <span className="dup-card__meta">#{tags.join(' #')}</span>}
+      {expense.description && <span className="dup-card__desc">{expense.description}</span>}
+      <button
+        className="rm-btn dup-card__keep"
+        onClick={() => onKeep(expense.id, other.id)}
+        title="Keep this entry and move the other one to the trash"
+      >
+        Keep this one
+      </button>
+    </div>
+  );
+}
+
+export default function DuplicatesModal({ onClose }) {
+  const { expenses, mergeDuplicates, dismissDuplicates } = useExpenses();
+  const pairs = useMemo(() => findDuplicatePairs(expenses), [expenses]);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="duplicates-modal" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Find duplicates">
+        <div className="rm-header">
+          <h2>⧉ Find duplicates</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        {pairs.length === 0 ? (
+          <div className="rm-empty">
+            <span className="rm-empty__icon">✨</span>
+            <p>No likely duplicates.</p>
+            <span className="rm-empty__hint">
+              Entries with the same amount, a few days apart and similar titles would show up here.
+            </span>
+          </div>
+        ) : (
+          <>
+            <p className="rm-summary">
+              <strong>{pairs.length}</strong> possible duplicate{pairs.length === 1 ? '' : 's'} — keep one entry of
+              each pair, or mark them as different purchases
+            </p>
+            <ul className="rm-list">
+              {pairs.map(({ key, older, newer }) => (
+                <li key={key} className="dup-pair">
+                  <div className="dup-pair__cards">
+                    <DuplicateCard expense={older} other={newer} onKeep={mergeDuplicates} />
+                    <DuplicateCard expense={newer} other={older} onKeep={mergeDuplicates} />
+                  </div>
+                  <div className="dup-pair__footer">
+                    <span className="dup-pair__gap">{daysApart(older, newer)}</span>
+                    <button className="rm-btn" onClick={() => dismissDuplicates(older.id, newer.id)}>
+                      Not duplicates
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,31 +1,88 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import { useExpenses } from '../../context/ExpenseContext';
-import { CATEGORIES } from '../../utils/constants';
-import { validateExpense } from '../../utils/validation';
-import { getTodayString } from '../../utils/formatters';
+import {
+  RECURRENCE_FREQUENCIES, TRANSACTION_TYPES, CURRENCIES, DEFAULT_CURRENCY,
+} from '../../utils/constants';
+import { validateExpense, validateRecurrence, VALIDATION_RULES } from '../../utils/validation';
+import { formatCurrency, formatDate, getTodayString } from '../../utils/formatters';
+import { orderCategories } from '../../utils/categories';
+import { categoriesOf, primaryCategory, splitRemainder } from '../../utils/splits';
+import { ME } from '../../utils/sharing';
+import { attachmentsOf } from '../../utils/attachments';
+import { createDuplicateIndex, findDuplicates } from '../../utils/duplicates';
+import TagInput from '../TagInput/TagInput';
+import ShareEditor from '../ShareEditor/ShareEditor';
+import AttachmentPicker from '../AttachmentPicker/AttachmentPicker';
 import './ExpenseForm.css';
 
 const EMPTY_FORM = {
+  type: 'expense',
   title: '',
   description: '',
   category: '',
   amount: '',
+  currency: DEFAULT_CURRENCY,
   date: getTodayString(),
+  tags: [],
+  splits: null,       // null = one category; else [{ id, category, amount }] line items
+  shared: null,       // null = yours alone; else { paidBy, method, shares: [{ person, value }] }
+};
+
+function newLine(category = '', amount = '') {
+  return { id: uuidv4(), category, amount };
+}
+
+const EMPTY_REPEAT = {
+  frequency: '',      // '' = one-off expense
+  ends:      'never', // 'never' | 'on' | 'after'
+  endDate:   '',
+  count:     '12',
 };
 
 export default function ExpenseForm({ expenseToEdit, onClose }) {
-  const { addExpense, updateExpense } = useExpenses();
+  const {
+    addExpense, updateExpense, addRecurring, homeCurrency, categories, saveAttachment, expenses,
+  } = useExpenses();
   const isEditing = Boolean(expenseToEdit);
 
+  // New entries start in the home currency
   const [formData, setFormData] = useState(
     isEditing
-      ? { ...expenseToEdit, amount: String(expenseToEdit.amount) }
-      : EMPTY_FORM
+      ? {
+          ...expenseToEdit,
+          type:     expenseToEdit.type || 'expense',
+          amount:   String(expenseToEdit.amount),
+          currency: expenseToEdit.currency || DEFAULT_CURRENCY,
+          tags:     expenseToEdit.tags || [],
+          splits:   expenseToEdit.splits
+            ? expenseToEdit.splits.map((l) => newLine(l.category, String(l.amount)))
+            : null,
+          shared:   expenseToEdit.shared
+            ? {
+                ...expenseToEdit.shared,
+                shares: expenseToEdit.shared.shares.map((s) => ({ person: s.person, value: s.value == null ? '' : String(s.value) })),
+              }
+            : null,
+        }
+      : { ...EMPTY_FORM, currency: homeCurrency }
   );
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
   const [submitting, setSubmitting] = useState(false);
+  const [repeat, setRepeat] = useState(EMPTY_REPEAT);
+  const [repeatErrors, setRepeatErrors] = useState({});
+  // Receipts already stored for the expense, and new picks stored on submit
+  const [files, setFiles] = useState({ kept: isEditing ? attachmentsOf(expenseToEdit) : [], added: [] });
+  const [droppedFiles, setDroppedFiles] = useState(0);   // receipts cleared when Repeat was switched on
+  const [submitError, setSubmitError] = useState('');
+  // A series may start later — the rule waits for its first date
+  const isRecurring = !isEditing && repeat.frequency !== '';
+  // Likely duplicates found on submit: { key, matches }. Submitting again
+  // saves anyway; changing what was compared asks again
+  const [duplicates, setDuplicates] = useState(null);
+  const duplicateKey     = [formData.type, formData.title.trim(), formData.amount, formData.currency, formData.date].join('|');
+  const duplicateMatches = duplicates?.key === duplicateKey ? duplicates.matches : null;
 
   // Close on Escape key
   useEffect(() => {
@@ -39,34 +96,211 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
     setFormData((prev) => ({ ...prev, [name]: value }));
     setTouched((prev) => ({ ...prev, [name]: true }));
     // Live-validate touched fields
-    const liveErrors = validateExpense({ ...formData, [name]: value });
+    const liveErrors = validateExpense({ ...formData, [name]: value }, categories, { allowFuture: isRecurring });
     setErrors(liveErrors.errors);
-  }, [formData]);
+  }, [formData, categories, isRecurring]);
+
+  // Switching type keeps a category only if it exists for the new type
+  const handleTypeChange = useCallback((type) => {
+    const fits = (id) => categories.some((c) => c.id === id && c.type === type);
+    setFormData((prev) => ({
+      ...prev,
+      type,
+      category: fits(prev.category) ? prev.category : '',
+      splits:   prev.splits && prev.splits.map((l) => (fits(l.category) ? l : { ...l, category: '' })),
+    }));
+    setErrors((prev) => ({ ...prev, category: undefined, splits: undefined }));
+  }, [categories]);
+
+  // ── Split line items ──
+  const setSplits = useCallback((splits) => {
+    setFormData((prev) => ({ ...prev, splits }));
+    setTouched((prev) => ({ ...prev, splits: true }));
+    setErrors(validateExpense({ ...formData, splits }, categories, { allowFuture: isRecurring }).errors);
+  }, [formData, categories, isRecurring]);
+
+  // The current category and amount become the first line
+  const startSplit = useCallback(() => {
+    setFormData((prev) => ({ ...prev, splits: [newLine(prev.category, prev.amount), newLine()] }));
+    setErrors((prev) => ({ ...prev, category: undefined }));
+  }, []);
+
+  // Back to one category — the largest line's
+  const stopSplit = useCallback(() => {
+    const lines = formData.splits.filter((l) => l.category);
+    setFormData((prev) => ({ ...prev, splits: null, category: lines.length ? primaryCategory(lines) : '' }));
+    setErrors((prev) => ({ ...prev, splits: undefined }));
+  }, [formData.splits]);
+
+  const updateLine = (id, changes) =>
+    setSplits(formData.splits.map((l) => (l.id === id ? { ...l, ...changes } : l)));
+
+  // A new line starts with whatever is still unassigned
+  const addLine = () => {
+    const left = splitRemainder(formData.splits, formData.amount);
+    setSplits([...formData.splits, newLine('', left > 0 ? left.toFixed(2) : '')]);
+  };
+
+  // ── Sharing ──
+  const setShared = useCallback((shared) => {
+    setFormData((prev) => ({ ...prev, shared }));
+    setTouched((prev) => ({ ...prev, shared: true }));
+    setErrors(validateExpense({ ...formData, shared }, categories, { allowFuture: isRecurring }).errors);
+  }, [formData, categories, isRecurring]);
+
+  // Starts as yours, paid by you — then pick who else is in on it
+  const startShare = () =>
+    setFormData((prev) => ({ ...prev, shared: { paidBy: ME, method: 'equal', shares: [{ person: ME, value: '' }] } }));
+
+  const stopShare = () => {
+    setFormData((prev) => ({ ...prev, shared: null }));
+    setErrors((prev) => ({ ...prev, shared: undefined }));
+  };
+
+  const handleTagsChange = useCallback((tags) => {
+    setFormData((prev) => ({ ...prev, tags }));
+    setTouched((prev) => ({ ...prev, tags: true }));
+    setErrors(validateExpense({ ...formData, tags }, categories, { allowFuture: isRecurring }).errors);
+  }, [formData, categories, isRecurring]);
+
+  // A rule carries no receipts, so picked files are cleared — and the form says so
+  const handleRepeatChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setRepeat((prev) => ({ ...prev, [name]: value }));
+    setRepeatErrors((prev) => ({ ...prev, [name]: undefined }));
+    if (name === 'frequency' && value && files.added.length) {
+      setDroppedFiles(files.added.length);
+      setFiles((prev) => ({ ...prev, added: [] }));
+    }
+    if (name === 'frequency' && !value) setDroppedFiles(0);
+    // Only a series may start in the future
+    if (name === 'frequency') {
+      setErrors(validateExpense(formData, categories, { allowFuture: !isEditing && value !== '' }).errors);
+    }
+  }, [files.added.length, formData, categories, isEditing]);
 
   const handleBlur = useCallback((e) => {
     setTouched((prev) => ({ ...prev, [e.target.name]: true }));
   }, []);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     const allTouched = Object.keys(EMPTY_FORM).reduce((acc, k) => ({ ...acc, [k]: true }), {});
     setTouched(allTouched);
 
-    const { isValid, errors: validationErrors } = validateExpense(formData);
-    if (!isValid) {
+    const { isValid, errors: validationErrors } = validateExpense(formData, categories, { allowFuture: isRecurring });
+    const recurrence  = isRecurring
+      ? validateRecurrence({ ...repeat, startDate: formData.date })
+      : { isValid: true, errors: {} };
+
+    if (!isValid || !recurrence.isValid) {
       setErrors(validationErrors);
+      setRepeatErrors(recurrence.errors);
       return;
     }
 
+    // Warn once before saving what looks like an entry already there. An
+    // edit is only checked when it changes what the check compares
+    const candidate = {
+      id:             expenseToEdit?.id,
+      type:           formData.type,
+      title:          formData.title.trim(),
+      amount:         parseFloat(formData.amount),
+      currency:       formData.currency,
+      date:           formData.date,
+      notDuplicateOf: expenseToEdit?.notDuplicateOf,
+    };
+    const unchanged = isEditing && ['type', 'title', 'amount', 'currency', 'date']
+      .every((k) => candidate[k] === (expenseToEdit[k] ?? (k === 'type' ? 'expense' : DEFAULT_CURRENCY)));
+    if (!unchanged && duplicateMatches === null) {
+      const matches = findDuplicates(candidate, createDuplicateIndex(expenses));
+      if (matches.length) {
+        setDuplicates({ key: duplicateKey, matches });
+        return;
+      }
+    }
+    // Saved anyway — the entry and those it was checked against are different purchases
+    const notDuplicateOf = [...new Set([
+      ...(expenseToEdit?.notDuplicateOf ?? []),
+      ...(duplicateMatches ?? []).map((d) => d.id),
+    ])];
+
     setSubmitting(true);
+    setSubmitError('');
+
+    // A split is stored as numeric lines, filed under its largest one
+    const splits = formData.splits?.map((l) => ({ category: l.category, amount: parseFloat(l.amount) }));
+    const categoryFields = splits
+      ? { category: primaryCategory(splits), splits }
+      : { category: formData.category };
+
+    // Only expenses are shared; equal shares need no value
+    const { shared } = formData;
+    const sharedFields = shared && formData.type === 'expense'
+      ? {
+          shared: {
+            paidBy: shared.paidBy,
+            method: shared.method,
+            shares: shared.shares.map((s) =>
+              shared.method === 'equal' ? { person: s.person } : { person: s.person, value: parseFloat(s.value) }
+            ),
+          },
+        }
+      : {};
+
+    if (isRecurring) {
+      // The rule itself produces the first occurrence (and any back-dated ones)
+      const now = new Date().toISOString();
+      addRecurring({
+        id:          uuidv4(),
+        type:        formData.type,
+        title:       formData.title.trim(),
+        description: formData.description.trim(),
+        ...categoryFields,
+        ...sharedFields,
+        amount:      parseFloat(formData.amount),
+        currency:    formData.currency,
+        tags:        formData.tags,
+        frequency:   repeat.frequency,
+        startDate:   formData.date,
+        endDate:     repeat.ends === 'on'    ? repeat.endDate       : null,
+        count:       repeat.ends === 'after' ? Number(repeat.count) : null,
+        generated:   0,
+        paused:      false,
+        createdAt:   now,
+        updatedAt:   now,
+      });
+      onClose();
+      return;
+    }
+
+    const id = isEditing ? expenseToEdit.id : uuidv4();
+
+    // New receipts are stored before the expense that lists them
+    let stored;
+    try {
+      stored = await Promise.all(files.added.map(({ file }) => saveAttachment(id, file)));
+    } catch (err) {
+      console.error('[ExpenseForm] Could not store attachments', err);
+      setSubmitError('Your receipts could not be saved — nothing was changed. Please try again.');
+      setSubmitting(false);
+      return;
+    }
+    const attachments = [...files.kept, ...stored];
 
     const expense = {
-      ...(isEditing ? { id: expenseToEdit.id, createdAt: expenseToEdit.createdAt } : { id: uuidv4(), createdAt: new Date().toISOString() }),
+      ...(isEditing ? { id, createdAt: expenseToEdit.createdAt, recurringId: expenseToEdit.recurringId } : { id, createdAt: new Date().toISOString() }),
+      type: formData.type,
       title: formData.title.trim(),
       description: formData.description.trim(),
-      category: formData.category,
+      ...categoryFields,
+      ...sharedFields,
       amount: parseFloat(formData.amount),
+      currency: formData.currency,
+      tags: formData.tags,
       date: formData.date,
+      ...(attachments.length && { attachments }),
+      ...(notDuplicateOf.length && { notDuplicateOf }),
       updatedAt: new Date().toISOString(),
     };
 
@@ -79,7 +313,18 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
     onClose();
   };
 
-  const selectedCategory = CATEGORIES.find((c) => c.value === formData.category);
+  const selectedCategory = categories.find((c) => c.id === formData.category);
+  // An archived category stays selectable for the expense already filed under it
+  const categoryOptions  = orderCategories(categories, {
+    type: formData.type,
+    keep: isEditing ? categoriesOf(expenseToEdit) : undefined,
+  });
+  const selectedCurrency = CURRENCIES.find((c) => c.value === formData.currency);
+  const isIncomeForm = formData.type === 'income';
+  const splitLeft    = formData.splits && !isNaN(parseFloat(formData.amount))
+    ? splitRemainder(formData.splits, formData.amount)
+    : null;
+  const noun = isIncomeForm ? 'Income' : 'Expense';
 
   return (
     <div
@@ -87,7 +332,7 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
       onClick={onClose}
       role="dialog"
       aria-modal="true"
-      aria-label={isEditing ? 'Edit Expense' : 'Add Expense'}
+      aria-label={isEditing ? `Edit ${noun}` : `Add ${noun}`}
     >
     <div className="expense-form-card" onClick={(e) => e.stopPropagation()}>
       <div className="expense-form-inner">
@@ -96,7 +341,7 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
         <div className="ef-header">
           <div className="ef-header__title-block">
             <span className="ef-header__emoji">{isEditing ? '✏️' : '➕'}</span>
-            <h2 className="ef-header__title">{isEditing ? 'Edit Expense' : 'New Expense'}</h2>
+            <h2 className="ef-header__title">{isEditing ? `Edit ${noun}` : `New ${noun}`}</h2>
           </div>
           <button className="ef-close" onClick={onClose} aria-label="Close form">✕</button>
         </div>
@@ -104,6 +349,22 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
         {/* ── Form ── */}
         <form onSubmit={handleSubmit} noValidate className="ef-form">
 
+          {/* Type */}
+          <div className="ef-type" role="radiogroup" aria-label="Transaction type">
+            {TRANSACTION_TYPES.map((t) => (
+              <button
+                key={t.value}
+                type="button"
+                role="radio"
+                aria-checked={formData.type === t.value}
+                className={`ef-type__btn ef-type__btn--${t.value} ${formData.type === t.value ? 'ef-type__btn--active' : ''}`}
+                onClick={() => handleTypeChange(t.value)}
+              >
+                {t.icon} {t.label}
+              </button>
+            ))}
+          </div>
+
           {/* Title */}
           <div className={`ef-field ${touched.title && errors.title ? 'ef-field--error' : touched.title && !errors.title ? 'ef-field--valid' : ''}`}>
             <label className="ef-label" htmlFor="ef-title">
@@ -114,7 +375,7 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
                 id="ef-title"
                 name="title"
                 type="text"
-                placeholder="e.g. Grocery run at Fry's"
+                placeholder={isIncomeForm ? 'e.g. TA stipend — March' : "e.g. Grocery run at Fry's"}
                 value={formData.title}
                 onChange={handleChange}
                 onBlur={handleBlur}
@@ -135,10 +396,10 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
             {/* Amount */}
             <div className={`ef-field ef-field--half ${touched.amount && errors.amount ? 'ef-field--error' : touched.amount && !errors.amount ? 'ef-field--valid' : ''}`}>
               <label className="ef-label" htmlFor="ef-amount">
-                Amount (USD) <span className="required-star">*</span>
+                Amount <span className="required-star">*</span>
               </label>
               <div className="ef-input-wrap ef-input-wrap--prefix">
-                <span className="ef-prefix">$</span>
+                <span className="ef-prefix">{selectedCurrency?.symbol ?? formData.currency}</span>
                 <input
                   id="ef-amount"
                   name="amount"
@@ -152,6 +413,17 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
                   className="ef-input ef-input--prefixed"
                   aria-describedby={errors.amount ? 'ef-amount-err' : undefined}
                 />
+                <select
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleChange}
+                  className="ef-currency"
+                  aria-label="Currency"
+                >
+                  {CURRENCIES.map((c) => (
+                    <option key={c.value} value={c.value} title={c.label}>{c.value}</option>
+                  ))}
+                </select>
               </div>
               {touched.amount && errors.amount && (
                 <p className="ef-error-msg" id="ef-amount-err" role="alert">{errors.amount}</p>
@@ -161,7 +433,7 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
             {/* Date */}
             <div className={`ef-field ef-field--half ${touched.date && errors.date ? 'ef-field--error' : touched.date && !errors.date ? 'ef-field--valid' : ''}`}>
               <label className="ef-label" htmlFor="ef-date">
-                Date <span className="required-star">*</span>
+                {isRecurring ? 'First date' : 'Date'} <span className="required-star">*</span>
               </label>
               <input
                 id="ef-date"
@@ -170,7 +442,7 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
                 value={formData.date}
                 onChange={handleChange}
                 onBlur={handleBlur}
-                max={getTodayString()}
+                max={isRecurring ? undefined : getTodayString()}
                 className="ef-input"
                 aria-describedby={errors.date ? 'ef-date-err' : undefined}
               />
@@ -180,34 +452,155 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
             </div>
           </div>
 
-          {/* Category */}
-          <div className={`ef-field ${touched.category && errors.category ? 'ef-field--error' : touched.category && !errors.category && formData.category ? 'ef-field--valid' : ''}`}>
-            <label className="ef-label" htmlFor="ef-category">
-              Category <span className="required-star">*</span>
-            </label>
-            <div className="ef-select-wrap">
-              {selectedCategory && (
-                <span className="ef-select-icon">{selectedCategory.icon}</span>
-              )}
-              <select
-                id="ef-category"
-                name="category"
-                value={formData.category}
-                onChange={handleChange}
-                onBlur={handleBlur}
-                className={`ef-input ef-select ${selectedCategory ? 'ef-select--has-icon' : ''}`}
-                aria-describedby={errors.category ? 'ef-cat-err' : undefined}
-              >
-                <option value="">— Select a category —</option>
-                {CATEGORIES.map((cat) => (
-                  <option key={cat.value} value={cat.value}>
-                    {cat.icon} {cat.label}
-                  </option>
+          {/* Category — or line items when the expense is split */}
+          {formData.splits ? (
+            <div className={`ef-field ${touched.splits && errors.splits ? 'ef-field--error' : ''}`}>
+              <div className="ef-label-row">
+                <span className="ef-label">
+                  Split across categories <span className="required-star">*</span>
+                </span>
+                <button type="button" className="ef-link-btn" onClick={stopSplit}>Use one category</button>
+              </div>
+              <div className="ef-splits">
+                {formData.splits.map((line, i) => (
+                  <div key={line.id} className="ef-split">
+                    <select
+                      value={line.category}
+                      onChange={(e) => updateLine(line.id, { category: e.target.value })}
+                      className="ef-input ef-select"
+                      aria-label={`Line ${i + 1} category`}
+                    >
+                      <option value="">— Category —</option>
+                      {categoryOptions.map((cat) => (
+                        <option key={cat.id} value={cat.id}>
+                          {cat.parentId ? '\u00a0\u00a0\u00a0↳ ' : ''}{cat.icon} {cat.label}
+                        </option>
+                      ))}
+                    </select>
+                    <div className="ef-input-wrap ef-input-wrap--prefix ef-split__amount">
+                      <span className="ef-prefix">{selectedCurrency?.symbol ?? formData.currency}</span>
+                      <input
+                        type="number"
+                        placeholder="0.00"
+                        step="0.01"
+                        min="0.01"
+                        value={line.amount}
+                        onChange={(e) => updateLine(line.id, { amount: e.target.value })}
+                        className="ef-input ef-input--prefixed"
+                        aria-label={`Line ${i + 1} amount`}
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      className="ef-split__remove"
+                      onClick={() => setSplits(formData.splits.filter((l) => l.id !== line.id))}
+                      disabled={formData.splits.length <= VALIDATION_RULES.splits.minLines}
+                      aria-label={`Remove line ${i + 1}`}
+                    >
+                      ✕
+                    </button>
+                  </div>
                 ))}
-              </select>
+              </div>
+              <div className="ef-splits__footer">
+                <button
+                  type="button"
+                  className="ef-link-btn"
+                  onClick={addLine}
+                  disabled={formData.splits.length >= VALIDATION_RULES.splits.maxLines}
+                >
+                  + Add line
+                </button>
+                {splitLeft !== null && (
+                  <span className={`ef-splits__left ${splitLeft === 0 ? 'ef-splits__left--ok' : ''}`}>
+                    {splitLeft === 0
+                      ? '✓ Adds up to the total'
+                      : `${formatCurrency(Math.abs(splitLeft), 'en-US', formData.currency)} ${splitLeft > 0 ? 'left to assign' : 'over the total'}`}
+                  </span>
+                )}
+              </div>
+              {touched.splits && errors.splits && (
+                <p className="ef-error-msg" role="alert">{errors.splits}</p>
+              )}
             </div>
-            {touched.category && errors.category && (
-              <p className="ef-error-msg" id="ef-cat-err" role="alert">{errors.category}</p>
+          ) : (
+            <div className={`ef-field ${touched.category && errors.category ? 'ef-field--error' : touched.category && !errors.category && formData.category ? 'ef-field--valid' : ''}`}>
+              <div className="ef-label-row">
+                <label className="ef-label" htmlFor="ef-category">
+                  Category <span className="required-star">*</span>
+                </label>
+                <button type="button" className="ef-link-btn" onClick={startSplit}>✂ Split across categories</button>
+              </div>
+              <div className="ef-select-wrap">
+                {selectedCategory && (
+                  <span className="ef-select-icon">{selectedCategory.icon}</span>
+                )}
+                <select
+                  id="ef-category"
+                  name="category"
+                  value={formData.category}
+                  onChange={handleChange}
+                  onBlur={handleBlur}
+                  className={`ef-input ef-select ${selectedCategory ? 'ef-select--has-icon' : ''}`}
+                  aria-describedby={errors.category ? 'ef-cat-err' : undefined}
+                >
+                  <option value="">— Select a category —</option>
+                  {categoryOptions.map((cat) => (
+                    <option key={cat.id} value={cat.id}>
+                      {cat.parentId ? '\u00a0\u00a0\u00a0↳ ' : ''}{cat.icon} {cat.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {touched.category && errors.category && (
+                <p className="ef-error-msg" id="ef-cat-err" role="alert">{errors.category}</p>
+              )}
+            </div>
+          )}
+
+          {/* Sharing — expenses only */}
+          {!isIncomeForm && (
+            formData.shared ? (
+              <div className={`ef-field ${touched.shared && errors.shared ? 'ef-field--error' : ''}`}>
+                <div className="ef-label-row">
+                  <span className="ef-label">Shared with others</span>
+                  <button type="button" className="ef-link-btn" onClick={stopShare}>Not shared</button>
+                </div>
+                <ShareEditor
+                  value={formData.shared}
+                  onChange={setShared}
+                  amount={formData.amount}
+                  currency={formData.currency}
+                />
+                {touched.shared && errors.shared && (
+                  <p className="ef-error-msg" role="alert">{errors.shared}</p>
+                )}
+              </div>
+            ) : (
+              <div className="ef-field">
+                <div className="ef-label-row">
+                  <span className="ef-label">
+                    Shared <span className="optional-tag">optional</span>
+                  </span>
+                  <button type="button" className="ef-link-btn" onClick={startShare}>👥 Share with others</button>
+                </div>
+              </div>
+            )
+          )}
+
+          {/* Tags */}
+          <div className={`ef-field ${touched.tags && errors.tags ? 'ef-field--error' : ''}`}>
+            <label className="ef-label" htmlFor="ef-tags">
+              Tags <span className="optional-tag">optional</span>
+            </label>
+            <TagInput
+              id="ef-tags"
+              value={formData.tags}
+              onChange={handleTagsChange}
+              hasError={Boolean(touched.tags && errors.tags)}
+            />
+            {touched.tags && errors.tags && (
+              <p className="ef-error-msg" role="alert">{errors.tags}</p>
             )}
           </div>
 
@@ -220,7 +613,7 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
               <textarea
                 id="ef-desc"
                 name="description"
-                placeholder="Add any notes about this expense…"
+                placeholder={`Add any notes about this ${noun.toLowerCase()}…`}
                 value={formData.description}
                 onChange={handleChange}
                 onBlur={handleBlur}
@@ -238,6 +631,112 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
             )}
           </div>
 
+          {/* Receipts — stored per expense, so not on a recurring rule */}
+          {!repeat.frequency && (
+            <div className="ef-field">
+              <span className="ef-label">
+                Receipts <span className="optional-tag">optional</span>
+              </span>
+              <AttachmentPicker kept={files.kept} added={files.added} onChange={setFiles} />
+            </div>
+          )}
+
+          {/* Repeat — only when creating; edits always apply to one occurrence */}
+          {isEditing ? (
+            expenseToEdit.recurringId && (
+              <p className="ef-repeat-hint">🔁 Part of a recurring series — changes apply to this occurrence only.</p>
+            )
+          ) : (
+            <div className="ef-field">
+              <label className="ef-label" htmlFor="ef-frequency">
+                Repeat <span className="optional-tag">optional</span>
+              </label>
+              <div className="ef-row">
+                <select
+                  id="ef-frequency"
+                  name="frequency"
+                  value={repeat.frequency}
+                  onChange={handleRepeatChange}
+                  className="ef-input ef-select"
+                >
+                  <option value="">Does not repeat</option>
+                  {RECURRENCE_FREQUENCIES.map((f) => (
+                    <option key={f.value} value={f.value}>{f.label}</option>
+                  ))}
+                </select>
+                {repeat.frequency && (
+                  <select
+                    name="ends"
+                    value={repeat.ends}
+                    onChange={handleRepeatChange}
+                    className="ef-input ef-select"
+                    aria-label="Series ends"
+                  >
+                    <option value="never">Never ends</option>
+                    <option value="on">Ends on date</option>
+                    <option value="after">Ends after…</option>
+                  </select>
+                )}
+              </div>
+
+              {repeat.frequency && repeat.ends === 'on' && (
+                <input
+                  name="endDate"
+                  type="date"
+                  value={repeat.endDate}
+                  min={formData.date}
+                  onChange={handleRepeatChange}
+                  className="ef-input"
+                  aria-label="Series end date"
+                />
+              )}
+              {repeat.frequency && repeat.ends === 'after' && (
+                <div className="ef-input-wrap ef-input-wrap--prefix">
+                  <input
+                    name="count"
+                    type="number"
+                    min="1"
+                    max="999"
+                    step="1"
+                    value={repeat.count}
+                    onChange={handleRepeatChange}
+                    className="ef-input ef-input--prefixed"
+                    aria-label="Number of occurrences"
+                  />
+                  <span className="ef-suffix">occurrences</span>
+                </div>
+              )}
+              {repeat.frequency && droppedFiles > 0 && (
+                <p className="ef-repeat-hint">
+                  📎 {droppedFiles} receipt{droppedFiles !== 1 ? 's were' : ' was'} removed — a recurring series
+                  can’t hold files. Attach {droppedFiles !== 1 ? 'them' : 'it'} to an occurrence once it’s added.
+                </p>
+              )}
+              {Object.values(repeatErrors).filter(Boolean).map((msg) => (
+                <p key={msg} className="ef-error-msg" role="alert">{msg}</p>
+              ))}
+            </div>
+          )}
+
+          {submitError && <p className="ef-error-msg" role="alert">{submitError}</p>}
+
+          {/* Likely duplicates — shown once, then the submit button saves anyway */}
+          {duplicateMatches && (
+            <div className="ef-duplicates" role="alert">
+              <p className="ef-duplicates__title">
+                ⧉ This looks like {duplicateMatches.length === 1 ? 'an entry' : 'entries'} you already have:
+              </p>
+              <ul className="ef-duplicates__list">
+                {duplicateMatches.map((d) => (
+                  <li key={d.id}>
+                    <strong>{d.title}</strong> · {formatDate(d.date)} · {formatCurrency(d.amount, 'en-US', d.currency || DEFAULT_CURRENCY)}
+                  </li>
+                ))}
+              </ul>
+              <p className="ef-duplicates__hint">Save again to add it anyway, or cancel to leave it out.</p>
+            </div>
+          )}
+
           {/* Footer Actions */}
           <div className="ef-footer">
             <button type="button" className="ef-btn-cancel" onClick={onClose}>
@@ -248,7 +747,9 @@ export default function ExpenseForm({ expenseToEdit, onClose }) {
               className="ef-btn-submit"
               disabled={submitting}
             >
-              {isEditing ? '💾 Save Changes' : '✅ Add Expense'}
+              {duplicateMatches
+                ? '⧉ Save anyway'
+                : isEditing ? '💾 Save Changes' : repeat.frequency ? '🔁 Add Recurring' : `✅ Add ${noun}`}
             </button>
           </div>
         </form>
@@ -1,19 +1,59 @@
 import React, { useState } from 'react';
 import { useExpenses } from '../../context/ExpenseContext';
-import { CATEGORIES } from '../../utils/constants';
+import { categoryPath } from '../../utils/categories';
+import { isIncome } from '../../utils/cashflow';
+import { currencyOf } from '../../utils/currency';
+import { tagsOf } from '../../utils/tags';
+import { isSplit } from '../../utils/splits';
+import { isShared, myShareOf, personName, shareAmounts } from '../../utils/sharing';
+import { attachmentsOf } from '../../utils/attachments';
 import { formatCurrency, formatDate } from '../../utils/formatters';
+import AttachmentViewer, { AttachmentThumb } from '../AttachmentViewer/AttachmentViewer';
 import './ExpenseItem.css';
 
-export default function ExpenseItem({ expense, onEdit }) {
-  const { deleteExpense } = useExpenses();
+const MAX_THUMBS = 3;
+
+/**
+ * `onSelect(expense, shiftKey)` turns on a selection checkbox — the list
+ * passes it while picking entries for a batch edit.
+ */
+export default function ExpenseItem({ expense, onEdit, selected = false, onSelect }) {
+  const {
+    deleteExpense, homeCurrency, toHomeAmount, categories, getCategory, filterTags, setFilterTags, people,
+  } = useExpenses();
   const [confirmDelete, setConfirmDelete] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  const [viewing, setViewing] = useState(null);   // index of the attachment open in the viewer
+
+  const category = getCategory(expense.category);
+  const split    = isSplit(expense);
+
+  // Foreign-currency entries also show roughly what they came to at home
+  const currency   = currencyOf(expense);
+  const isForeign  = currency !== homeCurrency;
+  const homeAmount = isForeign ? toHomeAmount(expense.amount, currency, expense.date) : null;
+
+  // A split is shown under its largest line; the pill lists every line
+  const pillTitle = split
+    ? expense.splits
+        .map((l) => `${categoryPath(categories, l.category)}: ${formatCurrency(l.amount, 'en-US', currency)}`)
+        .join('\n')
+    : categoryPath(categories, expense.category);
+
+  // A shared expense says who paid and, on hover, what everyone's share is
+  const shared      = isShared(expense);
+  const sharedTitle = shared
+    ? shareAmounts(expense)
+        .map((s) => `${personName(people, s.person)}: ${formatCurrency(s.amount, 'en-US', currency)}`)
+        .join('\n')
+    : '';
 
-  const category = CATEGORIES.find((c) => c.value === expense.category) || {
-    icon: '📦',
-    label: 'Other',
-    color: '#888',
-  };
+  const attachments = attachmentsOf(expense);
+
+  // Clicking a tag narrows the list to it (or lifts that filter again)
+  function toggleTagFilter(tag) {
+    setFilterTags(filterTags.includes(tag) ? filterTags.filter((t) => t !== tag) : [...filterTags, tag]);
+  }
 
   function handleDeleteConfirm() {
     setDeleting(true);
@@ -22,7 +62,20 @@ export default function ExpenseItem({ expense, onEdit }) {
   }
 
   return (
-    <div className={`expense-item ${deleting ? 'expense-item--deleting' : ''}`}>
+    <div
+      className={`expense-item ${deleting ? 'expense-item--deleting' : ''} ${selected ? 'expense-item--selected' : ''}`}
+    >
+      {onSelect && (
+        <input
+          type="checkbox"
+          className="ei-select"
+          checked={selected}
+          readOnly
+          onClick={(e) => onSelect(expense, e.shiftKey)}
+          aria-label={`Select ${expense.title}`}
+        />
+      )}
+
       {/* Category icon badge */}
       <div
         className="ei-icon"
@@ -41,13 +94,14 @@ export default function ExpenseItem({ expense, onEdit }) {
           <span className="ei-title" title={expense.title}>{expense.title}</span>
           <span
             className="ei-category-pill"
+            title={pillTitle}
             style={{
               background: `${category.color}20`,
               color: category.color,
               border: `1px solid ${category.color}40`,
             }}
           >
-            {category.label}
+            {split ? `✂ Split · ${expense.splits.length}` : category.label}
           </span>
         </div>
         <div className="ei-meta">
@@ -59,11 +113,56 @@ export default function ExpenseItem({ expense, onEdit }) {
                 : expense.description}
             </span>
           )}
+          {shared && (
+            <span className="ei-shared" title={sharedTitle}>
+              👥 {personName(people, expense.shared.paidBy)} paid · shared by {expense.shared.shares.length}
+            </span>
+          )}
+          {tagsOf(expense).length > 0 && (
+            <span className="ei-tags">
+              {tagsOf(expense).map((tag) => (
+                <button
+                  key={tag}
+                  className={`ei-tag ${filterTags.includes(tag) ? 'ei-tag--active' : ''}`}
+                  onClick={() => toggleTagFilter(tag)}
+                  title={filterTags.includes(tag) ? `Stop filtering by #${tag}` : `Show only #${tag}`}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </span>
+          )}
         </div>
+        {attachments.length > 0 && (
+          <div className="ei-attachments">
+            {attachments.slice(0, MAX_THUMBS).map((a, i) => (
+              <AttachmentThumb key={a.id} attachment={a} onClick={() => setViewing(i)} />
+            ))}
+            {attachments.length > MAX_THUMBS && (
+              <button
+                className="ei-attachments__more"
+                onClick={() => setViewing(MAX_THUMBS)}
+                title={`${attachments.length - MAX_THUMBS} more`}
+              >
+                +{attachments.length - MAX_THUMBS}
+              </button>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Amount */}
-      <div className="ei-amount">{formatCurrency(expense.amount)}</div>
+      <div className={`ei-amount ${isIncome(expense) ? 'ei-amount--income' : ''}`}>
+        {isIncome(expense) && '+'}{formatCurrency(expense.amount, 'en-US', currency)}
+        {shared && (
+          <span className="ei-amount__home">your share {formatCurrency(myShareOf(expense), 'en-US', currency)}</span>
+        )}
+        {isForeign && (
+          <span className="ei-amount__home" title={homeAmount == null ? `No ${currency} exchange rate yet` : undefined}>
+            {homeAmount == null ? 'no rate' : `≈ ${formatCurrency(homeAmount, 'en-US', homeCurrency)}`}
+          </span>
+        )}
+      </div>
 
       {/* Actions */}
       {!confirmDelete ? (
@@ -104,6 +203,10 @@ export default function ExpenseItem({ expense, onEdit }) {
           </button>
         </div>
       )}
+
+      {viewing !== null && (
+        <AttachmentViewer attachments={attachments} startIndex={viewing} onClose={() => setViewing(null)} />
+      )}
     </div>
   );
 }
@@ -1,30 +1,179 @@
-import React, { useMemo, useState } from 'react';
+/**
+ * ExpenseList — the filtered entries, grouped the way the account chose:
+ * by day, week, month (the default), year or category, or not at all
+ * (see grouping.js). Each group header carries its subtotal.
+ *
+ * Built for histories of thousands of imported rows:
+ *  • Groups arrive a page at a time — more load as the end of the list
+ *    scrolls into view (or from the button there). Ungrouped, the list
+ *    comes in plain pages of entries the same way.
+ *  • Each group shows its first few entries; an expanded group scrolls on
+ *    its own, and a long one only renders the rows in (or near) view.
+ *
+ * "Select" puts a checkbox on every entry for batch edits (see BulkBar).
+ * Shift-click ticks everything between it and the last one clicked, in
+ * list order — rows folded away in a collapsed group included. Entries
+ * that leave the filtered list leave the selection too.
+ */
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import { useExpenses } from '../../context/ExpenseContext';
 import ExpenseItem from '../ExpenseItem/ExpenseItem';
-import { getMonthYear } from '../../utils/formatters';
+import BulkBar from '../BulkBar/BulkBar';
+import { formatCurrency } from '../../utils/formatters';
+import { isIncome } from '../../utils/cashflow';
+import { myShareOf } from '../../utils/sharing';
+import { GROUPINGS, groupExpenses } from '../../utils/grouping';
 import './ExpenseList.css';
 
-const MAX_VISIBLE = 5;
+const MAX_VISIBLE      = 5;
+const GROUP_PAGE       = 6;    // groups added per page
+const WINDOW_THRESHOLD = 30;   // expanded groups longer than this render only what is in view
+const ROW_ESTIMATE     = 80;   // px per row until it has been measured
+const OVERSCAN         = 4;    // rows rendered beyond each edge of the view
 
-function groupByMonth(expenses) {
-  const groups = {};
-  expenses.forEach((exp) => {
-    const key = getMonthYear(exp.date);
-    if (!groups[key]) groups[key] = [];
-    groups[key].push(exp);
+// ─── Windowed rows ─────────────────────────────────────────────────────────────
+// Entries differ in height (tags, receipts, split lines), so each row's height
+// is measured once rendered; rows not yet seen count as ROW_ESTIMATE.
+function WindowedItems({ items, renderItem }) {
+  const scrollRef = useRef(null);
+  const rowsRef   = useRef(null);
+  const heights   = useRef(new Map());   // id → height including the gap below it
+  const [scrollTop, setScrollTop] = useState(0);
+  const [, setMeasured] = useState(0);
+
+  const viewport = scrollRef.current?.clientHeight || 540;
+  const heightOf = (i) => heights.current.get(items[i].id) ?? ROW_ESTIMATE;
+
+  let start = 0;
+  let top   = 0;
+  while (start < items.length - 1 && top + heightOf(start) <= scrollTop) top += heightOf(start++);
+  let end    = start;
+  let bottom = top;
+  while (end < items.length && bottom < scrollTop + viewport) bottom += heightOf(end++);
+
+  const first = Math.max(0, start - OVERSCAN);
+  const last  = Math.min(items.length, end + OVERSCAN);
+  let padTop = top;
+  for (let i = first; i < start; i++) padTop -= heightOf(i);
+  let padBottom = 0;
+  for (let i = last; i < items.length; i++) padBottom += heightOf(i);
+
+  useLayoutEffect(() => {
+    const rows = rowsRef.current;
+    if (!rows) return;
+    const gap = parseFloat(getComputedStyle(rows).rowGap) || 0;
+    let changed = false;
+    [...rows.children].forEach((el, i) => {
+      const item = items[first + i];
+      const h    = el.offsetHeight + gap;
+      if (item && heights.current.get(item.id) !== h) {
+        heights.current.set(item.id, h);
+        changed = true;
+      }
+    });
+    if (changed) setMeasured((n) => n + 1);
   });
-  return Object.entries(groups);
+
+  return (
+    <div
+      ref={scrollRef}
+      className="expense-group__items--expanded"
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div
+        ref={rowsRef}
+        className="expense-group__items expense-group__window"
+        style={{ paddingTop: padTop, paddingBottom: padBottom }}
+      >
+        {items.slice(first, last).map((exp) => renderItem(exp))}
+      </div>
+    </div>
+  );
 }
 
 export default function ExpenseList({ onEdit }) {
-  const { filteredExpenses, expenses, filterCategory, searchQuery } = useExpenses();
+  const {
+    filteredExpenses, expenses, hasFilters, clearFilters, homeCurrency, toHomeAmount,
+    filterCategories, filterTags, searchQuery, dateRange, amountRange, sortBy,
+    categories, listGrouping, setListGrouping,
+  } = useExpenses();
   const [expandedGroups, setExpandedGroups] = useState({});
+  const [shownGroups,    setShownGroups]    = useState(GROUP_PAGE);
+  const [selecting,      setSelecting]      = useState(false);
+  const [selected,       setSelected]       = useState(() => new Set());
+  const moreRef   = useRef(null);
+  const anchorRef = useRef(null);   // last entry ticked — one end of a shift-click range
+
+  const grouped       = useMemo(
+    () => groupExpenses(filteredExpenses, listGrouping, categories),
+    [filteredExpenses, listGrouping, categories]
+  );
+  const hasMoreGroups = grouped.length > shownGroups;
+  const listOrder     = useMemo(() => grouped.flatMap((g) => g.items), [grouped]);
+  const selectedItems = useMemo(() => listOrder.filter((e) => selected.has(e.id)), [listOrder, selected]);
+
+  // A new filter, sort or grouping starts again from the first page
+  useEffect(() => {
+    setShownGroups(GROUP_PAGE);
+  }, [filterCategories, filterTags, searchQuery, dateRange, amountRange, sortBy, listGrouping]);
+
+  // Infinite scroll: the next page loads as the end of the list comes near.
+  // Observing again after each page fires at once if the end is still in view.
+  useEffect(() => {
+    const el = moreRef.current;
+    if (!el || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver(
+      ([entry]) => entry.isIntersecting && setShownGroups((n) => n + GROUP_PAGE),
+      { rootMargin: '600px 0px' }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [hasMoreGroups, shownGroups]);
 
-  const grouped = useMemo(() => groupByMonth(filteredExpenses), [filteredExpenses]);
-  const isFiltered = filterCategory !== 'all' || searchQuery.trim() !== '';
+  // Filtered out, edited out of the filters or deleted — no longer selected
+  useEffect(() => {
+    setSelected((prev) => (selectedItems.length === prev.size ? prev : new Set(selectedItems.map((e) => e.id))));
+  }, [selectedItems]);
 
-  const toggleGroup = (month) =>
-    setExpandedGroups((prev) => ({ ...prev, [month]: !prev[month] }));
+  const toggleGroup = (key) =>
+    setExpandedGroups((prev) => ({ ...prev, [key]: !prev[key] }));
+
+  // ─── Selection ───────────────────────────────────────────────────────────────
+  function handleSelect(expense, shiftKey) {
+    const on   = !selected.has(expense.id);
+    const from = listOrder.findIndex((e) => e.id === anchorRef.current);
+    const to   = listOrder.findIndex((e) => e.id === expense.id);
+    const ids  = shiftKey && from !== -1
+      ? listOrder.slice(Math.min(from, to), Math.max(from, to) + 1).map((e) => e.id)
+      : [expense.id];
+    setSelected((prev) => {
+      const next = new Set(prev);
+      ids.forEach((id) => (on ? next.add(id) : next.delete(id)));
+      return next;
+    });
+    anchorRef.current = expense.id;
+  }
+
+  function clearSelection() {
+    setSelected(new Set());
+    anchorRef.current = null;
+  }
+
+  function stopSelecting() {
+    clearSelection();
+    setSelecting(false);
+  }
+
+  const renderItem = (exp, style) => (
+    <ExpenseItem
+      key={exp.id}
+      expense={exp}
+      onEdit={onEdit}
+      style={style}
+      selected={selected.has(exp.id)}
+      onSelect={selecting ? handleSelect : undefined}
+    />
+  );
 
   if (expenses.length === 0) return null;
 
@@ -33,7 +182,8 @@ export default function ExpenseList({ onEdit }) {
       <div className="expense-list-empty">
         <span className="expense-list-empty__icon">🔍</span>
         <p>No expenses match your current filters.</p>
-        <span className="expense-list-empty__hint">Try changing the category or search query.</span>
+        <span className="expense-list-empty__hint">Try other categories, dates, amounts or search words.</span>
+        <button className="expense-list-empty__clear" onClick={clearFilters}>Clear all filters</button>
       </div>
     );
   }
@@ -42,35 +192,70 @@ export default function ExpenseList({ onEdit }) {
     <div className="expense-list">
       <div className="expense-list__header">
         <h2 className="expense-list__title">
-          {isFiltered ? 'Filtered Results' : 'All Expenses'}
+          {hasFilters ? 'Filtered Results' : 'All Expenses'}
           <span className="expense-list__count">{filteredExpenses.length}</span>
         </h2>
+        <div className="expense-list__tools">
+          <button
+            className={`expense-list__select ${selecting ? 'expense-list__select--active' : ''}`}
+            onClick={() => (selecting ? stopSelecting() : setSelecting(true))}
+            aria-pressed={selecting}
+          >
+            ☑ Select
+          </button>
+          <select
+            value={listGrouping}
+            onChange={(e) => setListGrouping(e.target.value)}
+            className="expense-list__grouping"
+            aria-label="Group expenses"
+          >
+            {GROUPINGS.map((g) => (
+              <option key={g.value} value={g.value}>{g.label}</option>
+            ))}
+          </select>
+        </div>
       </div>
 
-      <div className="expense-list__groups">
-        {grouped.map(([month, items]) => {
-          const isExpanded = !!expandedGroups[month];
+      <div className={`expense-list__groups ${listGrouping === 'none' ? 'expense-list__groups--flat' : ''}`}>
+        {grouped.slice(0, shownGroups).map(({ key, label, items }) => {
+          // Ungrouped pages have no header to collapse them from
+          if (label === null) {
+            return (
+              <div key={key} className="expense-group__items">
+                {items.map((exp) => renderItem(exp))}
+              </div>
+            );
+          }
+
+          const isExpanded = !!expandedGroups[key];
           const hasMore    = items.length > MAX_VISIBLE;
           const hidden     = items.length - MAX_VISIBLE;
           const visible    = isExpanded ? items : items.slice(0, MAX_VISIBLE);
+          // Group totals are in the home currency (your share of shared
+          // expenses); entries without a rate are skipped
+          const inHome     = (e) => toHomeAmount(myShareOf(e), e.currency, e.date) ?? 0;
+          const spent      = items.reduce((s, e) => s + (isIncome(e) ? 0 : inHome(e)), 0);
+          const earned     = items.reduce((s, e) => s + (isIncome(e) ? inHome(e) : 0), 0);
 
           return (
-            <div key={month} className="expense-group">
-              {/* Month header */}
+            <div key={key} className="expense-group">
+              {/* Group header */}
               <div className="expense-group__label">
-                <span className="expense-group__month">{month}</span>
+                <span className="expense-group__month">{label}</span>
                 <div className="expense-group__right">
                   <span className="expense-group__subtotal">
                     {items.length} item{items.length !== 1 ? 's' : ''} ·{' '}
                     <span className="expense-group__amount">
-                      ${items.reduce((s, e) => s + e.amount, 0)
-                           .toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      {formatCurrency(spent, 'en-US', homeCurrency)}
                     </span>
+                    {earned > 0 && (
+                      <span className="expense-group__income"> · +{formatCurrency(earned, 'en-US', homeCurrency)}</span>
+                    )}
                   </span>
                   {hasMore && (
                     <button
                       className="expense-group__toggle"
-                      onClick={() => toggleGroup(month)}
+                      onClick={() => toggleGroup(key)}
                       aria-expanded={isExpanded}
                     >
                       {isExpanded ? '▲ Show less' : `▼ +${hidden} more`}
@@ -79,21 +264,37 @@ export default function ExpenseList({ onEdit }) {
                 </div>
               </div>
 
-              {/* Items — scrollable when expanded and many entries */}
-              <div className={`expense-group__items${isExpanded && hasMore ? ' expense-group__items--expanded' : ''}`}>
-                {visible.map((exp, idx) => (
-                  <ExpenseItem
-                    key={exp.id}
-                    expense={exp}
-                    onEdit={onEdit}
-                    style={{ animationDelay: `${idx * 35}ms` }}
-                  />
-                ))}
-              </div>
+              {/* Items — scrollable when expanded and many entries, windowed when very many */}
+              {isExpanded && items.length > WINDOW_THRESHOLD ? (
+                <WindowedItems items={items} renderItem={renderItem} />
+              ) : (
+                <div className={`expense-group__items${isExpanded && hasMore ? ' expense-group__items--expanded' : ''}`}>
+                  {visible.map((exp, idx) => renderItem(exp, { animationDelay: `${idx * 35}ms` }))}
+                </div>
+              )}
             </div>
           );
         })}
       </div>
+
+      {/* Infinite scroll — the button is the fallback where nothing observes it */}
+      {hasMoreGroups && (
+        <div ref={moreRef} className="expense-list__more">
+          <button className="expense-group__toggle" onClick={() => setShownGroups((n) => n + GROUP_PAGE)}>
+            ▼ Show more ({grouped.length - shownGroups} {listGrouping === 'none' ? 'pages' : 'groups'} left)
+          </button>
+        </div>
+      )}
+
+      {selecting && (
+        <BulkBar
+          selected={selectedItems}
+          total={listOrder.length}
+          onSelectAll={() => setSelected(new Set(listOrder.map((e) => e.id)))}
+          onClear={clearSelection}
+          onDone={stopSelecting}
+        />
+      )}
     </div>
   );
 }
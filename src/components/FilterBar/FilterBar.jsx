@@ -1,27 +1,66 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useExpenses } from '../../context/ExpenseContext';
-import { CATEGORIES, SORT_OPTIONS } from '../../utils/constants';
+import { SORT_OPTIONS, CURRENCIES } from '../../utils/constants';
+import { touchesCategory } from '../../utils/splits';
+import { DATE_PRESETS, EMPTY_DATE_RANGE, presetRange, matchPreset } from '../../utils/filters';
 import './FilterBar.css';
 
 export default function FilterBar() {
   const {
-    filterCategory,
-    setFilterCategory,
+    filterCategories,
+    setFilterCategories,
     searchQuery,
     setSearchQuery,
+    parsedSearch,
     sortBy,
     setSort,
     expenses,
-    categoryTotals,
+    categories,
+    allTags,
+    filterTags,
+    setFilterTags,
+    dateRange,
+    setDateRange,
+    amountRange,
+    setAmountRange,
+    homeCurrency,
+    hasFilters,
+    clearFilters,
   } = useExpenses();
+  const [showAllTags, setShowAllTags] = useState(false);
 
-  const categoriesWithData = CATEGORIES.filter(
-    (c) => categoryTotals[c.value] > 0
-  );
+  // One pill per top-level category (subcategories count towards their parent,
+  // a split expense towards each category it touches). Income categories get
+  // pills too, so paychecks can be listed on their own.
+  const countIn = (id) => expenses.filter((e) => touchesCategory(categories, e, id)).length;
+  const categoriesWithData = categories.filter((c) => !c.parentId && countIn(c.id) > 0);
+
+  // The most used tags, plus any selected one that would otherwise be cut off
+  const TAG_LIMIT = 12;
+  const shownTags = showAllTags
+    ? allTags
+    : allTags.filter(({ tag }, i) => i < TAG_LIMIT || filterTags.includes(tag));
+
+  function toggleTag(tag) {
+    setFilterTags(filterTags.includes(tag) ? filterTags.filter((t) => t !== tag) : [...filterTags, tag]);
+  }
+
+  function toggleCategory(id) {
+    setFilterCategories(
+      filterCategories.includes(id) ? filterCategories.filter((c) => c !== id) : [...filterCategories, id]
+    );
+  }
+
+  const preset     = matchPreset(dateRange);
+  const symbol     = CURRENCIES.find((c) => c.value === homeCurrency)?.symbol ?? homeCurrency;
+  const dateError  = dateRange.from && dateRange.to && dateRange.from > dateRange.to;
+  const amountMin  = parseFloat(amountRange.min);
+  const amountMax  = parseFloat(amountRange.max);
+  const amountError = !isNaN(amountMin) && !isNaN(amountMax) && amountMin > amountMax;
 
   return (
     <div className="filter-bar">
-      {/* ── Search ── */}
+      {/* ── Search — words plus cat: tag: amount: date: filters (see query.js) ── */}
       <div className="filter-search">
         <svg
           className="filter-search__icon"
@@ -37,11 +76,13 @@ export default function FilterBar() {
         </svg>
         <input
           type="search"
-          placeholder="Search expenses…"
+          placeholder="Search… e.g. cat:food amount:>20 date:2026-03 tag:reimbursable -coffee"
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
-          className="filter-search__input"
+          className={`filter-search__input ${parsedSearch.errors.length ? 'filter-search__input--error' : ''}`}
           aria-label="Search expenses"
+          aria-invalid={parsedSearch.errors.length > 0}
+          aria-describedby={parsedSearch.errors.length ? 'filter-search-errors' : undefined}
         />
         {searchQuery && (
           <button
@@ -53,26 +94,37 @@ export default function FilterBar() {
           </button>
         )}
       </div>
+      {parsedSearch.errors.length > 0 && (
+        <ul id="filter-search-errors" className="filter-search__errors" role="alert">
+          {parsedSearch.errors.map(({ token, message }, i) => (
+            <li key={i}>
+              <code>{token}</code> {message} — left out of the search.
+            </li>
+          ))}
+        </ul>
+      )}
 
-      {/* ── Category Pills ── */}
+      {/* ── Category Pills — any selected category matches ── */}
       <div className="filter-categories" role="group" aria-label="Filter by category">
         <button
-          className={`filter-pill ${filterCategory === 'all' ? 'filter-pill--active' : ''}`}
-          onClick={() => setFilterCategory('all')}
+          className={`filter-pill ${filterCategories.length === 0 ? 'filter-pill--active' : ''}`}
+          onClick={() => setFilterCategories([])}
         >
           🗂️ All
           <span className="filter-pill__count">{expenses.length}</span>
         </button>
 
         {categoriesWithData.map((cat) => {
-          const count = expenses.filter((e) => e.category === cat.value).length;
+          const count  = countIn(cat.id);
+          const active = filterCategories.includes(cat.id);
           return (
             <button
-              key={cat.value}
-              className={`filter-pill ${filterCategory === cat.value ? 'filter-pill--active' : ''}`}
-              onClick={() => setFilterCategory(cat.value)}
+              key={cat.id}
+              className={`filter-pill ${active ? 'filter-pill--active' : ''}`}
+              onClick={() => toggleCategory(cat.id)}
+              aria-pressed={active}
               style={
-                filterCategory === cat.value
+                active
                   ? {
                       '--pill-color': cat.color,
                       background: `${cat.color}25`,
@@ -89,6 +141,104 @@ export default function FilterBar() {
         })}
       </div>
 
+      {/* ── Tag Filter — an entry must carry every selected tag ── */}
+      {allTags.length > 0 && (
+        <div className="filter-tags" role="group" aria-label="Filter by tag">
+          <span className="filter-tags__label">Tags</span>
+          {shownTags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              className={`filter-tag ${filterTags.includes(tag) ? 'filter-tag--active' : ''}`}
+              onClick={() => toggleTag(tag)}
+              aria-pressed={filterTags.includes(tag)}
+            >
+              #{tag}
+              <span className="filter-pill__count">{count}</span>
+            </button>
+          ))}
+          {allTags.length > TAG_LIMIT && (
+            <button className="filter-tags__more" onClick={() => setShowAllTags((v) => !v)}>
+              {showAllTags ? 'Fewer' : `+${allTags.length - shownTags.length} more`}
+            </button>
+          )}
+          {filterTags.length > 0 && (
+            <button className="filter-tags__more" onClick={() => setFilterTags([])}>
+              Clear tags
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* ── Date & Amount Ranges ── */}
+      <div className="filter-ranges">
+        <div className="filter-range" role="group" aria-label="Filter by date">
+          <select
+            value={preset}
+            onChange={(e) => setDateRange(e.target.value ? presetRange(e.target.value) : EMPTY_DATE_RANGE)}
+            className="filter-range__preset"
+            aria-label="Date preset"
+          >
+            <option value="">{dateRange.from || dateRange.to ? 'Custom dates' : 'Any date'}</option>
+            {DATE_PRESETS.map((p) => (
+              <option key={p.value} value={p.value}>{p.label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={dateRange.from}
+            onChange={(e) => setDateRange({ ...dateRange, from: e.target.value })}
+            className={`filter-range__input ${dateError ? 'filter-range__input--error' : ''}`}
+            aria-label="From date"
+          />
+          <span className="filter-range__sep">to</span>
+          <input
+            type="date"
+            value={dateRange.to}
+            onChange={(e) => setDateRange({ ...dateRange, to: e.target.value })}
+            className={`filter-range__input ${dateError ? 'filter-range__input--error' : ''}`}
+            aria-label="To date"
+          />
+        </div>
+
+        <div className="filter-range" role="group" aria-label="Filter by amount">
+          <span className="filter-range__prefix">{symbol}</span>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            inputMode="decimal"
+            placeholder="Min"
+            value={amountRange.min}
+            onChange={(e) => setAmountRange({ ...amountRange, min: e.target.value })}
+            className={`filter-range__input filter-range__input--amount ${amountError ? 'filter-range__input--error' : ''}`}
+            aria-label={`Minimum amount in ${homeCurrency}`}
+          />
+          <span className="filter-range__sep">–</span>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            inputMode="decimal"
+            placeholder="Max"
+            value={amountRange.max}
+            onChange={(e) => setAmountRange({ ...amountRange, max: e.target.value })}
+            className={`filter-range__input filter-range__input--amount ${amountError ? 'filter-range__input--error' : ''}`}
+            aria-label={`Maximum amount in ${homeCurrency}`}
+          />
+        </div>
+
+        {hasFilters && (
+          <button className="filter-tags__more" onClick={clearFilters}>
+            Clear all filters
+          </button>
+        )}
+      </div>
+      {(dateError || amountError) && (
+        <span className="filter-range__error" role="alert">
+          {dateError ? 'The start date is after the end date' : 'The minimum is above the maximum'} — nothing can match.
+        </span>
+      )}
+
       {/* ── Sort ── */}
       <div className="filter-sort">
         <svg
@@ -2,18 +2,30 @@ import React, { useState } from 'react';
 import { useExpenses } from '../../context/ExpenseContext';
 import { useAuth } from '../../context/AuthContext';
 import { formatCurrency } from '../../utils/formatters';
+import { getBudgetStatus } from '../../utils/budget';
 import BudgetModal from '../BudgetModal/BudgetModal';
+import RecurringModal from '../RecurringModal/RecurringModal';
+import CurrencyModal from '../CurrencyModal/CurrencyModal';
+import CategoryModal from '../CategoryModal/CategoryModal';
+import ImportWizard from '../ImportWizard/ImportWizard';
+import BackupModal from '../BackupModal/BackupModal';
+import SettleUpModal from '../SettleUpModal/SettleUpModal';
+import TrashModal from '../TrashModal/TrashModal';
+import DuplicatesModal from '../DuplicatesModal/DuplicatesModal';
 import UserMenu from '../UserMenu/UserMenu';
 import './Header.css';
 
 export default function Header({ onAddExpense }) {
-  const { totalExpenses, currentMonthTotal, monthlyBudget, budgetUsedPercent } = useExpenses();
+  const { totalExpenses, currentMonthTotal, monthlyBudget, budgetUsedPercent, homeCurrency } = useExpenses();
   const { currentUser, isAuthenticated } = useAuth();
   const [showBudgetModal, setShowBudgetModal] = useState(false);
+  const [showRecurringModal, setShowRecurringModal] = useState(false);
+  const [showCurrencyModal, setShowCurrencyModal] = useState(false);
+  // Account tools opened from the user menu ('categories' | 'sharing' | 'trash' | 'import' | 'backup' | null). Rendered here,
+  // outside .app-header, because its backdrop-filter would trap fixed overlays.
+  const [activePanel, setActivePanel] = useState(null);
 
-  const budgetStatus =
-    budgetUsedPercent >= 90 ? 'critical' :
-    budgetUsedPercent >= 70 ? 'warning'  : 'healthy';
+  const budgetStatus = getBudgetStatus(budgetUsedPercent);
 
   const brandTitle = isAuthenticated
     ? `${currentUser.name.split(' ')[0]}'s Expense Tracker`
@@ -40,11 +52,11 @@ export default function Header({ onAddExpense }) {
         <div className="header-stats">
           <div className="stat-chip">
             <span className="stat-chip-label">Total</span>
-            <span className="stat-chip-value">{formatCurrency(totalExpenses)}</span>
+            <span className="stat-chip-value">{formatCurrency(totalExpenses, 'en-US', homeCurrency)}</span>
           </div>
           <div className={`stat-chip stat-chip--month ${budgetStatus !== 'healthy' ? 'stat-chip--' + budgetStatus : ''}`}>
             <span className="stat-chip-label">This Month</span>
-            <span className="stat-chip-value">{formatCurrency(currentMonthTotal)}</span>
+            <span className="stat-chip-value">{formatCurrency(currentMonthTotal, 'en-US', homeCurrency)}</span>
           </div>
           {monthlyBudget > 0 && (
             <div className={`stat-chip stat-chip--budget stat-chip--${budgetStatus}`}>
@@ -59,7 +71,7 @@ export default function Header({ onAddExpense }) {
           <button
             className="btn-budget"
             onClick={() => setShowBudgetModal(true)}
-            title="Set monthly budget"
+            title="Set monthly and category budgets"
           >
             <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
               <circle cx="12" cy="12" r="10" />
@@ -67,6 +79,31 @@ export default function Header({ onAddExpense }) {
             </svg>
             Budget
           </button>
+          <button
+            className="btn-budget"
+            onClick={() => setShowRecurringModal(true)}
+            title="Manage recurring expenses"
+          >
+            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="17 1 21 5 17 9" />
+              <path d="M3 11V9a4 4 0 0 1 4-4h14" />
+              <polyline points="7 23 3 19 7 15" />
+              <path d="M21 13v2a4 4 0 0 1-4 4H3" />
+            </svg>
+            Recurring
+          </button>
+          <button
+            className="btn-budget"
+            onClick={() => setShowCurrencyModal(true)}
+            title="Home currency and exchange rates"
+          >
+            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+              <circle cx="12" cy="12" r="10" />
+              <line x1="2" y1="12" x2="22" y2="12" />
+              <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z" />
+            </svg>
+            {homeCurrency}
+          </button>
           <button className="btn-add-expense" onClick={onAddExpense}>
             <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2.5">
               <line x1="12" y1="5" x2="12" y2="19" />
@@ -74,7 +111,7 @@ export default function Header({ onAddExpense }) {
             </svg>
             Add Expense
           </button>
-          <UserMenu />
+          <UserMenu onOpenPanel={setActivePanel} />
         </div>
       </header>
 
@@ -89,6 +126,14 @@ export default function Header({ onAddExpense }) {
       )}
 
       {showBudgetModal && <BudgetModal onClose={() => setShowBudgetModal(false)} />}
+      {showRecurringModal && <RecurringModal onClose={() => setShowRecurringModal(false)} />}
+      {showCurrencyModal && <CurrencyModal onClose={() => setShowCurrencyModal(false)} />}
+      {activePanel === 'categories' && <CategoryModal onClose={() => setActivePanel(null)} />}
+      {activePanel === 'sharing' && <SettleUpModal onClose={() => setActivePanel(null)} />}
+      {activePanel === 'trash'   && <TrashModal    onClose={() => setActivePanel(null)} />}
+      {activePanel === 'duplicates' && <DuplicatesModal onClose={() => setActivePanel(null)} />}
+      {activePanel === 'import' && <ImportWizard onClose={() => setActivePanel(null)} />}
+      {activePanel === 'backup' && <BackupModal  onClose={() => setActivePanel(null)} />}
     </div>
   );
 }
@@ -0,0 +1,334 @@
+/**
+ * ImportWizard — bring bank-statement CSV exports into the tracker.
+ *
+ * Flow:
+ *   Step 'upload'  → pick a .csv file (or paste its contents)
+ *   Step 'map'     → map columns to title / amount / date / category /
+ *                    description, preview the parsed rows
+ *   Step 'done'    → accepted rows dispatched in one batch, rejects listed
+ *
+ * Every row goes through validateExpense(), exactly like ExpenseForm.
+ * Rows that look like an entry already there — or like an earlier row of
+ * the same file — are flagged in the preview (see duplicates.js) and left
+ * out unless "Skip likely duplicates" is unticked.
+ */
+import React, { useState, useMemo } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { useExpenses } from '../../context/ExpenseContext';
+import { CURRENCIES } from '../../utils/constants';
+import { orderCategories } from '../../utils/categories';
+import { validateExpense } from '../../utils/validation';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import { parseCsv, guessMapping, rowToExpense, IMPORT_FIELDS, DATE_FORMATS } from '../../utils/csv';
+import { createDuplicateIndex, addToDuplicateIndex, findDuplicates } from '../../utils/duplicates';
+import './ImportWizard.css';
+
+const PREVIEW_ROWS = 8;
+
+export default function ImportWizard({ onClose }) {
+  const { importExpenses, homeCurrency, categories, expenses } = useExpenses();
+
+  const [step,            setStep]            = useState('upload'); // 'upload'|'map'|'done'
+  const [fileName,        setFileName]        = useState('');
+  const [rows,            setRows]            = useState([]);
+  const [hasHeader,       setHasHeader]       = useState(true);
+  const [mapping,         setMapping]         = useState({});
+  const [dateFormat,      setDateFormat]      = useState('auto');
+  const [defaultCategory, setDefaultCategory] = useState(() => (categories.some((c) => c.id === 'other') ? 'other' : ''));
+  const [currency,        setCurrency]        = useState(homeCurrency);
+  const [skipDuplicates,  setSkipDuplicates]  = useState(true);
+  const [error,           setError]           = useState('');
+  const [result,          setResult]          = useState(null);  // { imported, rejects, duplicates }
+
+  // ── Step 1: load ─────────────────────────────────────────────────────────────
+  function loadText(text, name) {
+    const parsed = parseCsv(text);
+    if (parsed.length < 2) {
+      setError('That file has no data rows. Export at least one transaction and try again.');
+      return;
+    }
+    setRows(parsed);
+    setFileName(name);
+    setMapping(guessMapping(parsed[0]));
+    setError('');
+    setStep('map');
+  }
+
+  function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload  = () => loadText(String(reader.result), file.name);
+    reader.onerror = () => setError('Could not read that file.');
+    reader.readAsText(file);
+  }
+
+  // ── Step 2: map + preview ────────────────────────────────────────────────────
+  const columnCount = useMemo(() => Math.max(0, ...rows.map((r) => r.length)), [rows]);
+  const headers = hasHeader && rows[0]
+    ? Array.from({ length: columnCount }, (_, i) => rows[0][i] || `Column ${i + 1}`)
+    : Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+  const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+
+  const parsed = useMemo(() => dataRows.map((row, i) => {
+    const data = { ...rowToExpense(row, mapping, { dateFormat, defaultCategory, categories }), currency };
+    const { isValid, errors } = validateExpense(data, categories);
+    // Refunds and credits come through with their sign — not as spending
+    if (Number(data.amount) < 0) {
+      errors.amount = 'Negative amount — a refund or credit, so it is not imported as spending.';
+    }
+    return { line: i + (hasHeader ? 2 : 1), data, isValid, errors };
+  }), [dataRows, mapping, dateFormat, defaultCategory, currency, hasHeader, categories]);
+
+  // line → the entries (or earlier rows) a valid row looks like a copy of
+  const duplicatesOf = useMemo(() => {
+    const index = createDuplicateIndex(expenses);
+    const found = new Map();
+    parsed.filter((p) => p.isValid).forEach(({ line, data }) => {
+      const row = {
+        id:       `row-${line}`,
+        type:     'expense',
+        title:    data.title.trim(),
+        amount:   parseFloat(data.amount),
+        currency,
+        date:     data.date,
+        line,
+      };
+      const matches = findDuplicates(row, index);
+      if (matches.length) found.set(line, matches);
+      addToDuplicateIndex(index, row);
+    });
+    return found;
+  }, [parsed, expenses, currency]);
+
+  const isLeftOut  = (p) => skipDuplicates && duplicatesOf.has(p.line);
+  const validCount = parsed.filter((p) => p.isValid && !isLeftOut(p)).length;
+  const describeMatch = (m) => (m.line ? `row ${m.line}` : `“${m.title}” on ${formatDate(m.date)}`);
+  const missingRequired = IMPORT_FIELDS.filter((f) => f.required && !(mapping[f.value] >= 0));
+
+  function handleImport() {
+    const now = new Date().toISOString();
+    const accepted = parsed
+      .filter((p) => p.isValid && !isLeftOut(p))
+      .map(({ data }) => ({
+        id:          uuidv4(),
+        type:        'expense',
+        title:       data.title.trim(),
+        description: data.description.trim(),
+        category:    data.category,
+        amount:      parseFloat(data.amount),
+        currency,
+        date:        data.date,
+        createdAt:   now,
+        updatedAt:   now,
+      }));
+
+    if (accepted.length > 0) importExpenses(accepted);
+    setResult({
+      imported:   accepted.length,
+      rejects:    parsed.filter((p) => !p.isValid),
+      duplicates: parsed.filter(isLeftOut),
+    });
+    setStep('done');
+  }
+
+  // ── Render ───────────────────────────────────────────────────────────────────
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="import-wizard" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Import CSV">
+        <div className="iw-header">
+          <h2>Import from CSV</h2>
+          <div className="iw-steps" aria-hidden="true">
+            {['upload', 'map', 'done'].map((s, i) => (
+              <span key={s} className={`iw-step ${step === s ? 'iw-step--active' : ''}`}>{i + 1}</span>
+            ))}
+          </div>
+          <button className="modal-close" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        {/* ══ STEP: upload ═══════════════════════════════════════════════════════ */}
+        {step === 'upload' && (
+          <div className="iw-body">
+            <label className="iw-drop">
+              <span className="iw-drop__icon">📄</span>
+              <span className="iw-drop__title">Choose a CSV file</span>
+              <span className="iw-drop__hint">Bank and card exports work — comma, semicolon or tab separated</span>
+              <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFile} />
+            </label>
+            <details className="iw-paste">
+              <summary>…or paste CSV text</summary>
+              <textarea
+                rows={6}
+                placeholder={'Date,Description,Amount\n2026-01-15,Fry\'s groceries,45.20'}
+                onBlur={(e) => e.target.value.trim() && loadText(e.target.value, 'Pasted text')}
+              />
+            </details>
+            {error && <p className="iw-error">{error}</p>}
+          </div>
+        )}
+
+        {/* ══ STEP: map ══════════════════════════════════════════════════════════ */}
+        {step === 'map' && (
+          <div className="iw-body">
+            <p className="iw-file">
+              <strong>{fileName}</strong> · {dataRows.length} row{dataRows.length !== 1 ? 's' : ''}
+              <label className="iw-check">
+                <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+                First row is a header
+              </label>
+            </p>
+
+            <div className="iw-mapping">
+              {IMPORT_FIELDS.map((field) => (
+                <label key={field.value} className="iw-map-row">
+                  <span className="iw-map-row__label">
+                    {field.label}{field.required && <span className="iw-required"> *</span>}
+                  </span>
+                  <select
+                    value={mapping[field.value] ?? -1}
+                    onChange={(e) => setMapping((prev) => ({ ...prev, [field.value]: Number(e.target.value) }))}
+                  >
+                    <option value={-1}>— not in file —</option>
+                    {headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+                  </select>
+                </label>
+              ))}
+              <label className="iw-map-row">
+                <span className="iw-map-row__label">Date format</span>
+                <select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+                  {DATE_FORMATS.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
+                </select>
+              </label>
+              <label className="iw-map-row">
+                <span className="iw-map-row__label">Fallback category</span>
+                <select value={defaultCategory} onChange={(e) => setDefaultCategory(e.target.value)}>
+                  <option value="">— reject uncategorised rows —</option>
+                  {orderCategories(categories, { type: 'expense' }).map((c) => (
+                    <option key={c.id} value={c.id}>{c.parentId ? '\u00a0\u00a0\u00a0↳ ' : ''}{c.icon} {c.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="iw-map-row">
+                <span className="iw-map-row__label">Currency</span>
+                <select value={currency} onChange={(e) => setCurrency(e.target.value)}>
+                  {CURRENCIES.map((c) => <option key={c.value} value={c.value}>{c.value} — {c.label}</option>)}
+                </select>
+              </label>
+            </div>
+
+            <div className="iw-preview">
+              <table>
+                <thead>
+                  <tr><th>#</th><th>Title</th><th>Date</th><th>Category</th><th className="iw-num">Amount</th><th /></tr>
+                </thead>
+                <tbody>
+                  {parsed.slice(0, PREVIEW_ROWS).map((p) => {
+                    const cat     = categories.find((c) => c.id === p.data.category);
+                    const matches = duplicatesOf.get(p.line);
+                    return (
+                      <tr key={p.line} className={!p.isValid ? 'iw-row--invalid' : matches ? 'iw-row--duplicate' : ''}>
+                        <td className="iw-muted">{p.line}</td>
+                        <td>{p.data.title || <span className="iw-muted">—</span>}</td>
+                        <td>{p.data.date ? formatDate(p.data.date) : <span className="iw-muted">—</span>}</td>
+                        <td>{cat ? `${cat.icon} ${cat.label}` : <span className="iw-muted">—</span>}</td>
+                        <td className="iw-num">
+                          {p.data.amount && !isNaN(Number(p.data.amount)) ? formatCurrency(Number(p.data.amount), 'en-US', currency) : '—'}
+                        </td>
+                        {matches ? (
+                          <td title={`Looks like ${matches.map(describeMatch).join(', ')}`}>⧉</td>
+                        ) : (
+                          <td title={Object.values(p.errors).join(' ')}>{p.isValid ? '✓' : '⚠️'}</td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {parsed.length > PREVIEW_ROWS && (
+                <p className="iw-muted iw-more">+ {parsed.length - PREVIEW_ROWS} more rows</p>
+              )}
+            </div>
+
+            {duplicatesOf.size > 0 && (
+              <div className="iw-duplicates">
+                <label className="iw-check">
+                  <input type="checkbox" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} />
+                  Skip likely duplicates
+                </label>
+                <details>
+                  <summary>
+                    ⧉ {duplicatesOf.size} row{duplicatesOf.size !== 1 ? 's look' : ' looks'} like{' '}
+                    {duplicatesOf.size !== 1 ? 'entries' : 'an entry'} you already have
+                  </summary>
+                  <ul className="iw-rejects">
+                    {parsed.filter((p) => duplicatesOf.has(p.line)).map((p) => (
+                      <li key={p.line} className="iw-rejects__duplicate">
+                        <span className="iw-rejects__line">Row {p.line}</span>
+                        <span className="iw-rejects__title">{p.data.title}</span>
+                        <span className="iw-rejects__errors">
+                          Same amount as {duplicatesOf.get(p.line).map(describeMatch).join(', ')}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              </div>
+            )}
+
+            {missingRequired.length > 0 && (
+              <p className="iw-error">Map a column for: {missingRequired.map((f) => f.label).join(', ')}.</p>
+            )}
+
+            <div className="iw-footer">
+              <button className="btn-cancel" onClick={() => setStep('upload')}>← Back</button>
+              <span className="iw-summary">
+                {validCount} ready · {parsed.length - validCount} will be skipped
+                {skipDuplicates && duplicatesOf.size > 0 && ` (${duplicatesOf.size} duplicate${duplicatesOf.size !== 1 ? 's' : ''})`}
+              </span>
+              <button
+                className="btn-save"
+                onClick={handleImport}
+                disabled={missingRequired.length > 0 || validCount === 0}
+              >
+                Import {validCount}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* ══ STEP: done ═════════════════════════════════════════════════════════ */}
+        {step === 'done' && result && (
+          <div className="iw-body">
+            <div className="iw-result">
+              <span className="iw-result__icon">{result.imported > 0 ? '🎉' : '🤔'}</span>
+              <h3>{result.imported} expense{result.imported !== 1 ? 's' : ''} imported</h3>
+              {result.duplicates.length > 0 && (
+                <p>
+                  {result.duplicates.length} likely duplicate{result.duplicates.length !== 1 ? 's were' : ' was'} left
+                  out — “Find duplicates” in the account menu reviews what is already in.
+                </p>
+              )}
+              {result.rejects.length > 0 && (
+                <p>{result.rejects.length} row{result.rejects.length !== 1 ? 's were' : ' was'} rejected:</p>
+              )}
+            </div>
+            {result.rejects.length > 0 && (
+              <ul className="iw-rejects">
+                {result.rejects.map((r) => (
+                  <li key={r.line}>
+                    <span className="iw-rejects__line">Row {r.line}</span>
+                    <span className="iw-rejects__title">{r.data.title || '(no title)'}</span>
+                    <span className="iw-rejects__errors">{Object.values(r.errors).join(' ')}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="iw-footer">
+              <button className="btn-save" onClick={onClose}>Done</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+/**
+ * RecurringModal — view and manage recurring expense series.
+ *
+ * Each row shows the series, its schedule and next due date, with
+ * pause / resume, inline edit and delete. Edits only affect occurrences
+ * that have not been generated yet.
+ */
+import React, { useState } from 'react';
+import { useExpenses } from '../../context/ExpenseContext';
+import { RECURRENCE_FREQUENCIES } from '../../utils/constants';
+import { formatCurrency, formatDate, getTodayString } from '../../utils/formatters';
+import { validateExpense, validateRecurrence } from '../../utils/validation';
+import { describeRule, getNextOccurrence } from '../../utils/recurrence';
+import { isIncome } from '../../utils/cashflow';
+import { orderCategories } from '../../utils/categories';
+import { isSplit, scaleSplits } from '../../utils/splits';
+import { isShared, scaleShared } from '../../utils/sharing';
+import TagInput from '../TagInput/TagInput';
+import './RecurringModal.css';
+
+function toDraft(rule) {
+  return {
+    type:        rule.type,
+    title:       rule.title,
+    amount:      String(rule.amount),
+    currency:    rule.currency,
+    category:    rule.category,
+    description: rule.description || '',
+    tags:        rule.tags || [],
+    frequency:   rule.frequency,
+    ends:        rule.count ? 'after' : rule.endDate ? 'on' : 'never',
+    endDate:     rule.endDate || '',
+    count:       rule.count ? String(rule.count) : '12',
+  };
+}
+
+function RuleEditor({ rule, onSave, onCancel }) {
+  const { categories } = useExpenses();
+  const [draft,  setDraft]  = useState(() => toDraft(rule));
+  const [errors, setErrors] = useState({});
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    // Rules have no single date of their own — only the expense fields are checked here
+    const expense    = validateExpense({ ...draft, date: getTodayString() }, categories);
+    const recurrence = validateRecurrence({ ...draft, startDate: rule.startDate });
+    if (!expense.isValid || !recurrence.isValid) {
+      setErrors({ ...expense.errors, ...recurrence.errors });
+      return;
+    }
+    // A split or shared series keeps its lines, rescaled when the amount changes
+    const amount = parseFloat(draft.amount);
+    onSave({
+      title:       draft.title.trim(),
+      amount,
+      category:    draft.category,
+      ...(isSplit(rule) && amount !== rule.amount && { splits: scaleSplits(rule.splits, amount) }),
+      ...(isShared(rule) && amount !== rule.amount && { shared: scaleShared(rule.shared, amount) }),
+      description: draft.description.trim(),
+      tags:        draft.tags,
+      frequency:   draft.frequency,
+      endDate:     draft.ends === 'on'    ? draft.endDate       : null,
+      count:       draft.ends === 'after' ? Number(draft.count) : null,
+    });
+  }
+
+  return (
+    <form className="rm-editor" onSubmit={handleSave} noValidate>
+      <div className="rm-editor__row">
+        <input name="title" value={draft.title} onChange={handleChange} maxLength={80}
+          className="rm-input" aria-label="Title" />
+        <input name="amount" type="number" step="0.01" min="0.01" value={draft.amount}
+          onChange={handleChange} className="rm-input rm-input--amount" aria-label="Amount" />
+      </div>
+      <div className="rm-editor__row">
+        {isSplit(rule) ? (
+          <span className="rm-input rm-input--static" title="Split series keep their proportions">
+            ✂ Split across {rule.splits.length} categories
+          </span>
+        ) : (
+          <select name="category" value={draft.category} onChange={handleChange}
+            className="rm-input" aria-label="Category">
+            {orderCategories(categories, { type: draft.type, keep: rule.category }).map((c) => (
+              <option key={c.id} value={c.id}>{c.parentId ? '\u00a0\u00a0\u00a0↳ ' : ''}{c.icon} {c.label}</option>
+            ))}
+          </select>
+        )}
+        <select name="frequency" value={draft.frequency} onChange={handleChange}
+          className="rm-input" aria-label="Frequency">
+          {RECURRENCE_FREQUENCIES.map((f) => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="rm-editor__row">
+        <select name="ends" value={draft.ends} onChange={handleChange}
+          className="rm-input" aria-label="Series ends">
+          <option value="never">Never ends</option>
+          <option value="on">Ends on date</option>
+          <option value="after">Ends after…</option>
+        </select>
+        {draft.ends === 'on' && (
+          <input name="endDate" type="date" value={draft.endDate} min={rule.startDate}
+            onChange={handleChange} className="rm-input" aria-label="End date" />
+        )}
+        {draft.ends === 'after' && (
+          <input name="count" type="number" min="1" max="999" step="1" value={draft.count}
+            onChange={handleChange} className="rm-input" aria-label="Total occurrences" />
+        )}
+      </div>
+      <TagInput
+        id={`rm-tags-${rule.id}`}
+        value={draft.tags}
+        onChange={(tags) => { setDraft((prev) => ({ ...prev, tags })); setErrors((prev) => ({ ...prev, tags: undefined })); }}
+        hasError={Boolean(errors.tags)}
+      />
+      {Object.values(errors).filter(Boolean).map((msg) => (
+        <p key={msg} className="rm-error">{msg}</p>
+      ))}
+      <div className="rm-editor__actions">
+        <button type="button" className="btn-cancel" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="btn-save">Save</button>
+      </div>
+    </form>
+  );
+}
+
+function RuleRow({ rule, generatedCount }) {
+  const { updateRecurring, deleteRecurring, getCategory } = useExpenses();
+  const [editing,       setEditing]       = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [purge,         setPurge]         = useState(false);
+
+  const cat  = getCategory(rule.category);
+  const next = getNextOccurrence(rule);
+
+  const status = rule.paused ? 'paused' : next ? 'active' : 'finished';
+  const statusLabel = {
+    active:   `Next: ${next && formatDate(next)}`,
+    paused:   'Paused',
+    finished: 'Finished',
+  }[status];
+
+  if (editing) {
+    return (
+      <li className="rm-rule rm-rule--editing">
+        <RuleEditor
+          rule={rule}
+          onCancel={() => setEditing(false)}
+          onSave={(changes) => { updateRecurring(rule.id, changes); setEditing(false); }}
+        />
+      </li>
+    );
+  }
+
+  return (
+    <li className={`rm-rule rm-rule--${status}`}>
+      <span className="rm-rule__icon">{cat.icon}</span>
+      <div className="rm-rule__info">
+        <span className="rm-rule__title">{rule.title}</span>
+        <span className="rm-rule__meta">
+          {describeRule(rule, formatDate)} · <span className={`rm-status rm-status--${status}`}>{statusLabel}</span>
+        </span>
+      </div>
+      <span className={`rm-rule__amount ${isIncome(rule) ? 'rm-rule__amount--income' : ''}`}>
+        {isIncome(rule) && '+'}{formatCurrency(rule.amount, 'en-US', rule.currency || 'USD')}
+      </span>
+
+      {!confirmDelete ? (
+        <div className="rm-rule__actions">
+          {status !== 'finished' && (
+            <button className="rm-btn" onClick={() => updateRecurring(rule.id, { paused: !rule.paused })}>
+              {rule.paused ? '▶ Resume' : '⏸ Pause'}
+            </button>
+          )}
+          <button className="rm-btn" onClick={() => setEditing(true)}>Edit</button>
+          <button className="rm-btn rm-btn--danger" onClick={() => setConfirmDelete(true)}>Delete</button>
+        </div>
+      ) : (
+        <div className="rm-rule__confirm">
+          {generatedCount > 0 && (
+            <label className="rm-rule__purge">
+              <input type="checkbox" checked={purge} onChange={(e) => setPurge(e.target.checked)} />
+              Also move {generatedCount} generated expense{generatedCount !== 1 ? 's' : ''} to the trash
+            </label>
+          )}
+          <button className="rm-btn rm-btn--danger" onClick={() => deleteRecurring(rule.id, purge)}>Delete series</button>
+          <button className="rm-btn" onClick={() => setConfirmDelete(false)}>Keep</button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default function RecurringModal({ onClose }) {
+  const { recurring, expenses, homeCurrency, toHomeAmount } = useExpenses();
+
+  const generatedCounts = expenses.reduce((acc, e) => {
+    if (e.recurringId) acc[e.recurringId] = (acc[e.recurringId] || 0) + 1;
+    return acc;
+  }, {});
+
+  // Recurring income (paychecks, stipends) is not a commitment; series in
+  // another currency count at today's rate
+  const today = getTodayString();
+  const monthlyCommitment = recurring
+    .filter((r) => !r.paused && !isIncome(r) && getNextOccurrence(r))
+    .reduce((sum, r) => sum + (toHomeAmount(r.amount, r.currency, today) ?? 0) *
+      ({ daily: 30, weekly: 52 / 12, monthly: 1, yearly: 1 / 12 }[r.frequency] || 0), 0);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="recurring-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rm-header">
+          <h2>Recurring Expenses</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        {recurring.length === 0 ? (
+          <div className="rm-empty">
+            <span className="rm-empty__icon">🔁</span>
+            <p>No recurring expenses yet.</p>
+            <span className="rm-empty__hint">Choose a “Repeat” option when adding an expense to start a series.</span>
+          </div>
+        ) : (
+          <>
+            <p className="rm-summary">
+              About <strong>{formatCurrency(monthlyCommitment, 'en-US', homeCurrency)}</strong> per month across {recurring.length} series
+            </p>
+            <ul className="rm-list">
+              {recurring.map((rule) => (
+                <RuleRow key={rule.id} rule={rule} generatedCount={generatedCounts[rule.id] || 0} />
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
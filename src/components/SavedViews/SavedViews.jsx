@@ -0,0 +1,130 @@
+/**
+ * SavedViews — named filter views as quick chips above the filter bar.
+ *
+ * A chip puts back its view's categories, tags, search, date and amount
+ * ranges and sort order in one click, and lights up while the list shows
+ * exactly that view. The current filters can be saved under a new name;
+ * saving under a name already in use points that view at them instead.
+ */
+import React, { useState } from 'react';
+import { useExpenses } from '../../context/ExpenseContext';
+import {
+  DEFAULT_FILTERS, VIEW_NAME_MAX, sameFilters, validateViewName, createView, updateView,
+} from '../../utils/views';
+import './SavedViews.css';
+
+export default function SavedViews() {
+  const {
+    savedViews, applyFilters, saveView, deleteView,
+    filterCategories, filterTags, searchQuery, dateRange, amountRange, sortBy,
+  } = useExpenses();
+  const filters = { filterCategories, filterTags, searchQuery, dateRange, amountRange, sortBy };
+  const [naming,   setNaming]   = useState(false);
+  const [name,     setName]     = useState('');
+  const [error,    setError]    = useState('');
+  const [copied,   setCopied]   = useState(false);
+  const [removing, setRemoving] = useState(null);   // id of the chip asking to confirm
+
+  const isDefault = sameFilters(filters, DEFAULT_FILTERS);
+  const current   = savedViews.find((v) => sameFilters(v.filters, filters));
+  const existing  = savedViews.find((v) => v.name.toLowerCase() === name.trim().toLowerCase());
+
+  if (savedViews.length === 0 && isDefault) return null;
+
+  function handleSave(e) {
+    e.preventDefault();
+    const problem = validateViewName(name);
+    if (problem) { setError(problem); return; }
+    saveView(existing ? updateView(existing, filters) : createView(name, filters));
+    closeForm();
+  }
+
+  function closeForm() {
+    setNaming(false);
+    setName('');
+    setError('');
+  }
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      /* clipboard blocked — the address bar has the same link */
+    }
+  }
+
+  return (
+    <div className="saved-views" role="group" aria-label="Saved views">
+      <span className="saved-views__label">Views</span>
+
+      {savedViews.map((view) => (
+        <span
+          key={view.id}
+          className={`saved-view ${current?.id === view.id ? 'saved-view--active' : ''}`}
+        >
+          {removing === view.id ? (
+            <>
+              <button className="saved-view__apply saved-view__apply--danger" onClick={() => deleteView(view.id)}>
+                Delete “{view.name}”?
+              </button>
+              <button className="saved-view__remove" onClick={() => setRemoving(null)} aria-label="Keep view">
+                ↩
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                className="saved-view__apply"
+                onClick={() => applyFilters(view.filters)}
+                aria-pressed={current?.id === view.id}
+              >
+                {view.name}
+              </button>
+              <button
+                className="saved-view__remove"
+                onClick={() => setRemoving(view.id)}
+                aria-label={`Delete view ${view.name}`}
+              >
+                ✕
+              </button>
+            </>
+          )}
+        </span>
+      ))}
+
+      {naming ? (
+        <form className="saved-views__form" onSubmit={handleSave}>
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => { setName(e.target.value); setError(''); }}
+            onKeyDown={(e) => e.key === 'Escape' && closeForm()}
+            maxLength={VIEW_NAME_MAX}
+            placeholder="e.g. Food this month"
+            className="saved-views__input"
+            aria-label="View name"
+            aria-invalid={Boolean(error)}
+          />
+          <button type="submit" className="saved-views__btn saved-views__btn--primary">
+            {existing ? 'Replace' : 'Save'}
+          </button>
+          <button type="button" className="saved-views__btn" onClick={closeForm}>Cancel</button>
+          {error && <span className="saved-views__error" role="alert">{error}</span>}
+        </form>
+      ) : (
+        !isDefault && (
+          <>
+            {!current && (
+              <button className="saved-views__btn" onClick={() => setNaming(true)}>＋ Save view</button>
+            )}
+            <button className="saved-views__btn" onClick={copyLink}>
+              {copied ? '✓ Link copied' : '🔗 Copy link'}
+            </button>
+          </>
+        )
+      )}
+    </div>
+  );
+}
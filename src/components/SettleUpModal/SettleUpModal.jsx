@@ -0,0 +1,375 @@
+/**
+ * SettleUpModal — balances with the people you share expenses with,
+ * settle-up payments, and the people list itself.
+ *
+ * Balances come from shared expenses and recorded payments (see
+ * sharing.js), in the home currency. Each person's history shows their
+ * running balance; suggested payments square everyone with as few
+ * transfers as possible and open the payment form pre-filled.
+ */
+import React, { useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { useExpenses } from '../../context/ExpenseContext';
+import { CURRENCIES } from '../../utils/constants';
+import { formatCurrency, formatDate, getTodayString } from '../../utils/formatters';
+import { validateSettlement } from '../../utils/validation';
+import { ME, personName, personLedger, countPersonUses } from '../../utils/sharing';
+import { AddPerson } from '../ShareEditor/ShareEditor';
+import './SettleUpModal.css';
+
+const TABS = [
+  { value: 'balances', label: '⚖️ Balances' },
+  { value: 'payments', label: '💸 Payments' },
+  { value: 'people',   label: '👥 People' },
+];
+
+function describeBalance(name, amount, currency) {
+  const you = name === 'You';
+  if (Math.abs(amount) < 0.005) return you ? 'are settled up' : 'is settled up';
+  const money = formatCurrency(Math.abs(amount), 'en-US', currency);
+  if (amount > 0) return you ? `are owed ${money}` : `is owed ${money}`;
+  return you ? `owe ${money}` : `owes ${money}`;
+}
+
+function PaymentForm({ initial, onSave, onCancel }) {
+  const { people, homeCurrency } = useExpenses();
+  const [draft, setDraft] = useState(() => ({
+    from:     initial?.from ?? '',
+    to:       initial?.to ?? ME,
+    amount:   initial?.amount ? initial.amount.toFixed(2) : '',
+    currency: homeCurrency,
+    date:     getTodayString(),
+    note:     '',
+  }));
+  const [errors, setErrors] = useState({});
+  const everyone = [ME, ...people.map((p) => p.id)];
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+    setErrors({});
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    const { isValid, errors: found } = validateSettlement(draft);
+    if (!isValid) {
+      setErrors(found);
+      return;
+    }
+    const now = new Date().toISOString();
+    onSave({
+      id:        uuidv4(),
+      from:      draft.from,
+      to:        draft.to,
+      amount:    parseFloat(draft.amount),
+      currency:  draft.currency,
+      date:      draft.date,
+      note:      draft.note.trim(),
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  return (
+    <form className="rm-editor su-payment-form" onSubmit={handleSave} noValidate>
+      <div className="rm-editor__row">
+        <select name="from" value={draft.from} onChange={handleChange} className="rm-input" aria-label="Who paid">
+          <option value="">— Who paid —</option>
+          {everyone.map((id) => <option key={id} value={id}>{personName(people, id)}</option>)}
+        </select>
+        <span className="su-arrow">→</span>
+        <select name="to" value={draft.to} onChange={handleChange} className="rm-input" aria-label="Who received it">
+          {everyone.map((id) => <option key={id} value={id}>{personName(people, id)}</option>)}
+        </select>
+      </div>
+      <div className="rm-editor__row">
+        <input name="amount" type="number" step="0.01" min="0.01" value={draft.amount} onChange={handleChange}
+          placeholder="0.00" className="rm-input rm-input--amount" aria-label="Amount" />
+        <select name="currency" value={draft.currency} onChange={handleChange}
+          className="rm-input su-currency" aria-label="Currency">
+          {CURRENCIES.map((c) => <option key={c.value} value={c.value}>{c.value}</option>)}
+        </select>
+        <input name="date" type="date" value={draft.date} max={getTodayString()} onChange={handleChange}
+          className="rm-input" aria-label="Date" />
+      </div>
+      <input name="note" value={draft.note} onChange={handleChange} maxLength={80}
+        placeholder="Note (optional) — e.g. Venmo for March rent" className="rm-input" aria-label="Note" />
+      {Object.values(errors).map((msg) => <p key={msg} className="rm-error">{msg}</p>)}
+      <div className="rm-editor__actions">
+        <button type="button" className="btn-cancel" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="btn-save">Record payment</button>
+      </div>
+    </form>
+  );
+}
+
+function BalanceRow({ person, amount }) {
+  const { people, fullHomeExpenses, homeSettlements, homeCurrency } = useExpenses();
+  const [open, setOpen] = useState(false);
+  const name    = personName(people, person);
+  const ledger  = open ? personLedger(person, fullHomeExpenses, homeSettlements, people) : [];
+  const tone    = Math.abs(amount) < 0.005 ? 'even' : amount > 0 ? 'owed' : 'owes';
+
+  return (
+    <li className="rm-rule su-balance">
+      <div className="rm-rule__info">
+        <span className="rm-rule__title">{name}</span>
+        <span className={`rm-rule__meta su-tone--${tone}`}>{name} {describeBalance(name, amount, homeCurrency)}</span>
+      </div>
+      <div className="rm-rule__actions">
+        <button className="rm-btn" onClick={() => setOpen((o) => !o)} aria-expanded={open}>
+          {open ? 'Hide history' : 'History'}
+        </button>
+      </div>
+      {open && (
+        ledger.length === 0 ? (
+          <p className="su-ledger__empty">Nothing shared with {name === 'You' ? 'you' : name} yet.</p>
+        ) : (
+          <table className="su-ledger">
+            <thead>
+              <tr><th>Date</th><th>Entry</th><th>Change</th><th>Balance</th></tr>
+            </thead>
+            <tbody>
+              {ledger.map((entry) => (
+                <tr key={`${entry.kind}-${entry.id}`}>
+                  <td>{formatDate(entry.date)}</td>
+                  <td className="su-ledger__title" title={entry.title}>
+                    {entry.kind === 'settlement' ? '💸 ' : ''}{entry.title}
+                  </td>
+                  <td className={entry.change >= 0 ? 'su-tone--owed' : 'su-tone--owes'}>
+                    {entry.change >= 0 ? '+' : '−'}{formatCurrency(Math.abs(entry.change), 'en-US', homeCurrency)}
+                  </td>
+                  <td>{formatCurrency(entry.balance, 'en-US', homeCurrency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+    </li>
+  );
+}
+
+function PaymentRow({ payment }) {
+  const { people, deleteSettlement, homeCurrency, toHomeAmount } = useExpenses();
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const currency = payment.currency || homeCurrency;
+  const inHome   = currency !== homeCurrency ? toHomeAmount(payment.amount, currency, payment.date) : null;
+
+  return (
+    <li className="rm-rule">
+      <span className="rm-rule__icon">💸</span>
+      <div className="rm-rule__info">
+        <span className="rm-rule__title">
+          {personName(people, payment.from)} paid {personName(people, payment.to)}
+        </span>
+        <span className="rm-rule__meta">
+          {formatDate(payment.date)}{payment.note && ` · ${payment.note}`}
+          {currency !== homeCurrency && (inHome == null
+            ? ` · no ${currency} rate yet`
+            : ` · ≈ ${formatCurrency(inHome, 'en-US', homeCurrency)}`)}
+        </span>
+      </div>
+      <span className="rm-rule__amount">{formatCurrency(payment.amount, 'en-US', currency)}</span>
+      {!confirmDelete ? (
+        <div className="rm-rule__actions">
+          <button className="rm-btn rm-btn--danger" onClick={() => setConfirmDelete(true)}>Delete</button>
+        </div>
+      ) : (
+        <div className="rm-rule__confirm">
+          <button className="rm-btn rm-btn--danger" onClick={() => deleteSettlement(payment.id)}>Delete payment</button>
+          <button className="rm-btn" onClick={() => setConfirmDelete(false)}>Keep</button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+function PersonRow({ person, uses }) {
+  const { updatePerson, deletePerson, people } = useExpenses();
+  const [name,  setName]  = useState(null);   // null = not renaming
+  const [error, setError] = useState('');
+
+  function handleRename(e) {
+    e.preventDefault();
+    const next = name.trim();
+    if (!next) { setError('Please enter a name.'); return; }
+    if (next.length > 40) { setError('Names must be 40 characters or fewer.'); return; }
+    if (people.some((p) => p.id !== person.id && p.name.toLowerCase() === next.toLowerCase())) {
+      setError(`There is already someone called “${next}”.`);
+      return;
+    }
+    updatePerson(person.id, { name: next });
+    setName(null);
+    setError('');
+  }
+
+  if (name !== null) {
+    return (
+      <li className="rm-rule rm-rule--editing">
+        <form className="rm-editor" onSubmit={handleRename} noValidate>
+          <input value={name} onChange={(e) => { setName(e.target.value); setError(''); }} maxLength={40}
+            className="rm-input" aria-label="Name" autoFocus />
+          {error && <p className="rm-error">{error}</p>}
+          <div className="rm-editor__actions">
+            <button type="button" className="btn-cancel" onClick={() => { setName(null); setError(''); }}>Cancel</button>
+            <button type="submit" className="btn-save">Save</button>
+          </div>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li className="rm-rule">
+      <div className="rm-rule__info">
+        <span className="rm-rule__title">{person.name}</span>
+        <span className="rm-rule__meta">
+          {person.accountId ? 'Registered user · ' : ''}
+          {uses} shared {uses === 1 ? 'entry' : 'entries'}
+        </span>
+      </div>
+      <div className="rm-rule__actions">
+        <button className="rm-btn" onClick={() => setName(person.name)}>Rename</button>
+        <button
+          className="rm-btn rm-btn--danger"
+          onClick={() => deletePerson(person.id)}
+          disabled={uses > 0}
+          title={uses > 0 ? 'Still on shared expenses or payments — remove them from those first' : undefined}
+        >
+          Remove
+        </button>
+      </div>
+    </li>
+  );
+}
+
+export default function SettleUpModal({ onClose }) {
+  const {
+    people, settlements, balances, suggestedSettlements, expenses, trash, recurring, homeCurrency, addSettlement,
+  } = useExpenses();
+  const [tab,    setTab]    = useState('balances');
+  const [paying, setPaying] = useState(null);   // null | {} | prefilled { from, to, amount }
+
+  // Trashed expenses count too — they may yet be restored
+  const uses   = countPersonUses([...expenses, ...trash], recurring, settlements);
+  const mine   = balances[ME] ?? 0;
+  // Removed people still show while a balance with them remains
+  const known  = [ME, ...people.map((p) => p.id)];
+  const listed = [...known, ...Object.keys(balances).filter((id) => !known.includes(id))];
+  const sortedPayments = [...settlements].sort((a, b) => b.date.localeCompare(a.date));
+
+  function record(prefill) {
+    setPaying(prefill);
+    setTab('payments');
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="settle-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rm-header">
+          <h2>Shared &amp; Settle Up</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        <div className="cat-toolbar">
+          <div className="cat-tabs" role="tablist">
+            {TABS.map((t) => (
+              <button
+                key={t.value}
+                role="tab"
+                aria-selected={tab === t.value}
+                className={`cat-tab ${tab === t.value ? 'cat-tab--active' : ''}`}
+                onClick={() => setTab(t.value)}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* ── Balances ── */}
+        {tab === 'balances' && (people.length === 0 ? (
+          <div className="rm-empty">
+            <span className="rm-empty__icon">👥</span>
+            <p>Nobody to share with yet.</p>
+            <span className="rm-empty__hint">Add your roommates under “People”, or choose “Share with others” on an expense.</span>
+          </div>
+        ) : (
+          <>
+            <p className="rm-summary">
+              {Math.abs(mine) < 0.005 ? (
+                <>You are <strong>all settled up</strong></>
+              ) : (
+                <>Overall you {mine > 0 ? 'are owed' : 'owe'} <strong>{formatCurrency(Math.abs(mine), 'en-US', homeCurrency)}</strong></>
+              )}
+            </p>
+            <ul className="rm-list">
+              {listed.map((id) => <BalanceRow key={id} person={id} amount={balances[id] ?? 0} />)}
+
+              {suggestedSettlements.length > 0 && (
+                <li className="su-suggestions">
+                  <h3 className="su-heading">Suggested payments</h3>
+                  {suggestedSettlements.map((s) => (
+                    <div key={`${s.from}-${s.to}`} className="su-suggestion">
+                      <span>
+                        {personName(people, s.from)} → {personName(people, s.to)}{' '}
+                        <strong>{formatCurrency(s.amount, 'en-US', homeCurrency)}</strong>
+                      </span>
+                      <button className="rm-btn" onClick={() => record(s)}>Record</button>
+                    </div>
+                  ))}
+                </li>
+              )}
+            </ul>
+          </>
+        ))}
+
+        {/* ── Payments ── */}
+        {tab === 'payments' && (
+          <ul className="rm-list">
+            {paying ? (
+              <li className="rm-rule rm-rule--editing">
+                <PaymentForm
+                  initial={paying}
+                  onCancel={() => setPaying(null)}
+                  onSave={(payment) => { addSettlement(payment); setPaying(null); }}
+                />
+              </li>
+            ) : (
+              <li className="su-toolbar">
+                <button className="rm-btn" onClick={() => setPaying({})} disabled={people.length === 0}>
+                  + Record a payment
+                </button>
+              </li>
+            )}
+            {sortedPayments.map((p) => <PaymentRow key={p.id} payment={p} />)}
+            {sortedPayments.length === 0 && !paying && (
+              <li className="rm-empty">
+                <span className="rm-empty__icon">💸</span>
+                <p>No payments recorded yet.</p>
+                <span className="rm-empty__hint">When someone pays back what they owe, record it here.</span>
+              </li>
+            )}
+          </ul>
+        )}
+
+        {/* ── People ── */}
+        {tab === 'people' && (
+          <ul className="rm-list">
+            <li className="su-toolbar"><AddPerson /></li>
+            {people.map((p) => <PersonRow key={p.id} person={p} uses={uses[p.id] || 0} />)}
+            {people.length === 0 && (
+              <li className="rm-empty">
+                <span className="rm-empty__icon">👥</span>
+                <p>No people yet.</p>
+                <span className="rm-empty__hint">Add roommates by name, or pick another account registered on this browser.</span>
+              </li>
+            )}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+/**
+ * ShareEditor — who an expense is shared between, who paid it and how it
+ * divides (equally, by percentage or in exact amounts).
+ *
+ * Works on the form's draft: `{ paidBy, method, shares: [{ person, value }] }`
+ * with values as typed strings; ExpenseForm turns it into numbers on save.
+ * AddPerson is also used by SettleUpModal to add people outside a form.
+ */
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useExpenses } from '../../context/ExpenseContext';
+import { CURRENCIES } from '../../utils/constants';
+import { formatCurrency } from '../../utils/formatters';
+import { ME, SHARE_METHODS, createPerson, personName, shareAmounts } from '../../utils/sharing';
+import './ShareEditor.css';
+
+const toCents = (n) => Math.round(n * 100) / 100;
+
+export function AddPerson({ onAdded }) {
+  const { people, addPerson } = useExpenses();
+  const { listOtherAccounts } = useAuth();
+  const [name,     setName]     = useState('');
+  const [error,    setError]    = useState('');
+  const [accounts, setAccounts] = useState([]);
+
+  // Other registered users on this browser can be picked by name or email
+  useEffect(() => {
+    let cancelled = false;
+    listOtherAccounts()
+      .then((list) => { if (!cancelled) setAccounts(list); })
+      .catch((err) => console.warn('[ShareEditor] Could not list accounts', err));
+    return () => { cancelled = true; };
+  }, [listOtherAccounts]);
+
+  const linked  = new Set(people.map((p) => p.accountId).filter(Boolean));
+  const offered = accounts.filter((a) => !linked.has(a.id));
+
+  function submit() {
+    const text = name.trim();
+    if (!text) return;
+    if (text.length > 40) {
+      setError('Names must be 40 characters or fewer.');
+      return;
+    }
+    const lower   = text.toLowerCase();
+    const account = offered.find((a) => a.email.toLowerCase() === lower || a.name.toLowerCase() === lower);
+    const label   = account?.name ?? text;
+    const existing = people.find((p) => p.name.toLowerCase() === label.toLowerCase());
+    if (existing) {
+      onAdded?.(existing);
+    } else {
+      const person = createPerson({ name: label, accountId: account?.id ?? null });
+      addPerson(person);
+      onAdded?.(person);
+    }
+    setName('');
+    setError('');
+  }
+
+  return (
+    <div className="add-person">
+      <div className="add-person__row">
+        <input
+          value={name}
+          onChange={(e) => { setName(e.target.value); setError(''); }}
+          onKeyDown={(e) => {
+            // Enter must never submit the surrounding form from here
+            if (e.key === 'Enter') { e.preventDefault(); submit(); }
+          }}
+          list="add-person-accounts"
+          placeholder="Add a person — name or email"
+          maxLength={60}
+          className="add-person__input"
+          aria-label="Person's name"
+        />
+        <button type="button" className="add-person__btn" onClick={submit} disabled={!name.trim()}>
+          Add
+        </button>
+      </div>
+      <datalist id="add-person-accounts">
+        {offered.map((a) => (
+          <option key={a.id} value={a.email}>{a.name}</option>
+        ))}
+      </datalist>
+      {error && <p className="add-person__error">{error}</p>}
+    </div>
+  );
+}
+
+export default function ShareEditor({ value, onChange, amount, currency }) {
+  const { people } = useExpenses();
+  const { paidBy, method, shares } = value;
+  const symbol = CURRENCIES.find((c) => c.value === currency)?.symbol ?? currency;
+
+  const included = new Set(shares.map((s) => s.person));
+  const everyone = [ME, ...people.map((p) => p.id)];
+  // Someone who has since been removed still shows on the expense they were part of
+  const listed   = [...everyone, ...[...included, paidBy].filter((id) => !everyone.includes(id))];
+
+  function set(changes) {
+    onChange({ ...value, ...changes });
+  }
+
+  function togglePerson(id) {
+    set({
+      shares: included.has(id)
+        ? shares.filter((s) => s.person !== id)
+        : [...shares, { person: id, value: '' }],
+    });
+  }
+
+  function setShareValue(id, next) {
+    set({ shares: shares.map((s) => (s.person === id ? { ...s, value: next } : s)) });
+  }
+
+  // Switching method starts the new one from an even split
+  function switchMethod(next) {
+    if (next === method) return;
+    const total = Number(amount) || 0;
+    const even  = next === 'equal' || !shares.length || (next === 'exact' && !total) ? null : shareAmounts({
+      amount: next === 'percent' ? 100 : total,
+      shared: { method: 'equal', shares },
+    });
+    set({
+      method: next,
+      shares: shares.map((s, i) => ({ person: s.person, value: even ? String(even[i].amount) : '' })),
+    });
+  }
+
+  // What everyone comes to, once there is a total and something to divide
+  const total   = Number(amount);
+  const weights = shares.map((s) => (method === 'equal' ? 1 : Number(s.value) || 0));
+  const amounts = total > 0 && weights.some((w) => w > 0)
+    ? shareAmounts({ amount: total, shared: value })
+    : null;
+
+  const sum  = toCents(weights.reduce((t, w) => t + w, 0));
+  const left = method === 'percent' ? toCents(100 - sum)
+    : method === 'exact' && total > 0 ? toCents(total - sum)
+    : null;
+
+  return (
+    <div className="share-editor">
+      <div className="share-editor__people" role="group" aria-label="Shared between">
+        {listed.map((id) => (
+          <button
+            key={id}
+            type="button"
+            className={`share-person ${included.has(id) ? 'share-person--active' : ''}`}
+            onClick={() => togglePerson(id)}
+            aria-pressed={included.has(id)}
+          >
+            {included.has(id) ? '✓ ' : '+ '}{personName(people, id)}
+          </button>
+        ))}
+      </div>
+      <AddPerson onAdded={(person) => { if (!included.has(person.id)) togglePerson(person.id); }} />
+
+      <div className="share-editor__row">
+        <label className="share-editor__paid">
+          Paid by
+          <select value={paidBy} onChange={(e) => set({ paidBy: e.target.value })} className="ef-input ef-select">
+            {listed.map((id) => (
+              <option key={id} value={id}>{personName(people, id)}</option>
+            ))}
+          </select>
+        </label>
+        <div className="share-methods" role="radiogroup" aria-label="Divide">
+          {SHARE_METHODS.map((m) => (
+            <button
+              key={m.value}
+              type="button"
+              role="radio"
+              aria-checked={method === m.value}
+              className={`share-method ${method === m.value ? 'share-method--active' : ''}`}
+              onClick={() => switchMethod(m.value)}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {shares.length > 0 && (
+        <ul className="share-lines">
+          {shares.map((s, i) => (
+            <li key={s.person} className="share-line">
+              <span className="share-line__name">{personName(people, s.person)}</span>
+              {method !== 'equal' && (
+                <div className="ef-input-wrap ef-input-wrap--prefix share-line__input">
+                  {method === 'exact' && <span className="ef-prefix">{symbol}</span>}
+                  <input
+                    type="number"
+                    placeholder={method === 'percent' ? '0' : '0.00'}
+                    step="0.01"
+                    min="0"
+                    value={s.value}
+                    onChange={(e) => setShareValue(s.person, e.target.value)}
+                    className="ef-input ef-input--prefixed"
+                    aria-label={`${personName(people, s.person)}'s share`}
+                  />
+                  {method === 'percent' && <span className="ef-suffix">%</span>}
+                </div>
+              )}
+              {method !== 'exact' && (
+                <span className="share-line__amount">
+                  {amounts ? formatCurrency(amounts[i].amount, 'en-US', currency) : '—'}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {left !== null && shares.length > 0 && (
+        <span className={`ef-splits__left ${left === 0 ? 'ef-splits__left--ok' : ''}`}>
+          {left === 0
+            ? method === 'percent' ? '✓ Adds up to 100%' : '✓ Adds up to the total'
+            : method === 'percent'
+              ? `${Math.abs(left)}% ${left > 0 ? 'left to assign' : 'over 100%'}`
+              : `${formatCurrency(Math.abs(left), 'en-US', currency)} ${left > 0 ? 'left to assign' : 'over the total'}`}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+/**
+ * TagInput — chip-style editor for an expense's tags.
+ *
+ * Enter, comma or Tab turns the typed text into a tag; Backspace on an
+ * empty input removes the last one. While typing, tags already used on
+ * other expenses are offered below (↑ / ↓ to pick, Enter to add).
+ */
+import React, { useState, useRef } from 'react';
+import { useExpenses } from '../../context/ExpenseContext';
+import { normalizeTag, suggestTags } from '../../utils/tags';
+import { VALIDATION_RULES } from '../../utils/validation';
+import './TagInput.css';
+
+export default function TagInput({ id, value, onChange, hasError }) {
+  const { allTags } = useExpenses();
+  const [text,    setText]    = useState('');
+  const [open,    setOpen]    = useState(false);
+  const [active,  setActive]  = useState(-1);
+  const inputRef = useRef(null);
+
+  const full        = value.length >= VALIDATION_RULES.tags.maxCount;
+  const suggestions = open && !full ? suggestTags(allTags, text, value) : [];
+
+  function add(raw) {
+    const tag = normalizeTag(raw).slice(0, VALIDATION_RULES.tags.maxLength);
+    setText('');
+    setActive(-1);
+    if (!tag || value.includes(tag) || full) return;
+    onChange([...value, tag]);
+  }
+
+  function remove(tag) {
+    onChange(value.filter((t) => t !== tag));
+    inputRef.current?.focus();
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === 'ArrowDown' && suggestions.length) {
+      e.preventDefault();
+      setActive((i) => (i + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length) {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === 'Enter' || e.key === ',' || (e.key === 'Tab' && text.trim())) {
+      // Enter must never submit the surrounding form from here
+      e.preventDefault();
+      if (active >= 0 && suggestions[active]) add(suggestions[active]);
+      else if (text.trim()) add(text);
+    } else if (e.key === 'Backspace' && !text && value.length) {
+      onChange(value.slice(0, -1));
+    } else if (e.key === 'Escape' && suggestions.length) {
+      // Close the suggestions without closing the form
+      e.stopPropagation();
+      setOpen(false);
+    }
+  }
+
+  function handleChange(e) {
+    const next = e.target.value;
+    // Pasting "a, b, c" adds every complete tag at once
+    if (next.includes(',')) {
+      const parts = next.split(',');
+      const tags  = parts.slice(0, -1).map(normalizeTag).filter((t) => t && !value.includes(t));
+      onChange([...value, ...new Set(tags)].slice(0, VALIDATION_RULES.tags.maxCount));
+      setText(parts[parts.length - 1]);
+    } else {
+      setText(next);
+    }
+    setActive(-1);
+    setOpen(true);
+  }
+
+  return (
+    <div className="tag-input-wrap">
+      <div
+        className={`tag-input ${hasError ? 'tag-input--error' : ''}`}
+        onClick={() => inputRef.current?.focus()}
+      >
+        {value.map((tag) => (
+          <span key={tag} className="tag-chip">
+            #{tag}
+            <button type="button" className="tag-chip__remove" onClick={() => remove(tag)} aria-label={`Remove tag ${tag}`}>
+              ✕
+            </button>
+          </span>
+        ))}
+        <input
+          id={id}
+          ref={inputRef}
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => { setOpen(false); if (text.trim()) add(text); }}
+          placeholder={value.length ? '' : 'e.g. spring-break-trip, reimbursable'}
+          disabled={full}
+          className="tag-input__field"
+          autoComplete="off"
+          role="combobox"
+          aria-expanded={suggestions.length > 0}
+          aria-controls={`${id}-suggestions`}
+        />
+      </div>
+      {suggestions.length > 0 && (
+        <ul id={`${id}-suggestions`} className="tag-suggestions" role="listbox">
+          {suggestions.map((tag, i) => (
+            <li
+              key={tag}
+              role="option"
+              aria-selected={i === active}
+              className={`tag-suggestions__item ${i === active ? 'tag-suggestions__item--active' : ''}`}
+              // mousedown fires before the input's blur, which would otherwise add the typed text
+              onMouseDown={(e) => { e.preventDefault(); add(tag); }}
+            >
+              #{tag}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
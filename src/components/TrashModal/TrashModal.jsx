@@ -0,0 +1,128 @@
+/**
+ * TrashModal — deleted expenses waiting to be purged.
+ *
+ * Each entry can be restored or deleted for good; the whole trash can be
+ * restored or emptied at once. The account's trash period is picked here
+ * too — entries older than it are purged automatically (see trash.js).
+ */
+import React, { useState } from 'react';
+import { useExpenses } from '../../context/ExpenseContext';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import { currencyOf } from '../../utils/currency';
+import { isIncome } from '../../utils/cashflow';
+import { attachmentsOf } from '../../utils/attachments';
+import { TRASH_DAYS_OPTIONS, daysUntilPurge } from '../../utils/trash';
+import './TrashModal.css';
+
+// deletedAt is a timestamp, so it is shown in local time rather than sliced
+const formatDeletedAt = (iso) =>
+  new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+function describePurge(days) {
+  if (days === 0) return 'deleted for good today';
+  return `deleted for good in ${days} day${days === 1 ? '' : 's'}`;
+}
+
+function TrashRow({ expense }) {
+  const { getCategory, restoreExpenses, purgeExpenses, trashDays } = useExpenses();
+  const [confirmPurge, setConfirmPurge] = useState(false);
+  const category = getCategory(expense.category);
+  const files    = attachmentsOf(expense).length;
+
+  return (
+    <li className="rm-rule">
+      <span className="rm-rule__icon">{category.icon}</span>
+      <div className="rm-rule__info">
+        <span className="rm-rule__title">{expense.title}</span>
+        <span className="rm-rule__meta">
+          {formatDate(expense.date)} · removed {formatDeletedAt(expense.deletedAt)}
+          {files > 0 && ` · 📎 ${files}`}
+        </span>
+        <span className="trash-row__purge">{describePurge(daysUntilPurge(expense, trashDays))}</span>
+      </div>
+      <span className={`rm-rule__amount ${isIncome(expense) ? 'rm-rule__amount--income' : ''}`}>
+        {isIncome(expense) && '+'}{formatCurrency(expense.amount, 'en-US', currencyOf(expense))}
+      </span>
+      {!confirmPurge ? (
+        <div className="rm-rule__actions">
+          <button className="rm-btn" onClick={() => restoreExpenses([expense.id])}>Restore</button>
+          <button className="rm-btn rm-btn--danger" onClick={() => setConfirmPurge(true)}>Delete forever</button>
+        </div>
+      ) : (
+        <div className="rm-rule__confirm">
+          <button className="rm-btn rm-btn--danger" onClick={() => purgeExpenses([expense.id])}>
+            Delete{files > 0 ? ' with receipts' : ''} — no undo
+          </button>
+          <button className="rm-btn" onClick={() => setConfirmPurge(false)}>Keep</button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default function TrashModal({ onClose }) {
+  const { trash, trashDays, setTrashDays, restoreExpenses, purgeExpenses } = useExpenses();
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+  const ids = trash.map((e) => e.id);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="trash-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rm-header">
+          <h2>🗑 Trash</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        <div className="trash-settings">
+          <label htmlFor="trash-days">Keep deleted expenses for</label>
+          <select
+            id="trash-days"
+            value={trashDays}
+            onChange={(e) => setTrashDays(Number(e.target.value))}
+            className="rm-input trash-settings__select"
+          >
+            {TRASH_DAYS_OPTIONS.map((d) => (
+              <option key={d} value={d}>{d} days</option>
+            ))}
+          </select>
+          <span className="trash-settings__hint">then they are deleted for good.</span>
+        </div>
+
+        {trash.length === 0 ? (
+          <div className="rm-empty">
+            <span className="rm-empty__icon">🗑</span>
+            <p>The trash is empty.</p>
+            <span className="rm-empty__hint">Deleted expenses wait here in case you need them back.</span>
+          </div>
+        ) : (
+          <>
+            <div className="trash-toolbar">
+              <p className="rm-summary">
+                <strong>{trash.length}</strong> deleted expense{trash.length === 1 ? '' : 's'} — left out of every total and chart
+              </p>
+              {!confirmEmpty ? (
+                <div className="rm-rule__actions">
+                  <button className="rm-btn" onClick={() => restoreExpenses(ids)}>Restore all</button>
+                  <button className="rm-btn rm-btn--danger" onClick={() => setConfirmEmpty(true)}>Empty trash</button>
+                </div>
+              ) : (
+                <div className="rm-rule__confirm">
+                  <button
+                    className="rm-btn rm-btn--danger"
+                    onClick={() => { purgeExpenses(ids); setConfirmEmpty(false); }}
+                  >
+                    Delete all {trash.length} — no undo
+                  </button>
+                  <button className="rm-btn" onClick={() => setConfirmEmpty(false)}>Keep</button>
+                </div>
+              )}
+            </div>
+            <ul className="rm-list">
+              {trash.map((e) => <TrashRow key={e.id} expense={e} />)}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+/**
+ * UndoToast
+ *
+ * Owns the Undo / Redo keyboard shortcuts — Ctrl+Z and Ctrl+Shift+Z (or
+ * Ctrl+Y; ⌘ on a Mac) — and the toast that follows:
+ *   • after a destructive change (delete, import, restore), offering Undo
+ *   • after an undo or redo, offering the opposite
+ *
+ * The toast's button always acts on the step it names: once anything else
+ * changes the history the toast goes away rather than undo something else.
+ * Shortcuts are left to the browser while typing in a field.
+ */
+import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { useExpenses } from '../../context/ExpenseContext';
+import './UndoToast.css';
+
+const SHOW_FOR_MS = 6000;
+
+export default function UndoToast() {
+  const { undoStep, redoStep, undo, redo } = useExpenses();
+  const [toast, setToast] = useState(null);   // { text, step, offer: 'undo' | 'redo' }
+  const seenRef = useRef(new WeakSet());
+
+  // A step not seen before is a new change; only destructive ones get a toast
+  useEffect(() => {
+    if (!undoStep || seenRef.current.has(undoStep)) return;
+    seenRef.current.add(undoStep);
+    if (undoStep.destructive) setToast({ text: undoStep.label, step: undoStep, offer: 'undo' });
+  }, [undoStep]);
+
+  useEffect(() => {
+    if (!toast) return undefined;
+    const timer = setTimeout(() => setToast(null), SHOW_FOR_MS);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  const handleUndo = useCallback(() => {
+    if (!undoStep) return;
+    undo();
+    setToast({ text: `Undone: ${undoStep.label}`, step: undoStep, offer: 'redo' });
+  }, [undoStep, undo]);
+
+  const handleRedo = useCallback(() => {
+    if (!redoStep) return;
+    redo();
+    setToast({ text: `Redone: ${redoStep.label}`, step: redoStep, offer: 'undo' });
+  }, [redoStep, redo]);
+
+  // ── Keyboard shortcuts ──────────────────────────────────────────────────────
+  useEffect(() => {
+    const handler = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key    = e.key.toLowerCase();
+      const isUndo = key === 'z' && !e.shiftKey;
+      const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+      if (!isUndo && !isRedo) return;
+      // Text fields keep their own undo
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      e.preventDefault();
+      if (isUndo) handleUndo();
+      else handleRedo();
+    };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [handleUndo, handleRedo]);
+
+  const current = toast && (toast.offer === 'undo' ? undoStep : redoStep) === toast.step;
+  if (!current) return null;
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className="undo-toast__msg">{toast.text}</span>
+      <button
+        className="undo-toast__action"
+        onClick={toast.offer === 'undo' ? handleUndo : handleRedo}
+        title={toast.offer === 'undo' ? 'Undo (Ctrl+Z)' : 'Redo (Ctrl+Shift+Z)'}
+      >
+        {toast.offer === 'undo' ? '↶ Undo' : '↷ Redo'}
+      </button>
+      <button className="undo-toast__dismiss" onClick={() => setToast(null)} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}
@@ -2,13 +2,12 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import AuthModal from '../AuthModal/AuthModal';
 import { useExpenses } from '../../context/ExpenseContext';
-import { getUserCount } from '../../utils/userStorage';
 import { gravatarUrl } from '../../utils/md5';
 import './UserMenu.css';
 
-export default function UserMenu() {
-  const { currentUser, isAuthenticated, signOut } = useAuth();
-  const { expenses } = useExpenses();
+export default function UserMenu({ onOpenPanel }) {
+  const { currentUser, lockedUser, isAuthenticated, signOut, userCount } = useAuth();
+  const { expenses, trash } = useExpenses();
 
   const [showDropdown, setShowDropdown] = useState(false);
   const [showSignIn,   setShowSignIn]   = useState(false);
@@ -18,6 +17,9 @@ export default function UserMenu() {
   // Reset photo error when user changes
   useEffect(() => { setPhotoError(false); }, [currentUser?.email]);
 
+  // A restored session needs the password again — open the panel for it
+  useEffect(() => { if (lockedUser) setShowSignIn(true); }, [lockedUser]);
+
   // Close both panels on outside click
   useEffect(() => {
     function onClickOutside(e) {
@@ -30,8 +32,6 @@ export default function UserMenu() {
     return () => document.removeEventListener('mousedown', onClickOutside);
   }, []);
 
-  const userCount = getUserCount();
-
   // ── GUEST ──────────────────────────────────────────────────────────────────
   if (!isAuthenticated) {
     return (
@@ -39,7 +39,7 @@ export default function UserMenu() {
         <button
           className={`um-signin-btn ${showSignIn ? 'um-signin-btn--active' : ''}`}
           onClick={() => setShowSignIn((p) => !p)}
-          title="Sign in to save your expenses"
+          title={lockedUser ? `Enter your password to unlock ${lockedUser.name}'s data` : 'Sign in to save your expenses'}
           aria-expanded={showSignIn}
         >
           <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" strokeWidth="2">
@@ -47,12 +47,16 @@ export default function UserMenu() {
             <polyline points="10 17 15 12 10 7"/>
             <line x1="15" y1="12" x2="3" y2="12"/>
           </svg>
-          Sign In
+          {lockedUser ? 'Unlock' : 'Sign In'}
         </button>
 
         {showSignIn && (
           <div className="um-signin-panel">
-            <AuthModal onClose={() => setShowSignIn(false)} guestExpenseCount={expenses.length} />
+            <AuthModal
+              onClose={() => setShowSignIn(false)}
+              guestExpenseCount={expenses.length}
+              lockedAccount={lockedUser}
+            />
           </div>
         )}
       </div>
@@ -131,6 +135,53 @@ export default function UserMenu() {
 
           <div className="um-dropdown__divider" />
 
+          <div className="um-dropdown__tools">
+            <button
+              className="um-dropdown__item"
+              onClick={() => { onOpenPanel('categories'); setShowDropdown(false); }}
+            >
+              <span className="um-dropdown__item-icon">🏷️</span>
+              Manage categories
+            </button>
+            <button
+              className="um-dropdown__item"
+              onClick={() => { onOpenPanel('sharing'); setShowDropdown(false); }}
+            >
+              <span className="um-dropdown__item-icon">👥</span>
+              Shared &amp; settle up
+            </button>
+            <button
+              className="um-dropdown__item"
+              onClick={() => { onOpenPanel('trash'); setShowDropdown(false); }}
+            >
+              <span className="um-dropdown__item-icon">🗑</span>
+              Trash{trash.length > 0 && <span className="um-dropdown__badge">{trash.length}</span>}
+            </button>
+            <button
+              className="um-dropdown__item"
+              onClick={() => { onOpenPanel('duplicates'); setShowDropdown(false); }}
+            >
+              <span className="um-dropdown__item-icon">⧉</span>
+              Find duplicates
+            </button>
+            <button
+              className="um-dropdown__item"
+              onClick={() => { onOpenPanel('import'); setShowDropdown(false); }}
+            >
+              <span className="um-dropdown__item-icon">📥</span>
+              Import from CSV
+            </button>
+            <button
+              className="um-dropdown__item"
+              onClick={() => { onOpenPanel('backup'); setShowDropdown(false); }}
+            >
+              <span className="um-dropdown__item-icon">💾</span>
+              Backup &amp; restore
+            </button>
+          </div>
+
+          <div className="um-dropdown__divider" />
+
           <button
             className="um-dropdown__signout"
             onClick={() => { signOut(); setShowDropdown(false); }}
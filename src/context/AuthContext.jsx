@@ -2,21 +2,32 @@
  * AuthContext — manages the signed-in user across the app.
  *
  * Responsibilities
- *  • Restore session from localStorage on mount (so refresh keeps you logged in)
- *  • Provide signIn(profile) / signOut()
+ *  • Restore session on mount — as a locked account: the key that decrypts
+ *    the user's data lives only in memory, so after a refresh the password
+ *    is asked for again before anything is loaded
+ *  • Hold that AES-GCM key (derived at sign-in) for ExpenseContext's
+ *    loads and saves; it is never written anywhere
+ *  • Provide signIn(profile) / signOut() — both go through the async
+ *    storage adapter (IndexedDB, or localStorage as a fallback)
+ *  • Follow sign-out (and account switches) made in other tabs
  *  • Expose pendingGuestExpenses so ExpenseContext can offer an import dialog
  *    when a guest signs in after already adding expenses
  */
 import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
 import {
   emailToUserId,
-  loadUserData,
-  saveUserData,
   getSessionUserId,
   setSessionUserId,
   clearSession,
-  getUserCount,
 } from '../utils/userStorage';
+import { getStorage } from '../utils/storageAdapter';
+import { readLegacyGuestData, clearLegacyGuestData } from '../utils/migrations';
+import { broadcast, subscribe } from '../utils/tabSync';
+import { hashPassword, verifyPassword, needsRehash, splitCredentials } from '../utils/password';
+import { createEncryptionSalt, deriveEncryptionKey } from '../utils/encryption';
+
+// currentUser = stored profile minus its credentials
+const toCurrentUser = (id, storedProfile) => ({ id, ...splitCredentials(storedProfile).profile });
 
 // ─── Context shape ─────────────────────────────────────────────────────────────
 const AuthContext = createContext(null);
@@ -25,25 +36,81 @@ const AuthContext = createContext(null);
 export function AuthProvider({ children }) {
   const [currentUser, setCurrentUser] = useState(null);   // null = guest
   const [authReady, setAuthReady]     = useState(false);  // true once session restored
+  const [userCount, setUserCount]     = useState(0);
+  const [lockedUser, setLockedUser]   = useState(null);   // restored session awaiting password
+  const [encryptionKey, setEncryptionKey] = useState(null);
 
   // Ref so ExpenseContext can read guest expenses at sign-in time
   // ExpenseContext will call registerGuestExpenseGetter(getter)
   const guestExpensesGetterRef = useRef(null);
 
-  // ── Restore session from localStorage ────────────────────────────────────────
+  const refreshUserCount = useCallback(async () => {
+    const storage = await getStorage();
+    setUserCount(await storage.getUserCount());
+  }, []);
+
+  // ── Restore session ──────────────────────────────────────────────────────────
   useEffect(() => {
-    const savedId = getSessionUserId();
-    if (savedId) {
-      const stored = loadUserData(savedId);
-      if (stored?.profile) {
-        setCurrentUser({ id: savedId, ...stored.profile });
-      } else {
-        clearSession(); // stale session
+    let cancelled = false;
+    (async () => {
+      const savedId = getSessionUserId();
+      if (savedId) {
+        const storage = await getStorage();
+        const stored  = await storage.loadUserData(savedId);
+        if (cancelled) return;
+        if (stored?.profile) {
+          setLockedUser(toCurrentUser(savedId, stored.profile));
+        } else {
+          clearSession(); // stale session
+        }
       }
+      await refreshUserCount();
+      if (!cancelled) setAuthReady(true);
+    })();
+    return () => { cancelled = true; };
+  }, [refreshUserCount]);
+
+  // ── Follow session changes made in other tabs ─────────────────────────────────
+  // The session pointer is shared, so a tab left on the old account would
+  // silently come back as the other tab's user on its next refresh. This tab
+  // has no key for the new account, so it switches to it locked. Guests stay
+  // guests — switching would throw away their unsaved expenses.
+  const activeUserId = currentUser?.id ?? lockedUser?.id ?? null;
+  useEffect(() => subscribe(async (msg) => {
+    if (msg.type !== 'session') return;
+    refreshUserCount();
+    if (!msg.userId) {
+      setCurrentUser(null);
+      setLockedUser(null);
+      setEncryptionKey(null);
+      return;
     }
-    setAuthReady(true);
+    if (!activeUserId || activeUserId === msg.userId) return;
+    const storage = await getStorage();
+    const stored  = await storage.loadUserData(msg.userId);
+    if (stored?.profile) {
+      setCurrentUser(null);
+      setEncryptionKey(null);
+      setLockedUser(toCurrentUser(msg.userId, stored.profile));
+    }
+  }), [activeUserId, refreshUserCount]);
+
+  // ── lookupAccount — used by AuthModal to pick the password vs register step ──
+  const lookupAccount = useCallback(async (email) => {
+    const storage = await getStorage();
+    const stored  = await storage.loadUserData(emailToUserId(email));
+    return stored?.profile ? splitCredentials(stored.profile).profile : null;
   }, []);
 
+  // ── listOtherAccounts — registered users a shared expense can name ──────────
+  const listOtherAccounts = useCallback(async () => {
+    const storage = await getStorage();
+    const users   = await storage.listProfiles();
+    return users
+      .filter((u) => u.id !== currentUser?.id)
+      .map((u) => toCurrentUser(u.id, u.profile));
+  }, [currentUser?.id]);
+
   // ── registerGuestExpenseGetter ────────────────────────────────────────────────
   // ExpenseContext registers a getter so AuthContext can read guest expenses
   const registerGuestExpenseGetter = useCallback((getter) => {
@@ -52,26 +119,48 @@ export function AuthProvider({ children }) {
 
   // ── signIn ────────────────────────────────────────────────────────────────────
   /**
-   * @param {object} profile       { name, email, color, avatar }
-   * @param {string} passwordHash  md5(password + ':asu:' + email)
-   * @returns {{ success, error?, imported?, count? }}
+   * @param {object} profile   { name, email, color, avatar }
+   * @param {string} password  plain text — only ever hashed, never stored
+   * @returns {Promise<{ success, error?, imported?, count? }>}
    */
-  const signIn = useCallback((profile, passwordHash) => {
+  const signIn = useCallback(async (profile, password) => {
     const id      = emailToUserId(profile.email);
-    const stored  = loadUserData(id);
+    const storage = await getStorage();
+    const stored  = await storage.loadUserData(id);
 
-    // Returning user — verify password before doing anything else
+    // Returning user — verify password before doing anything else.
+    // Old MD5 hashes (and outdated iteration counts) are upgraded right here.
+    let credentials;
     if (stored?.profile) {
-      if (stored.profile.passwordHash !== passwordHash) {
+      if (!(await verifyPassword(password, stored.profile))) {
         return { success: false, error: 'Incorrect password. Please try again.' };
       }
+      credentials = needsRehash(stored.profile)
+        ? await hashPassword(password)
+        : splitCredentials(stored.profile).credentials;
+    } else {
+      credentials = await hashPassword(password);
+    }
+    const publicProfile = splitCredentials(profile).profile;
+    delete publicProfile.id;   // unlocking passes the locked account, id included
+
+    // Derive the data key; a locked (encrypted) record can only be read with it
+    const encryptionSalt = stored?.profile?.encryptionSalt ?? createEncryptionSalt();
+    const key = await deriveEncryptionKey(password, encryptionSalt);
+    let full = stored;
+    if (stored?.locked) {
+      try {
+        full = await storage.loadUserData(id, key);
+      } catch {
+        return { success: false, error: 'Your saved data could not be decrypted.' };
+      }
     }
 
     // Collect any in-memory guest expenses BEFORE we switch user
     const guestExpenses = guestExpensesGetterRef.current?.() ?? [];
 
     // Build the user's expense list
-    let expenses = stored?.expenses ?? [];
+    let expenses = full?.expenses ?? [];
     let imported = false;
 
     if (guestExpenses.length > 0) {
@@ -81,38 +170,71 @@ export function AuthProvider({ children }) {
       imported = fresh.length > 0;
     }
 
-    const budget = stored?.budget ?? 0;
-
-    // Persist (store/update profile with passwordHash so it survives refresh)
-    saveUserData(id, { profile: { ...profile, passwordHash }, expenses, budget });
+    // Legacy guest data (already part of guestExpenses) also brings its budget
+    const legacy = readLegacyGuestData();
+
+    // Persist (store/update profile with credentials so it survives refresh)
+    await storage.saveUserData(id, {
+      ...full,
+      profile:         { ...publicProfile, ...credentials, encryptionSalt },
+      expenses,
+      budget:          full?.budget || legacy?.budget || 0,
+      categoryBudgets: full?.categoryBudgets ?? {},
+      recurring:       full?.recurring       ?? [],
+    }, key);
+    if (legacy) clearLegacyGuestData();
     setSessionUserId(id);
-    setCurrentUser({ id, ...profile });
+    setEncryptionKey(key);
+    setLockedUser(null);
+    setCurrentUser({ id, ...publicProfile });
+    refreshUserCount();
+    broadcast({ type: 'user-data', userId: id });
+    broadcast({ type: 'session',   userId: id });
 
     return { success: true, imported, count: guestExpenses.length };
-  }, []);
+  }, [refreshUserCount]);
 
   // ── signOut ───────────────────────────────────────────────────────────────────
   const signOut = useCallback(() => {
     clearSession();
     setCurrentUser(null);
+    setLockedUser(null);
+    setEncryptionKey(null);
+    broadcast({ type: 'session', userId: null });
   }, []);
 
   // ── Save helper (used by ExpenseContext to persist user data) ─────────────────
-  const persistUserData = useCallback(({ expenses, budget }) => {
+  /**
+   * @param {object} record  the stored record with new data merged in. Its
+   *                         profile is kept as-is: it carries the password
+   *                         credentials, which currentUser never holds.
+   *                         Without one the stored profile is read again;
+   *                         a record with no credentials is never written.
+   */
+  const persistUserData = useCallback(async (record) => {
     if (!currentUser) return;
-    const { id, ...profile } = currentUser;
-    saveUserData(id, { profile, expenses, budget });
-  }, [currentUser]);
+    const { id } = currentUser;
+    const storage = await getStorage();
+    const profile = record.profile ?? (await storage.loadUserData(id, encryptionKey))?.profile;
+    if (!profile?.passwordHash) {
+      throw new Error(`[Auth] No stored credentials for user "${id}" — not saving`);
+    }
+    await storage.saveUserData(id, { ...record, profile }, encryptionKey);
+  }, [currentUser, encryptionKey]);
 
   const value = {
     currentUser,          // null | { id, name, email, color, avatar }
+    lockedUser,           // null | same shape — session restored, password needed
+    encryptionKey,        // CryptoKey for currentUser's data (memory only)
     authReady,            // wait for this before rendering expense data
     isAuthenticated: Boolean(currentUser),
     signIn,
     signOut,
+    lookupAccount,
+    listOtherAccounts,
     persistUserData,
     registerGuestExpenseGetter,
-    userCount: getUserCount(),
+    userCount,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -3,50 +3,221 @@
  *
  * Key behaviours
  *  • Guest (not signed in): expenses live only in React state (lost on refresh).
- *  • Signed-in user: expenses are read from / written to their slot in
- *    localStorage (via userStorage) so they survive refresh.
+ *  • Signed-in user: expenses are read from / written to their record via
+ *    the async storage adapter (IndexedDB, localStorage fallback) so they
+ *    survive refresh, encrypted with the key AuthContext derived at sign-in.
+ *    `ownerId` records whose data is in state, so nothing is written back
+ *    until the signed-in user's own data has finished loading.
  *  • When currentUser changes (sign-in / sign-out) the expense list is
  *    re-hydrated from the new user's stored data.
  *  • Registers a getter with AuthContext so AuthContext can read in-memory
  *    guest expenses at sign-in time and offer to import them.
+ *  • Income lives in the same list (`type: 'income'`) but is kept out of
+ *    every spending total and budget figure below.
+ *  • Each transaction keeps the currency it was paid in; totals, budgets
+ *    and charts work in the user's home currency, converted with their
+ *    exchange-rate table (see currency.js).
+ *  • Categories are the user's own list (see categories.js). Category
+ *    totals roll subcategories up into their parent, and filtering by a
+ *    category includes its subcategories.
+ *  • Expenses can carry free-form tags (see tags.js); the tag filter keeps
+ *    entries that have every selected tag.
+ *  • A split expense (see splits.js) counts towards each of its line items'
+ *    categories, and shows up under every one of them when filtering.
+ *  • A shared expense (see sharing.js) counts only your share towards your
+ *    spending; balances with the people you share with come from shared
+ *    expenses and the settle-up payments recorded between them.
+ *  • Receipt files (see attachments.js) are stored next to the record, not
+ *    in state; expenses only list them. Once neither an expense nor an
+ *    undo step lists a file any more, the stored file is deleted too.
+ *  • Deleting an expense moves it to the trash (see trash.js): it stays in
+ *    `state.expenses`, stamped `deletedAt`, but only `trash` exposes it —
+ *    every list, total and chart works on the rest. Trashed entries are
+ *    purged for good after the account's `trashDays`.
+ *  • The filter and sort state is mirrored in the URL query string (see
+ *    views.js), so a filtered list can be bookmarked and survives a reload;
+ *    named views are saved per account next to the expenses, as is how
+ *    the list is grouped (see grouping.js).
+ *  • A selection of expenses can be edited in one go (see bulk.js); each
+ *    batch edit is a single action, so it is undone and saved as one.
+ *  • Likely duplicates (see duplicates.js) are merged — the other entry
+ *    going to the trash — or marked as not duplicates, one pair at a time.
+ *  • Changes to the data can be undone and redone (see history.js); the
+ *    history belongs to this tab and starts over when another user's
+ *    data is loaded.
+ *  • Recurring rules are stored next to the expenses; any occurrences that
+ *    fell due since the last visit are materialised right after loading.
+ *  • Saves never overwrite blindly: each one merges state by id + updatedAt
+ *    (see tabSync.js) with the stored record — kept in memory as last read
+ *    or written, and read again when another tab says it saved — writes the
+ *    result and tells other tabs, which then merge it into their own state.
+ *    Saves run one at a time through a promise queue.
  */
 import React, {
-  createContext, useContext, useReducer,
-  useEffect, useCallback, useRef,
+  createContext, useContext, useReducer, useState,
+  useEffect, useCallback, useRef, useMemo,
 } from 'react';
 import { useAuth } from './AuthContext';
-import { loadUserData } from '../utils/userStorage';
+import { getStorage } from '../utils/storageAdapter';
+import { readLegacyGuestData } from '../utils/migrations';
+import { broadcast, subscribe, mergeUserData, knownIds } from '../utils/tabSync';
+import { materializeRecurring, reviseRule } from '../utils/recurrence';
+import { getTodayString } from '../utils/formatters';
+import { splitByType } from '../utils/cashflow';
+import { convertToHome, convertAmount, convertBudgets } from '../utils/currency';
+import { DEFAULT_CURRENCY } from '../utils/constants';
+import {
+  DEFAULT_CATEGORIES, findCategory, isInCategory, rollUpTotals, removeCategory,
+} from '../utils/categories';
+import { categorySharesOf, categoriesOf } from '../utils/splits';
+import { collectTags, hasAllTags } from '../utils/tags';
+import { ownShare, getBalances, suggestSettlements } from '../utils/sharing';
+import { attachmentsOf, describeAttachment, makeThumbnail } from '../utils/attachments';
+import {
+  EMPTY_HISTORY, HISTORY_LIMIT, diffChange, applyChange, expensesInHistory, forgetExpenses,
+} from '../utils/history';
+import { parseQuery, matchesQuery } from '../utils/query';
+import { DEFAULT_FILTERS, pickFilters, filtersToSearch, filtersFromSearch } from '../utils/views';
+import { DEFAULT_GROUPING } from '../utils/grouping';
+import {
+  EMPTY_DATE_RANGE, EMPTY_AMOUNT_RANGE, isRangeSet, inDateRange, inAmountRange,
+} from '../utils/filters';
+import {
+  DEFAULT_TRASH_DAYS, isTrashed, moveToTrash, restoreFromTrash, expiredTrash,
+} from '../utils/trash';
+import { setCategory, editTags, shiftDate } from '../utils/bulk';
+import { mergePair, dismissPair } from '../utils/duplicates';
 
 // ─── Action Types ──────────────────────────────────────────────────────────────
 export const ACTIONS = {
-  ADD_EXPENSE:         'ADD_EXPENSE',
-  UPDATE_EXPENSE:      'UPDATE_EXPENSE',
-  DELETE_EXPENSE:      'DELETE_EXPENSE',
-  SET_FILTER_CATEGORY: 'SET_FILTER_CATEGORY',
-  SET_SEARCH_QUERY:    'SET_SEARCH_QUERY',
-  SET_SORT:            'SET_SORT',
-  SET_BUDGET:          'SET_BUDGET',
-  LOAD_EXPENSES:       'LOAD_EXPENSES',
+  ADD_EXPENSE:          'ADD_EXPENSE',
+  UPDATE_EXPENSE:       'UPDATE_EXPENSE',
+  DELETE_EXPENSE:       'DELETE_EXPENSE',
+  RESTORE_EXPENSES:     'RESTORE_EXPENSES',
+  PURGE_EXPENSES:       'PURGE_EXPENSES',
+  IMPORT_EXPENSES:      'IMPORT_EXPENSES',
+  BULK_SET_CATEGORY:    'BULK_SET_CATEGORY',
+  BULK_EDIT_TAGS:       'BULK_EDIT_TAGS',
+  BULK_SHIFT_DATES:     'BULK_SHIFT_DATES',
+  BULK_DELETE:          'BULK_DELETE',
+  MERGE_DUPLICATES:     'MERGE_DUPLICATES',
+  DISMISS_DUPLICATES:   'DISMISS_DUPLICATES',
+  SET_FILTER_CATEGORIES: 'SET_FILTER_CATEGORIES',
+  SET_FILTER_TAGS:      'SET_FILTER_TAGS',
+  SET_SEARCH_QUERY:     'SET_SEARCH_QUERY',
+  SET_SORT:             'SET_SORT',
+  SET_DATE_RANGE:       'SET_DATE_RANGE',
+  SET_AMOUNT_RANGE:     'SET_AMOUNT_RANGE',
+  CLEAR_FILTERS:        'CLEAR_FILTERS',
+  APPLY_FILTERS:        'APPLY_FILTERS',
+  SAVE_VIEW:            'SAVE_VIEW',
+  DELETE_VIEW:          'DELETE_VIEW',
+  SET_BUDGET:           'SET_BUDGET',
+  SET_CATEGORY_BUDGETS: 'SET_CATEGORY_BUDGETS',
+  SET_TRASH_DAYS:       'SET_TRASH_DAYS',
+  SET_LIST_GROUPING:    'SET_LIST_GROUPING',
+  LOAD_EXPENSES:        'LOAD_EXPENSES',
+  RESTORE_BACKUP:       'RESTORE_BACKUP',
+  ADD_RECURRING:        'ADD_RECURRING',
+  UPDATE_RECURRING:     'UPDATE_RECURRING',
+  DELETE_RECURRING:     'DELETE_RECURRING',
+  APPLY_RECURRING:      'APPLY_RECURRING',
+  SYNC_USER_DATA:       'SYNC_USER_DATA',
+  SET_HOME_CURRENCY:    'SET_HOME_CURRENCY',
+  SET_EXCHANGE_RATES:   'SET_EXCHANGE_RATES',
+  ADD_CATEGORY:         'ADD_CATEGORY',
+  UPDATE_CATEGORY:      'UPDATE_CATEGORY',
+  DELETE_CATEGORY:      'DELETE_CATEGORY',
+  ADD_PERSON:           'ADD_PERSON',
+  UPDATE_PERSON:        'UPDATE_PERSON',
+  DELETE_PERSON:        'DELETE_PERSON',
+  ADD_SETTLEMENT:       'ADD_SETTLEMENT',
+  DELETE_SETTLEMENT:    'DELETE_SETTLEMENT',
+  UNDO:                 'UNDO',
+  REDO:                 'REDO',
 };
 
 // ─── Initial State ─────────────────────────────────────────────────────────────
 const initialState = {
-  expenses:       [],
-  filterCategory: 'all',
-  searchQuery:    '',
-  sortBy:         'date_desc',
-  monthlyBudget:  0,
+  ownerId:         null,  // user id the loaded data belongs to (null = guest)
+  expenses:        [],    // trashed ones included — see trash.js
+  filterCategories: [],   // categories an entry may touch any of ([] = every category)
+  filterTags:      [],    // tags an entry must all carry to be listed
+  searchQuery:     '',
+  sortBy:          'date_desc',
+  dateRange:       EMPTY_DATE_RANGE,    // see filters.js
+  amountRange:     EMPTY_AMOUNT_RANGE,  // in the home currency
+  monthlyBudget:   0,
+  categoryBudgets: {},   // { [category]: monthly limit }
+  recurring:       [],
+  homeCurrency:    DEFAULT_CURRENCY,
+  exchangeRates:   [],   // see currency.js — rates against USD with effective dates
+  categories:      DEFAULT_CATEGORIES,
+  people:          [],   // who shared expenses are split with — see sharing.js
+  settlements:     [],   // settle-up payments between them
+  trashDays:       DEFAULT_TRASH_DAYS,  // how long deleted expenses stay in the trash
+  savedViews:      [],   // named filter views — see views.js
+  listGrouping:    DEFAULT_GROUPING,    // how the expense list is grouped — see grouping.js
+  history:         EMPTY_HISTORY,  // { past, future } undo steps — see history.js
 };
 
 // ─── Reducer ───────────────────────────────────────────────────────────────────
+/** Runs `edit(expense, payload)` over the expenses in `payload.ids`. */
+function editEach(state, payload, edit) {
+  const ids = new Set(payload.ids);
+  return { ...state, expenses: state.expenses.map((e) => (ids.has(e.id) ? edit(e, payload) : e)) };
+}
+
+// Resolves a duplicate pair; `resolve(a, b, at)` gives both records back
+function resolvePair(state, [idA, idB], at, resolve) {
+  const a = state.expenses.find((e) => e.id === idA);
+  const b = state.expenses.find((e) => e.id === idB);
+  if (!a || !b) return state;
+  const [nextA, nextB] = resolve(a, b, at);
+  return {
+    ...state,
+    expenses: state.expenses.map((e) => (e.id === idA ? nextA : e.id === idB ? nextB : e)),
+  };
+}
+
+// A restore is the newest edit: what it brings in is stamped with the
+// restore time, so merging with the stored record (see tabSync.js) keeps it
+// over edits made after the backup was taken. Items the restore leaves as
+// they were keep their stamp.
+const RESTORED_LISTS = ['expenses', 'recurring', 'exchangeRates', 'categories', 'people', 'settlements', 'savedViews'];
+
+function stampRestored(state, { at, ...data }) {
+  const stamped = { ...data };
+  RESTORED_LISTS.forEach((field) => {
+    if (!data[field]) return;
+    const current = new Set(state[field]);
+    stamped[field] = data[field].map((x) => (current.has(x) ? x : { ...x, updatedAt: at }));
+  });
+  return stamped;
+}
+
 function expenseReducer(state, action) {
   switch (action.type) {
     case ACTIONS.LOAD_EXPENSES:
+    case ACTIONS.RESTORE_BACKUP: {
+      const data = action.type === ACTIONS.RESTORE_BACKUP ? stampRestored(state, action.payload) : action.payload;
       return {
         ...state,
-        expenses:      action.payload.expenses ?? [],
-        monthlyBudget: action.payload.budget   ?? 0,
+        ownerId:         action.type === ACTIONS.LOAD_EXPENSES ? action.payload.ownerId : state.ownerId,
+        expenses:        data.expenses ?? [],
+        monthlyBudget:   data.budget   ?? 0,
+        categoryBudgets: data.categoryBudgets ?? {},
+        recurring:       data.recurring ?? [],
+        homeCurrency:    data.homeCurrency  ?? DEFAULT_CURRENCY,
+        exchangeRates:   data.exchangeRates ?? [],
+        categories:      data.categories    ?? DEFAULT_CATEGORIES,
+        people:          data.people        ?? [],
+        settlements:     data.settlements   ?? [],
+        trashDays:       data.trashDays     ?? DEFAULT_TRASH_DAYS,
+        savedViews:      data.savedViews    ?? [],
+        listGrouping:    data.listGrouping  ?? DEFAULT_GROUPING,
       };
+    }
     case ACTIONS.ADD_EXPENSE:
       return { ...state, expenses: [action.payload, ...state.expenses] };
     case ACTIONS.UPDATE_EXPENSE:
@@ -56,43 +227,300 @@ function expenseReducer(state, action) {
           e.id === action.payload.id ? action.payload : e
         ),
       };
+    // Deleting only moves an expense to the trash; purging removes it
     case ACTIONS.DELETE_EXPENSE:
       return {
         ...state,
-        expenses: state.expenses.filter((e) => e.id !== action.payload),
+        expenses: state.expenses.map((e) =>
+          e.id === action.payload.id ? moveToTrash(e, action.payload.at) : e
+        ),
+      };
+    case ACTIONS.RESTORE_EXPENSES: {
+      const ids = new Set(action.payload.ids);
+      return {
+        ...state,
+        expenses: state.expenses.map((e) => (ids.has(e.id) ? restoreFromTrash(e, action.payload.at) : e)),
       };
-    case ACTIONS.SET_FILTER_CATEGORY: return { ...state, filterCategory: action.payload };
+    }
+    case ACTIONS.PURGE_EXPENSES: {
+      const ids = new Set(action.payload);
+      return { ...state, expenses: state.expenses.filter((e) => !ids.has(e.id)) };
+    }
+    case ACTIONS.IMPORT_EXPENSES:
+      return { ...state, expenses: [...action.payload, ...state.expenses] };
+    // Batch edits — one action for the whole selection (see bulk.js)
+    case ACTIONS.BULK_SET_CATEGORY:
+      return editEach(state, action.payload, (e, { category, at }) => setCategory(e, category, at));
+    case ACTIONS.BULK_EDIT_TAGS:
+      return editEach(state, action.payload, (e, { add, remove, at }) => editTags(e, { add, remove }, at));
+    case ACTIONS.BULK_SHIFT_DATES:
+      return editEach(state, action.payload, (e, { days, at }) => shiftDate(e, days, at));
+    case ACTIONS.BULK_DELETE:
+      return editEach(state, action.payload, (e, { at }) => moveToTrash(e, at));
+    case ACTIONS.MERGE_DUPLICATES:
+      return resolvePair(state, [action.payload.keepId, action.payload.dropId], action.payload.at, mergePair);
+    case ACTIONS.DISMISS_DUPLICATES:
+      return resolvePair(state, action.payload.ids, action.payload.at, dismissPair);
+    case ACTIONS.SET_FILTER_CATEGORIES: return { ...state, filterCategories: action.payload };
+    case ACTIONS.SET_FILTER_TAGS:     return { ...state, filterTags:     action.payload };
     case ACTIONS.SET_SEARCH_QUERY:    return { ...state, searchQuery:    action.payload };
     case ACTIONS.SET_SORT:            return { ...state, sortBy:         action.payload };
+    case ACTIONS.SET_DATE_RANGE:      return { ...state, dateRange:      action.payload };
+    case ACTIONS.SET_AMOUNT_RANGE:    return { ...state, amountRange:    action.payload };
+    case ACTIONS.CLEAR_FILTERS:
+      return {
+        ...state,
+        filterCategories: [],
+        filterTags:       [],
+        searchQuery:      '',
+        dateRange:        EMPTY_DATE_RANGE,
+        amountRange:      EMPTY_AMOUNT_RANGE,
+      };
+    // A whole set of filters at once — a saved view, or the URL
+    case ACTIONS.APPLY_FILTERS:
+      return { ...state, ...DEFAULT_FILTERS, ...pickFilters(action.payload) };
+    case ACTIONS.SAVE_VIEW:
+      return {
+        ...state,
+        savedViews: state.savedViews.some((v) => v.id === action.payload.id)
+          ? state.savedViews.map((v) => (v.id === action.payload.id ? action.payload : v))
+          : [...state.savedViews, action.payload],
+      };
+    case ACTIONS.DELETE_VIEW:
+      return { ...state, savedViews: state.savedViews.filter((v) => v.id !== action.payload) };
     case ACTIONS.SET_BUDGET:          return { ...state, monthlyBudget:  action.payload };
+    case ACTIONS.SET_CATEGORY_BUDGETS: return { ...state, categoryBudgets: action.payload };
+    case ACTIONS.SET_TRASH_DAYS:       return { ...state, trashDays:       action.payload };
+    case ACTIONS.SET_LIST_GROUPING:    return { ...state, listGrouping:    action.payload };
+    // Budgets move with the home currency; without a rate they keep their numbers
+    case ACTIONS.SET_HOME_CURRENCY: {
+      const { currency, date } = action.payload;
+      const budgets = convertBudgets(state, state.homeCurrency, currency, date, state.exchangeRates);
+      return { ...state, ...budgets, homeCurrency: currency };
+    }
+    case ACTIONS.SET_EXCHANGE_RATES:   return { ...state, exchangeRates:   action.payload };
+    case ACTIONS.ADD_CATEGORY:
+      return { ...state, categories: [...state.categories, action.payload] };
+    case ACTIONS.UPDATE_CATEGORY:
+      return {
+        ...state,
+        categories: state.categories.map((c) =>
+          c.id === action.payload.id ? { ...c, ...action.payload.changes, updatedAt: action.payload.at } : c
+        ),
+      };
+    case ACTIONS.DELETE_CATEGORY: {
+      const { id, reassignTo, at } = action.payload;
+      return {
+        ...state,
+        ...removeCategory(state, id, reassignTo, at),
+        filterCategories: state.filterCategories.filter((c) => c !== id),
+      };
+    }
+    case ACTIONS.ADD_PERSON:
+      return { ...state, people: [...state.people, action.payload] };
+    case ACTIONS.UPDATE_PERSON:
+      return {
+        ...state,
+        people: state.people.map((p) =>
+          p.id === action.payload.id ? { ...p, ...action.payload.changes, updatedAt: action.payload.at } : p
+        ),
+      };
+    // Only people no expense or payment mentions any more can be removed
+    case ACTIONS.DELETE_PERSON:
+      return { ...state, people: state.people.filter((p) => p.id !== action.payload) };
+    case ACTIONS.ADD_SETTLEMENT:
+      return { ...state, settlements: [action.payload, ...state.settlements] };
+    case ACTIONS.DELETE_SETTLEMENT:
+      return { ...state, settlements: state.settlements.filter((s) => s.id !== action.payload) };
+    case ACTIONS.ADD_RECURRING:
+      return { ...state, recurring: [...state.recurring, action.payload] };
+    case ACTIONS.UPDATE_RECURRING:
+      return {
+        ...state,
+        recurring: state.recurring.map((r) =>
+          r.id === action.payload.id ? reviseRule(r, action.payload.changes) : r
+        ),
+      };
+    // The series' expenses go to the trash with it, like any deleted expense
+    case ACTIONS.DELETE_RECURRING: {
+      const { id, deleteExpenses, at } = action.payload;
+      return {
+        ...state,
+        recurring: state.recurring.filter((r) => r.id !== id),
+        expenses:  deleteExpenses
+          ? state.expenses.map((e) => (e.recurringId === id && !isTrashed(e) ? moveToTrash(e, at) : e))
+          : state.expenses,
+      };
+    }
+    // An occurrence already in the list (another tab produced it) is not added twice
+    case ACTIONS.APPLY_RECURRING: {
+      const have = new Set(state.expenses.map((e) => e.id));
+      return {
+        ...state,
+        recurring: action.payload.rules,
+        expenses:  [...action.payload.expenses.filter((e) => !have.has(e.id)), ...state.expenses],
+      };
+    }
+    case ACTIONS.SYNC_USER_DATA: {
+      const { data } = mergeUserData(action.payload.base, {
+        expenses:        state.expenses,
+        budget:          state.monthlyBudget,
+        categoryBudgets: state.categoryBudgets,
+        recurring:       state.recurring,
+        homeCurrency:    state.homeCurrency,
+        exchangeRates:   state.exchangeRates,
+        categories:      state.categories,
+        people:          state.people,
+        settlements:     state.settlements,
+        trashDays:       state.trashDays,
+        savedViews:      state.savedViews,
+        listGrouping:    state.listGrouping,
+      }, action.payload.record, action.payload.prefer);
+      return {
+        ...state,
+        expenses:        data.expenses,
+        monthlyBudget:   data.budget,
+        categoryBudgets: data.categoryBudgets,
+        recurring:       data.recurring,
+        homeCurrency:    data.homeCurrency,
+        exchangeRates:   data.exchangeRates,
+        categories:      data.categories,
+        people:          data.people,
+        settlements:     data.settlements,
+        trashDays:       data.trashDays,
+        savedViews:      data.savedViews,
+        listGrouping:    data.listGrouping,
+      };
+    }
     default: return state;
   }
 }
 
+// ─── Undo / Redo ───────────────────────────────────────────────────────────────
+// Actions that can be taken back, with how the Undo toast describes them;
+// destructive ones offer Undo straight away
+const titleOf     = (state, id) => state.expenses.find((e) => e.id === id)?.title ?? 'entry';
+const ruleTitleOf = (state, id) => state.recurring.find((r) => r.id === id)?.title ?? 'recurring';
+const countOf     = (ids) => `${ids.length} entr${ids.length === 1 ? 'y' : 'ies'}`;
+const daysOf      = (n) => `${n > 0 ? '+' : ''}${n} day${Math.abs(n) === 1 ? '' : 's'}`;
+
+const UNDOABLE = {
+  [ACTIONS.ADD_EXPENSE]:          { label: (a) => `Added “${a.payload.title}”` },
+  [ACTIONS.UPDATE_EXPENSE]:       { label: (a) => `Edited “${a.payload.title}”` },
+  [ACTIONS.DELETE_EXPENSE]:       { label: (a, prev) => `Moved “${titleOf(prev, a.payload.id)}” to the trash`, destructive: true },
+  [ACTIONS.RESTORE_EXPENSES]:     { label: (a) => `Restored ${a.payload.ids.length} from the trash` },
+  [ACTIONS.IMPORT_EXPENSES]:      { label: (a) => `Imported ${a.payload.length} transaction${a.payload.length === 1 ? '' : 's'}`, destructive: true },
+  [ACTIONS.BULK_SET_CATEGORY]:    { label: (a) => `Moved ${countOf(a.payload.ids)} to ${a.payload.category.label}`, destructive: true },
+  [ACTIONS.BULK_EDIT_TAGS]:       { label: (a) => `Changed tags on ${countOf(a.payload.ids)}`, destructive: true },
+  [ACTIONS.BULK_SHIFT_DATES]:     { label: (a) => `Moved ${countOf(a.payload.ids)} by ${daysOf(a.payload.days)}`, destructive: true },
+  [ACTIONS.BULK_DELETE]:          { label: (a) => `Moved ${countOf(a.payload.ids)} to the trash`, destructive: true },
+  [ACTIONS.MERGE_DUPLICATES]:     { label: (a, prev) => `Merged a duplicate into “${titleOf(prev, a.payload.keepId)}”`, destructive: true },
+  [ACTIONS.DISMISS_DUPLICATES]:   { label: () => 'Kept both entries' },
+  [ACTIONS.DELETE_RECURRING]:     { label: (a, prev) => `Deleted the “${ruleTitleOf(prev, a.payload.id)}” series`, destructive: true },
+  [ACTIONS.DELETE_CATEGORY]:      { label: (a, prev) => `Deleted the ${findCategory(prev.categories, a.payload.id).label} category`, destructive: true },
+  [ACTIONS.SET_BUDGET]:           { label: () => 'Changed the monthly budget' },
+  [ACTIONS.SET_CATEGORY_BUDGETS]: { label: () => 'Changed category budgets' },
+  [ACTIONS.SET_HOME_CURRENCY]:    { label: (a) => `Switched the home currency to ${a.payload.currency}` },
+  [ACTIONS.RESTORE_BACKUP]:       { label: () => 'Restored a backup', destructive: true },
+};
+
+/**
+ * expenseReducer with an undo history around it. UNDO / REDO carry the
+ * timestamp for the items they put back.
+ */
+function historyReducer(state, action) {
+  const { past, future } = state.history;
+  switch (action.type) {
+    case ACTIONS.UNDO: {
+      const step = past[past.length - 1];
+      if (!step) return state;
+      return {
+        ...state,
+        ...applyChange(state, step.change, 'undo', action.payload),
+        history: { past: past.slice(0, -1), future: [step, ...future] },
+      };
+    }
+    case ACTIONS.REDO: {
+      const step = future[0];
+      if (!step) return state;
+      return {
+        ...state,
+        ...applyChange(state, step.change, 'redo', action.payload),
+        history: { past: [...past, step], future: future.slice(1) },
+      };
+    }
+    // Another account's data — nothing to take back
+    case ACTIONS.LOAD_EXPENSES:
+      return { ...expenseReducer(state, action), history: EMPTY_HISTORY };
+    // Purged is permanent: no step may bring those expenses back
+    case ACTIONS.PURGE_EXPENSES:
+      return { ...expenseReducer(state, action), history: forgetExpenses(state.history, action.payload) };
+    default: {
+      const next    = expenseReducer(state, action);
+      const undoable = UNDOABLE[action.type];
+      if (!undoable || next === state) return next;
+      const change = diffChange(state, next);
+      if (!change) return next;
+      const step = { label: undoable.label(action, state), destructive: Boolean(undoable.destructive), change };
+      return { ...next, history: { past: [...past, step].slice(-HISTORY_LIMIT), future: [] } };
+    }
+  }
+}
+
 // ─── Derived helpers ───────────────────────────────────────────────────────────
-function getFiltered(expenses, filterCategory, searchQuery, sortBy) {
+// Dates are YYYY-MM-DD strings, so they sort as text — no Date parsing
+const byDate   = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+const collator = new Intl.Collator();
+
+/**
+ * The entries the list shows, in order. `filters` holds the filter state
+ * fields plus `search`, the parsed search box (see query.js); `amountOf`
+ * puts amounts in one currency, so amount filters and sorts compare like
+ * with like.
+ *
+ * Runs over thousands of imported rows, so the work per entry is kept to
+ * lookups: the selected categories are expanded into a set of ids (their
+ * subcategories included) once, and each converted amount is worked out
+ * once however often the filters and sort ask for it.
+ */
+function getFiltered(expenses, categories, filters, amountOf = (e) => e.amount) {
+  const { filterCategories, filterTags, search, dateRange, amountRange, sortBy } = filters;
   let list = [...expenses];
 
-  if (filterCategory !== 'all')
-    list = list.filter((e) => e.category === filterCategory);
+  const amounts  = new Map();
+  const amountIn = (e) => {
+    if (!amounts.has(e.id)) amounts.set(e.id, amountOf(e));
+    return amounts.get(e.id);
+  };
 
-  if (searchQuery.trim()) {
-    const q = searchQuery.toLowerCase();
-    list = list.filter(
-      (e) =>
-        e.title.toLowerCase().includes(q) ||
-        (e.description && e.description.toLowerCase().includes(q))
-    );
+  if (filterCategories.length) {
+    const wanted = new Set([
+      ...filterCategories,
+      ...categories.filter((c) => filterCategories.some((id) => isInCategory(categories, c.id, id))).map((c) => c.id),
+    ]);
+    list = list.filter((e) => categoriesOf(e).some((id) => wanted.has(id)));
   }
 
+  if (isRangeSet(dateRange))
+    list = list.filter((e) => inDateRange(e, dateRange));
+
+  if (isRangeSet(amountRange))
+    list = list.filter((e) => inAmountRange(amountIn(e), amountRange));
+
+  if (filterTags.length)
+    list = list.filter((e) => hasAllTags(e, filterTags));
+
+  if (search.clauses.length)
+    list = list.filter((e) => matchesQuery(e, search, categories, amountIn));
+
   list.sort((a, b) => {
     switch (sortBy) {
-      case 'date_desc':   return new Date(b.date) - new Date(a.date);
-      case 'date_asc':    return new Date(a.date) - new Date(b.date);
-      case 'amount_desc': return b.amount - a.amount;
-      case 'amount_asc':  return a.amount - b.amount;
-      case 'title_asc':   return a.title.localeCompare(b.title);
-      case 'title_desc':  return b.title.localeCompare(a.title);
+      case 'date_desc':   return byDate(b, a);
+      case 'date_asc':    return byDate(a, b);
+      case 'amount_desc': return amountIn(b) - amountIn(a);
+      case 'amount_asc':  return amountIn(a) - amountIn(b);
+      case 'title_asc':   return collator.compare(a.title, b.title);
+      case 'title_desc':  return collator.compare(b.title, a.title);
       default:            return 0;
     }
   });
@@ -102,19 +530,23 @@ function getFiltered(expenses, filterCategory, searchQuery, sortBy) {
 
 function getCategoryTotals(expenses) {
   return expenses.reduce((acc, e) => {
-    acc[e.category] = (acc[e.category] || 0) + e.amount;
+    categorySharesOf(e).forEach(({ category, amount }) => {
+      acc[category] = (acc[category] || 0) + amount;
+    });
     return acc;
   }, {});
 }
 
-function getCurrentMonthTotal(expenses) {
+function getCurrentMonthExpenses(expenses) {
   const now = new Date();
-  return expenses
-    .filter((e) => {
-      const d = new Date(e.date + 'T00:00:00');
-      return d.getMonth() === now.getMonth() && d.getFullYear() === now.getFullYear();
-    })
-    .reduce((s, e) => s + e.amount, 0);
+  return expenses.filter((e) => {
+    const d = new Date(e.date + 'T00:00:00');
+    return d.getMonth() === now.getMonth() && d.getFullYear() === now.getFullYear();
+  });
+}
+
+function getCurrentMonthTotal(expenses) {
+  return getCurrentMonthExpenses(expenses).reduce((s, e) => s + e.amount, 0);
 }
 
 // ─── Context ───────────────────────────────────────────────────────────────────
@@ -122,12 +554,26 @@ const ExpenseContext = createContext(null);
 
 // ─── Provider ──────────────────────────────────────────────────────────────────
 export function ExpenseProvider({ children }) {
-  const { currentUser, authReady, persistUserData, registerGuestExpenseGetter } = useAuth();
-  const [state, dispatch] = useReducer(expenseReducer, initialState);
+  const { currentUser, authReady, encryptionKey, persistUserData, registerGuestExpenseGetter } = useAuth();
+  // Filters start from the URL, so a shared link or a reload shows the same view
+  const [state, dispatch] = useReducer(historyReducer, initialState, (init) => ({
+    ...init, ...filtersFromSearch(window.location.search),
+  }));
 
   // Expose a getter so AuthContext can read guest expenses at sign-in time
-  const expensesRef = useRef(state.expenses);
-  expensesRef.current = state.expenses;
+  const liveExpenses = useMemo(() => state.expenses.filter((e) => !isTrashed(e)), [state.expenses]);
+  const expensesRef  = useRef(liveExpenses);
+  expensesRef.current = liveExpenses;
+
+  // Sync bookkeeping: latest state for queued saves, the ids this tab and
+  // storage last agreed on, the stored record as this tab last read or
+  // wrote it ({ userId, record }; null = read it again), and the tail of
+  // the save queue
+  const stateRef     = useRef(state);
+  stateRef.current   = state;
+  const baseRef      = useRef(new Set());
+  const storedRef    = useRef(null);
+  const syncQueueRef = useRef(Promise.resolve());
 
   useEffect(() => {
     registerGuestExpenseGetter(() => expensesRef.current);
@@ -137,64 +583,415 @@ export function ExpenseProvider({ children }) {
   useEffect(() => {
     if (!authReady) return;
 
-    if (currentUser) {
-      // Signed-in: load this user's stored expenses + budget
-      const stored = loadUserData(currentUser.id);
+    if (!currentUser) {
+      // Signed out: guest starts fresh, unless first-release data is still
+      // sitting under the legacy keys — it is adopted on the next sign-in
+      const legacy = readLegacyGuestData();
+      dispatch({
+        type: ACTIONS.LOAD_EXPENSES,
+        payload: {
+          ownerId:         null,
+          expenses:        legacy?.expenses ?? [],
+          budget:          legacy?.budget   ?? 0,
+          categoryBudgets: {},
+          recurring:       [],
+          homeCurrency:    DEFAULT_CURRENCY,
+          exchangeRates:   [],
+          categories:      DEFAULT_CATEGORIES,
+          people:          [],
+          settlements:     [],
+          trashDays:       DEFAULT_TRASH_DAYS,
+          savedViews:      [],
+          listGrouping:    DEFAULT_GROUPING,
+        },
+      });
+      return;
+    }
+
+    // Signed-in: load this user's stored expenses + budget
+    let cancelled = false;
+    (async () => {
+      const storage = await getStorage();
+      const stored  = await storage.loadUserData(currentUser.id, encryptionKey);
+      if (cancelled) return;
+      baseRef.current   = knownIds(stored ?? {});
+      storedRef.current = { userId: currentUser.id, record: stored };
       dispatch({
         type: ACTIONS.LOAD_EXPENSES,
         payload: {
-          expenses: stored?.expenses ?? [],
-          budget:   stored?.budget   ?? 0,
+          ownerId:         currentUser.id,
+          expenses:        stored?.expenses        ?? [],
+          budget:          stored?.budget          ?? 0,
+          categoryBudgets: stored?.categoryBudgets ?? {},
+          recurring:       stored?.recurring       ?? [],
+          homeCurrency:    stored?.homeCurrency    ?? DEFAULT_CURRENCY,
+          exchangeRates:   stored?.exchangeRates   ?? [],
+          categories:      stored?.categories      ?? DEFAULT_CATEGORIES,
+          people:          stored?.people          ?? [],
+          settlements:     stored?.settlements     ?? [],
+          trashDays:       stored?.trashDays       ?? DEFAULT_TRASH_DAYS,
+          savedViews:      stored?.savedViews      ?? [],
+          listGrouping:    stored?.listGrouping    ?? DEFAULT_GROUPING,
         },
       });
-    } else {
-      // Signed out: clear the list (guest starts fresh)
-      dispatch({ type: ACTIONS.LOAD_EXPENSES, payload: { expenses: [], budget: 0 } });
+    })();
+    return () => { cancelled = true; };
+  }, [authReady, currentUser?.id, encryptionKey]);
+
+  // ── Mirror the filters in the URL ────────────────────────────────────────────
+  // replaceState, not pushState — typing in the search box should not fill
+  // the back button with one entry per keystroke
+  const { filterCategories, filterTags, searchQuery, dateRange, amountRange, sortBy } = state;
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    const next = filtersToSearch({ filterCategories, filterTags, searchQuery, dateRange, amountRange, sortBy }, search);
+    if (next !== search) window.history.replaceState(window.history.state, '', `${pathname}${next}${hash}`);
+  }, [filterCategories, filterTags, searchQuery, dateRange, amountRange, sortBy]);
+
+  // ── Materialise recurring occurrences that have fallen due ───────────────────
+  useEffect(() => {
+    if (!authReady || state.recurring.length === 0) return;
+    const { rules, expenses } = materializeRecurring(state.recurring, getTodayString());
+    if (expenses.length > 0) {
+      dispatch({ type: ACTIONS.APPLY_RECURRING, payload: { rules, expenses } });
     }
-  }, [authReady, currentUser?.id]);
+  }, [authReady, state.recurring]);
+
+  // ── Empty the trash of entries kept longer than trashDays ──────────────────
+  useEffect(() => {
+    if (!authReady) return;
+    const expired = expiredTrash(state.expenses, state.trashDays);
+    if (expired.length > 0) dispatch({ type: ACTIONS.PURGE_EXPENSES, payload: expired });
+  }, [authReady, state.expenses, state.trashDays]);
+
+  // ── Merge state with storage, save, and notify other tabs ──────────────────
+  const syncWithStorage = useCallback((prefer) => {
+    const userId = currentUser?.id;
+    syncQueueRef.current = syncQueueRef.current
+      .then(async () => {
+        const current = stateRef.current;
+        if (!userId || current.ownerId !== userId) return;   // switched user meanwhile
+
+        const local = {
+          expenses:        current.expenses,
+          budget:          current.monthlyBudget,
+          categoryBudgets: current.categoryBudgets,
+          recurring:       current.recurring,
+          homeCurrency:    current.homeCurrency,
+          exchangeRates:   current.exchangeRates,
+          categories:      current.categories,
+          people:          current.people,
+          settlements:     current.settlements,
+          trashDays:       current.trashDays,
+          savedViews:      current.savedViews,
+          listGrouping:    current.listGrouping,
+        };
+        // Only another tab's save changes what is stored, and that arrives as
+        // a broadcast ('remote') — a local edit merges with the snapshot
+        // rather than reading (and decrypting) every stored expense again
+        const storage = await getStorage();
+        const stored  = prefer === 'remote' || storedRef.current?.userId !== userId
+          ? await storage.loadUserData(userId, encryptionKey)
+          : storedRef.current.record;
+        storedRef.current = { userId, record: stored };
+        const base    = baseRef.current;
+        const { data, localChanged, remoteChanged } = mergeUserData(base, local, stored, prefer);
+
+        if (remoteChanged) {
+          const record = { ...stored, ...data };
+          storedRef.current = null;   // read again if the save fails part-way
+          await persistUserData(record);
+          storedRef.current = { userId, record };
+          broadcast({ type: 'user-data', userId });
+        }
+        baseRef.current = knownIds(data);
+
+        // State may have moved on while we awaited, so the reducer merges
+        // again against whatever it holds now rather than replacing it
+        if (localChanged) {
+          dispatch({
+            type: ACTIONS.SYNC_USER_DATA,
+            payload: { base: new Set([...base, ...knownIds(local)]), record: data, prefer },
+          });
+        }
+      })
+      .catch((err) => console.error('[ExpenseContext] Sync with storage failed', err));
+  }, [currentUser?.id, encryptionKey, persistUserData]);
 
   // ── Persist whenever expenses or budget change (signed-in users only) ─────────
   useEffect(() => {
-    if (!authReady || !currentUser) return;
-    persistUserData({ expenses: state.expenses, budget: state.monthlyBudget });
-  }, [authReady, currentUser, state.expenses, state.monthlyBudget, persistUserData]);
+    if (!authReady || !currentUser || state.ownerId !== currentUser.id) return;
+    syncWithStorage('local');
+  }, [authReady, currentUser, state.ownerId, state.expenses, state.monthlyBudget, state.categoryBudgets, state.recurring,
+      state.homeCurrency, state.exchangeRates, state.categories, state.people, state.settlements, state.trashDays,
+      state.savedViews, state.listGrouping, syncWithStorage]);
+
+  // ── Receipt attachments ──────────────────────────────────────────────────────
+  // Files need IndexedDB and an account to belong to
+  const [attachmentsSupported, setAttachmentsSupported] = useState(false);
+  useEffect(() => {
+    getStorage().then((storage) => setAttachmentsSupported(storage.supportsAttachments));
+  }, []);
+  const canAttach = attachmentsSupported && Boolean(currentUser) && state.ownerId === currentUser.id;
+
+  /** Stores a file for an expense and resolves to its entry for `expense.attachments`. */
+  const saveAttachment = useCallback(async (expenseId, file) => {
+    const attachment = describeAttachment(file);
+    const storage    = await getStorage();
+    await storage.saveAttachment(currentUser.id, {
+      id: attachment.id, expenseId, file, thumb: await makeThumbnail(file),
+    }, encryptionKey);
+    return attachment;
+  }, [currentUser?.id, encryptionKey]);
+
+  /** The stored file (part 'file') or its thumbnail ('thumb') as a Blob; null if not on this device. */
+  const loadAttachment = useCallback(async (attachment, part = 'file') => {
+    if (!currentUser) return null;
+    const storage = await getStorage();
+    return storage.loadAttachment(currentUser.id, attachment.id, encryptionKey, part);
+  }, [currentUser?.id, encryptionKey]);
+
+  // Once no expense lists a file — it was taken off in the form, or its
+  // expense was deleted here, in another tab, with its series or by a
+  // restore — the file goes as well. Undo steps hold on to theirs, so
+  // undoing a delete brings the receipts back with the expense
+  const attachedRef = useRef({ ownerId: null, ids: new Set() });
+  useEffect(() => {
+    const previous = attachedRef.current;
+    const ids = new Set(
+      [...state.expenses, ...expensesInHistory(state.history)].flatMap(attachmentsOf).map((a) => a.id)
+    );
+    attachedRef.current = { ownerId: state.ownerId, ids };
+    if (!attachmentsSupported || !state.ownerId || previous.ownerId !== state.ownerId) return;
+    const gone = [...previous.ids].filter((id) => !ids.has(id));
+    if (!gone.length) return;
+    getStorage()
+      .then((storage) => storage.deleteAttachments(state.ownerId, gone))
+      .catch((err) => console.error('[ExpenseContext] Removing attachments failed', err));
+  }, [attachmentsSupported, state.ownerId, state.expenses, state.history]);
+
+  // ── Pick up saves made by other tabs ────────────────────────────────────────
+  useEffect(() => {
+    if (!currentUser) return;
+    return subscribe((msg) => {
+      if (msg.type !== 'user-data' || msg.userId !== currentUser.id) return;
+      storedRef.current = null;   // saves queued before this one read it again too
+      syncWithStorage('remote');
+    });
+  }, [currentUser, syncWithStorage]);
 
   // ── Action Creators ────────────────────────────────────────────────────────────
   const addExpense        = useCallback((e)  => dispatch({ type: ACTIONS.ADD_EXPENSE,         payload: e  }), []);
   const updateExpense     = useCallback((e)  => dispatch({ type: ACTIONS.UPDATE_EXPENSE,       payload: e  }), []);
-  const deleteExpense     = useCallback((id) => dispatch({ type: ACTIONS.DELETE_EXPENSE,       payload: id }), []);
-  const setFilterCategory = useCallback((c)  => dispatch({ type: ACTIONS.SET_FILTER_CATEGORY, payload: c  }), []);
+  const deleteExpense     = useCallback((id) =>
+    dispatch({ type: ACTIONS.DELETE_EXPENSE, payload: { id, at: new Date().toISOString() } }), []);
+  const restoreExpenses   = useCallback((ids) =>
+    dispatch({ type: ACTIONS.RESTORE_EXPENSES, payload: { ids, at: new Date().toISOString() } }), []);
+  const purgeExpenses     = useCallback((ids) => dispatch({ type: ACTIONS.PURGE_EXPENSES,    payload: ids }), []);
+  const setTrashDays      = useCallback((d)  => dispatch({ type: ACTIONS.SET_TRASH_DAYS,      payload: d  }), []);
+  const setListGrouping   = useCallback((g)  => dispatch({ type: ACTIONS.SET_LIST_GROUPING,   payload: g  }), []);
+  const importExpenses    = useCallback((list) => dispatch({ type: ACTIONS.IMPORT_EXPENSES,  payload: list }), []);
+  const bulkSetCategory   = useCallback((ids, category) =>
+    dispatch({ type: ACTIONS.BULK_SET_CATEGORY, payload: { ids, category, at: new Date().toISOString() } }), []);
+  const bulkEditTags      = useCallback((ids, { add = [], remove = [] }) =>
+    dispatch({ type: ACTIONS.BULK_EDIT_TAGS, payload: { ids, add, remove, at: new Date().toISOString() } }), []);
+  const bulkShiftDates    = useCallback((ids, days) =>
+    dispatch({ type: ACTIONS.BULK_SHIFT_DATES, payload: { ids, days, at: new Date().toISOString() } }), []);
+  const bulkDelete        = useCallback((ids) =>
+    dispatch({ type: ACTIONS.BULK_DELETE, payload: { ids, at: new Date().toISOString() } }), []);
+  const mergeDuplicates   = useCallback((keepId, dropId) =>
+    dispatch({ type: ACTIONS.MERGE_DUPLICATES, payload: { keepId, dropId, at: new Date().toISOString() } }), []);
+  const dismissDuplicates = useCallback((idA, idB) =>
+    dispatch({ type: ACTIONS.DISMISS_DUPLICATES, payload: { ids: [idA, idB], at: new Date().toISOString() } }), []);
+  const setFilterCategories = useCallback((c) => dispatch({ type: ACTIONS.SET_FILTER_CATEGORIES, payload: c }), []);
+  const setFilterTags     = useCallback((t)  => dispatch({ type: ACTIONS.SET_FILTER_TAGS,     payload: t  }), []);
   const setSearchQuery    = useCallback((q)  => dispatch({ type: ACTIONS.SET_SEARCH_QUERY,    payload: q  }), []);
   const setSort           = useCallback((s)  => dispatch({ type: ACTIONS.SET_SORT,            payload: s  }), []);
+  const setDateRange      = useCallback((r)  => dispatch({ type: ACTIONS.SET_DATE_RANGE,      payload: r  }), []);
+  const setAmountRange    = useCallback((r)  => dispatch({ type: ACTIONS.SET_AMOUNT_RANGE,    payload: r  }), []);
+  const clearFilters      = useCallback(()   => dispatch({ type: ACTIONS.CLEAR_FILTERS }), []);
+  const applyFilters      = useCallback((f)  => dispatch({ type: ACTIONS.APPLY_FILTERS,       payload: f  }), []);
+  const saveView          = useCallback((v)  => dispatch({ type: ACTIONS.SAVE_VIEW,           payload: v  }), []);
+  const deleteView        = useCallback((id) => dispatch({ type: ACTIONS.DELETE_VIEW,         payload: id }), []);
   const setBudget         = useCallback((b)  => dispatch({ type: ACTIONS.SET_BUDGET,          payload: b  }), []);
+  const restoreBackup     = useCallback((d)  =>
+    dispatch({ type: ACTIONS.RESTORE_BACKUP, payload: { ...d, at: new Date().toISOString() } }), []);
+  const setCategoryBudgets = useCallback((b) => dispatch({ type: ACTIONS.SET_CATEGORY_BUDGETS, payload: b }), []);
+  const addRecurring      = useCallback((r)  => dispatch({ type: ACTIONS.ADD_RECURRING,       payload: r  }), []);
+  const updateRecurring   = useCallback((id, changes) =>
+    dispatch({ type: ACTIONS.UPDATE_RECURRING, payload: { id, changes } }), []);
+  const deleteRecurring   = useCallback((id, deleteExpenses = false) =>
+    dispatch({ type: ACTIONS.DELETE_RECURRING, payload: { id, deleteExpenses, at: new Date().toISOString() } }), []);
+  const setHomeCurrency   = useCallback((c)  =>
+    dispatch({ type: ACTIONS.SET_HOME_CURRENCY, payload: { currency: c, date: getTodayString() } }), []);
+  const setExchangeRates  = useCallback((r)  => dispatch({ type: ACTIONS.SET_EXCHANGE_RATES,  payload: r  }), []);
+  const addCategory       = useCallback((c)  => dispatch({ type: ACTIONS.ADD_CATEGORY,        payload: c  }), []);
+  const updateCategory    = useCallback((id, changes) =>
+    dispatch({ type: ACTIONS.UPDATE_CATEGORY, payload: { id, changes, at: new Date().toISOString() } }), []);
+  const deleteCategory    = useCallback((id, reassignTo) =>
+    dispatch({ type: ACTIONS.DELETE_CATEGORY, payload: { id, reassignTo, at: new Date().toISOString() } }), []);
+
+  const addPerson         = useCallback((p)  => dispatch({ type: ACTIONS.ADD_PERSON,          payload: p  }), []);
+  const updatePerson      = useCallback((id, changes) =>
+    dispatch({ type: ACTIONS.UPDATE_PERSON, payload: { id, changes, at: new Date().toISOString() } }), []);
+  const deletePerson      = useCallback((id) => dispatch({ type: ACTIONS.DELETE_PERSON,       payload: id }), []);
+  const addSettlement     = useCallback((s)  => dispatch({ type: ACTIONS.ADD_SETTLEMENT,      payload: s  }), []);
+  const deleteSettlement  = useCallback((id) => dispatch({ type: ACTIONS.DELETE_SETTLEMENT,   payload: id }), []);
+  const undo              = useCallback(() => dispatch({ type: ACTIONS.UNDO, payload: new Date().toISOString() }), []);
+  const redo              = useCallback(() => dispatch({ type: ACTIONS.REDO, payload: new Date().toISOString() }), []);
+
+  /** The user's category for an id, or a neutral stand-in for unknown ids. */
+  const getCategory = useCallback((id) => findCategory(state.categories, id), [state.categories]);
+
+  /** Amount of `currency` in the home currency on `date`; null when a rate is missing. */
+  const toHomeAmount = useCallback(
+    (amount, currency, date) =>
+      convertAmount(amount, currency || DEFAULT_CURRENCY, state.homeCurrency, date, state.exchangeRates),
+    [state.homeCurrency, state.exchangeRates]
+  );
 
   // ── Derived Values ─────────────────────────────────────────────────────────────
-  const filteredExpenses  = getFiltered(state.expenses, state.filterCategory, state.searchQuery, state.sortBy);
-  const totalExpenses     = state.expenses.reduce((s, e) => s + e.amount, 0);
-  const currentMonthTotal = getCurrentMonthTotal(state.expenses);
-  const categoryTotals    = getCategoryTotals(state.expenses);
+  // Every total below is in the home currency; transactions in a currency
+  // with no rate yet are left out of them and reported as `missingRates`.
+  // Shared expenses count with your share only; balances use the full bill.
+  // The trash counts towards nothing
+  const { converted, missing } = useMemo(
+    () => convertToHome(liveExpenses, state.exchangeRates, state.homeCurrency),
+    [liveExpenses, state.exchangeRates, state.homeCurrency]
+  );
+  const homeExpenses = useMemo(() => converted.map(ownShare), [converted]);
+  const { converted: homeSettlements, missing: missingSettlementRates } = useMemo(
+    () => convertToHome(state.settlements, state.exchangeRates, state.homeCurrency),
+    [state.settlements, state.exchangeRates, state.homeCurrency]
+  );
+  const missingRates = useMemo(
+    () => [...new Set([...missing, ...missingSettlementRates])],
+    [missing, missingSettlementRates]
+  );
+  const balances = useMemo(() => getBalances(converted, homeSettlements), [converted, homeSettlements]);
+  const suggestedSettlements = useMemo(() => suggestSettlements(balances), [balances]);
+  // The search box, parsed once for the list and for its inline errors
+  const parsedSearch = useMemo(
+    () => parseQuery(state.searchQuery, state.categories),
+    [state.searchQuery, state.categories]
+  );
+  // Recomputed only when the entries or the filters change — not on every
+  // render of the provider (a form keystroke, a toast)
+  const filteredExpenses = useMemo(
+    () => getFiltered(
+      liveExpenses, state.categories,
+      { filterCategories, filterTags, search: parsedSearch, dateRange, amountRange, sortBy },
+      (e) => toHomeAmount(e.amount, e.currency, e.date) ?? e.amount
+    ),
+    [liveExpenses, state.categories, filterCategories, filterTags, parsedSearch, dateRange, amountRange, sortBy,
+     toHomeAmount]
+  );
+  const allTags = useMemo(() => collectTags(liveExpenses), [liveExpenses]);
+  // Most recently deleted first
+  const trash = useMemo(
+    () => state.expenses.filter(isTrashed).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)),
+    [state.expenses]
+  );
+  const { income, spending } = splitByType(homeExpenses);
+  const totalExpenses     = spending.reduce((s, e) => s + e.amount, 0);
+  const currentMonthTotal = getCurrentMonthTotal(spending);
+  const categoryTotals    = rollUpTotals(state.categories, getCategoryTotals(spending));
+  const currentMonthCategoryTotals = rollUpTotals(state.categories, getCategoryTotals(getCurrentMonthExpenses(spending)));
+  const totalIncome        = income.reduce((s, e) => s + e.amount, 0);
+  const currentMonthIncome = getCurrentMonthTotal(income);
   const budgetUsedPercent = state.monthlyBudget > 0
     ? Math.min((currentMonthTotal / state.monthlyBudget) * 100, 100)
     : 0;
 
   const value = {
-    expenses:         state.expenses,
+    expenses:         liveExpenses,     // all transactions, income included, as recorded (trash left out)
+    homeExpenses,                       // the same, amounts in the home currency (your share if shared)
+    fullHomeExpenses: converted,        // the same, shared ones at their full amount
+    spendingExpenses: spending,         // home currency
+    missingRates,
     filteredExpenses,
-    filterCategory:   state.filterCategory,
+    filterCategories: state.filterCategories,
+    filterTags:       state.filterTags,
     searchQuery:      state.searchQuery,
+    parsedSearch,                       // { clauses, errors } — see query.js
     sortBy:           state.sortBy,
+    dateRange:        state.dateRange,
+    amountRange:      state.amountRange,
+    hasFilters:       state.filterCategories.length > 0 || state.filterTags.length > 0 ||
+                      state.searchQuery.trim() !== '' || isRangeSet(state.dateRange) || isRangeSet(state.amountRange),
     monthlyBudget:    state.monthlyBudget,
+    categoryBudgets:  state.categoryBudgets,
+    recurring:        state.recurring,
+    homeCurrency:     state.homeCurrency,
+    exchangeRates:    state.exchangeRates,
+    categories:       state.categories,
+    allTags,                            // [{ tag, count }], most used first
+    people:           state.people,
+    settlements:      state.settlements,
+    trash,                              // deleted expenses waiting to be purged
+    trashDays:        state.trashDays,
+    homeSettlements,                    // settlements in the home currency
+    balances,                           // { [person | 'me']: home-currency balance }
+    suggestedSettlements,               // [{ from, to, amount }] that square every balance
     totalExpenses,
     currentMonthTotal,
     categoryTotals,
+    currentMonthCategoryTotals,
     budgetUsedPercent,
+    totalIncome,
+    currentMonthIncome,
+    currentMonthNet:  currentMonthIncome - currentMonthTotal,
     addExpense,
     updateExpense,
     deleteExpense,
-    setFilterCategory,
+    restoreExpenses,
+    purgeExpenses,
+    setTrashDays,
+    importExpenses,
+    bulkSetCategory,
+    bulkEditTags,
+    bulkShiftDates,
+    bulkDelete,
+    mergeDuplicates,
+    dismissDuplicates,
+    setFilterCategories,
+    setFilterTags,
     setSearchQuery,
     setSort,
+    setDateRange,
+    setAmountRange,
+    clearFilters,
+    applyFilters,
+    savedViews:       state.savedViews,
+    saveView,
+    deleteView,
+    listGrouping:     state.listGrouping,
+    setListGrouping,
     setBudget,
+    setCategoryBudgets,
+    restoreBackup,
+    addRecurring,
+    updateRecurring,
+    deleteRecurring,
+    setHomeCurrency,
+    setExchangeRates,
+    toHomeAmount,
+    addCategory,
+    updateCategory,
+    deleteCategory,
+    getCategory,
+    addPerson,
+    updatePerson,
+    deletePerson,
+    addSettlement,
+    deleteSettlement,
+    canAttach,                          // signed in, with IndexedDB to keep files in
+    saveAttachment,
+    loadAttachment,
+    undoStep:         state.history.past[state.history.past.length - 1] ?? null,  // { label, destructive }
+    redoStep:         state.history.future[0] ?? null,
+    undo,
+    redo,
   };
 
   return <ExpenseContext.Provider value={value}>{children}</ExpenseContext.Provider>;
@@ -0,0 +1,85 @@
+/**
+ * Receipt attachments — file checks, thumbnails and display helpers
+ * Author: Prem Pagare | Arizona State University
+ *
+ * An expense lists its attachments, without their contents:
+ *
+ *   attachments: [{ id, name, type, size, addedAt }]
+ *
+ * The files themselves are Blobs in IndexedDB, keyed by user, attachment
+ * and expense id (see indexedDbAdapter.js), each with a small JPEG
+ * thumbnail for images so the expense list never loads full photos.
+ * Backups and other browsers only carry the list — the viewer says so when
+ * a file is not stored on this device.
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+export const ATTACHMENT_RULES = {
+  maxFiles: 5,
+  maxBytes: 10 * 1024 * 1024,
+  accept:   'image/*,application/pdf',
+};
+
+const THUMB_SIZE = 160;
+
+export function attachmentsOf(expense) {
+  return Array.isArray(expense.attachments) ? expense.attachments : [];
+}
+
+export const isImage = (attachment) => attachment.type.startsWith('image/');
+export const isPdf   = (attachment) => attachment.type === 'application/pdf';
+
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Splits picked files into the ones that can be attached and a message
+ * for each one that cannot.
+ *
+ * @param {File[]} files
+ * @param {number} alreadyAttached  files the expense has (or will have) already
+ * @returns {{ accepted: File[], errors: string[] }}
+ */
+export function checkFiles(files, alreadyAttached) {
+  const accepted = [];
+  const errors   = [];
+  files.forEach((file) => {
+    if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+      errors.push(`“${file.name}” is not an image or PDF.`);
+    } else if (file.size > ATTACHMENT_RULES.maxBytes) {
+      errors.push(`“${file.name}” is larger than ${formatFileSize(ATTACHMENT_RULES.maxBytes)}.`);
+    } else if (alreadyAttached + accepted.length >= ATTACHMENT_RULES.maxFiles) {
+      errors.push(`Only ${ATTACHMENT_RULES.maxFiles} files can be attached — “${file.name}” was left out.`);
+    } else {
+      accepted.push(file);
+    }
+  });
+  return { accepted, errors };
+}
+
+export function describeAttachment(file) {
+  return { id: uuidv4(), name: file.name, type: file.type, size: file.size, addedAt: new Date().toISOString() };
+}
+
+/**
+ * A small JPEG of an image, for the expense list; null for PDFs or when
+ * the browser cannot decode the image (HEIC on most desktops, for one).
+ */
+export async function makeThumbnail(file) {
+  if (!file.type.startsWith('image/') || typeof createImageBitmap !== 'function') return null;
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale  = Math.min(1, THUMB_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width  = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+  } catch {
+    return null;
+  }
+}
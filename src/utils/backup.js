@@ -0,0 +1,192 @@
+/**
+ * Account backup — versioned JSON export / import of a user's data
+ * Author: Prem Pagare | Arizona State University
+ *
+ * File layout (version 1):
+ *   {
+ *     format:     'asu-expense-tracker-backup',
+ *     version:    1,
+ *     exportedAt: ISO string,
+ *     profile:    { name, email, color, avatar },   // never the password credentials
+ *     expenses:   Expense[],
+ *     budget:     number,
+ *     categoryBudgets: { [category]: number },
+ *     recurring:  Rule[],
+ *     homeCurrency:  ISO code,                     // added later — older files
+ *     exchangeRates: Rate[],                       // restore as 'USD' / []
+ *     categories:    Category[],                   // restore as the defaults
+ *     people:        Person[],                     // restore as []
+ *     settlements:   Settlement[],                 // restore as []
+ *     trashDays:     number,                       // restore as the default
+ *     savedViews:    View[],                       // restore as []
+ *     listGrouping:  string,                       // restore as 'month'
+ *   }
+ *
+ * Trashed expenses are included, with their `deletedAt`.
+ */
+import { CREDENTIAL_FIELDS } from './password';
+import { createDefaultCategories } from './categories';
+import { DEFAULT_TRASH_DAYS } from './trash';
+import { DEFAULT_GROUPING, isGrouping } from './grouping';
+
+export const BACKUP_FORMAT  = 'asu-expense-tracker-backup';
+export const BACKUP_VERSION = 1;
+
+// Profile fields that must never leave the browser in a backup file
+const PRIVATE_PROFILE_FIELDS = ['id', ...CREDENTIAL_FIELDS];
+
+function publicProfile(profile) {
+  return Object.fromEntries(
+    Object.entries(profile || {}).filter(([k]) => !PRIVATE_PROFILE_FIELDS.includes(k))
+  );
+}
+
+/** Builds the backup object for a user. */
+export function createBackup(profile, {
+  expenses, budget, categoryBudgets, recurring, homeCurrency, exchangeRates, categories, people, settlements,
+  trashDays, savedViews, listGrouping,
+}) {
+  return {
+    format:          BACKUP_FORMAT,
+    version:         BACKUP_VERSION,
+    exportedAt:      new Date().toISOString(),
+    profile:         publicProfile(profile),
+    expenses:        expenses ?? [],
+    budget:          budget ?? 0,
+    categoryBudgets: categoryBudgets ?? {},
+    recurring:       recurring ?? [],
+    homeCurrency:    homeCurrency ?? 'USD',
+    exchangeRates:   exchangeRates ?? [],
+    categories:      categories ?? createDefaultCategories(),
+    people:          people ?? [],
+    settlements:     settlements ?? [],
+    trashDays:       trashDays ?? DEFAULT_TRASH_DAYS,
+    savedViews:      savedViews ?? [],
+    listGrouping:    listGrouping ?? DEFAULT_GROUPING,
+  };
+}
+
+/** Triggers a browser download of the backup as a .json file. */
+export function downloadBackup(backup) {
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const slug = (backup.profile.email || 'account').split('@')[0].replace(/[^a-z0-9]/gi, '_');
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = `expense-tracker-${slug}-${backup.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function isValidExpense(e) {
+  return (
+    e && typeof e === 'object' &&
+    typeof e.id === 'string' && e.id !== '' &&
+    typeof e.title === 'string' &&
+    typeof e.amount === 'number' && isFinite(e.amount) &&
+    typeof e.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(e.date) &&
+    typeof e.category === 'string'
+  );
+}
+
+/**
+ * Parses and validates a backup file's text.
+ * @returns {{ backup: object|null, error?: string, skipped: number }}
+ *          `skipped` counts malformed expense entries that were dropped.
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { backup: null, error: 'This file is not valid JSON.', skipped: 0 };
+  }
+
+  if (!data || data.format !== BACKUP_FORMAT) {
+    return { backup: null, error: 'This is not an Expense Tracker backup file.', skipped: 0 };
+  }
+  if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+    return { backup: null, error: 'This backup was made by a newer version of the app.', skipped: 0 };
+  }
+  if (!Array.isArray(data.expenses)) {
+    return { backup: null, error: 'The backup has no expense list.', skipped: 0 };
+  }
+
+  const expenses = data.expenses.filter(isValidExpense);
+
+  return {
+    backup: {
+      ...data,
+      expenses,
+      budget:          typeof data.budget === 'number' && data.budget >= 0 ? data.budget : 0,
+      categoryBudgets: data.categoryBudgets && typeof data.categoryBudgets === 'object' ? data.categoryBudgets : {},
+      recurring:       Array.isArray(data.recurring) ? data.recurring.filter((r) => r && r.id) : [],
+      homeCurrency:    typeof data.homeCurrency === 'string' ? data.homeCurrency : 'USD',
+      exchangeRates:   Array.isArray(data.exchangeRates)
+        ? data.exchangeRates.filter((r) => r && r.id && typeof r.currency === 'string' && r.rate > 0)
+        : [],
+      categories:      Array.isArray(data.categories)
+        ? data.categories.filter((c) => c && typeof c.id === 'string' && typeof c.label === 'string')
+        : createDefaultCategories(),
+      people:          Array.isArray(data.people)
+        ? data.people.filter((p) => p && typeof p.id === 'string' && typeof p.name === 'string')
+        : [],
+      settlements:     Array.isArray(data.settlements)
+        ? data.settlements.filter((s) => s && typeof s.id === 'string' && s.amount > 0 && s.from && s.to)
+        : [],
+      trashDays:       typeof data.trashDays === 'number' && data.trashDays > 0 ? data.trashDays : DEFAULT_TRASH_DAYS,
+      savedViews:      Array.isArray(data.savedViews)
+        ? data.savedViews.filter((v) => v && typeof v.id === 'string' && typeof v.name === 'string' && v.filters)
+        : [],
+      listGrouping:    isGrouping(data.listGrouping) ? data.listGrouping : DEFAULT_GROUPING,
+    },
+    skipped: data.expenses.length - expenses.length,
+  };
+}
+
+function sameExpense(a, b) {
+  return (
+    a.title === b.title && a.amount === b.amount && a.date === b.date &&
+    (a.currency || 'USD') === (b.currency || 'USD') &&
+    a.category === b.category && (a.description || '') === (b.description || '') &&
+    (a.tags || []).join() === (b.tags || []).join() &&
+    JSON.stringify(a.splits || null) === JSON.stringify(b.splits || null) &&
+    JSON.stringify(a.shared || null) === JSON.stringify(b.shared || null) &&
+    (a.deletedAt || null) === (b.deletedAt || null) &&
+    (a.attachments || []).map((f) => f.id).join() === (b.attachments || []).map((f) => f.id).join()
+  );
+}
+
+/**
+ * Merges backup expenses into the current list by id.
+ * When both sides changed the same expense, the most recently updated copy
+ * wins and the pair is reported as a conflict.
+ *
+ * @returns {{ expenses, added, updated, unchanged, conflicts: {id, title, kept}[] }}
+ */
+export function mergeExpenses(current, incoming) {
+  const byId = new Map(current.map((e) => [e.id, e]));
+  const conflicts = [];
+  let added = 0, updated = 0, unchanged = 0;
+
+  incoming.forEach((inc) => {
+    const local = byId.get(inc.id);
+    if (!local) {
+      byId.set(inc.id, inc);
+      added++;
+    } else if (sameExpense(local, inc)) {
+      unchanged++;
+    } else {
+      const backupIsNewer = (inc.updatedAt || '') > (local.updatedAt || '');
+      if (backupIsNewer) {
+        byId.set(inc.id, inc);
+        updated++;
+      }
+      conflicts.push({ id: inc.id, title: local.title, kept: backupIsNewer ? 'backup' : 'current' });
+    }
+  });
+
+  return { expenses: [...byId.values()], added, updated, unchanged, conflicts };
+}
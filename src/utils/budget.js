@@ -0,0 +1,24 @@
+/**
+ * Budget helpers — shared status thresholds for the header bar,
+ * dashboard cards and per-category progress bars.
+ * Author: Prem Pagare | Arizona State University
+ */
+
+export const BUDGET_THRESHOLDS = {
+  warning:  70,
+  critical: 90,
+};
+
+/** Maps a percentage of budget used to 'healthy' | 'warning' | 'critical'. */
+export function getBudgetStatus(percent) {
+  if (percent >= BUDGET_THRESHOLDS.critical) return 'critical';
+  if (percent >= BUDGET_THRESHOLDS.warning)  return 'warning';
+  return 'healthy';
+}
+
+/** Accent colour used by dashboard cards for each budget status. */
+export const BUDGET_STATUS_COLORS = {
+  healthy:  '#4ecdc4',
+  warning:  '#f5a623',
+  critical: '#ff5e5e',
+};
@@ -0,0 +1,127 @@
+/**
+ * Batch edits — the same change applied to many selected expenses
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Each helper takes one expense and returns it changed (with a fresh
+ * `updatedAt`), or the very same object when the change does not apply to
+ * it — so the reducer can run one over a whole selection in a single
+ * action, and undo (see history.js) records only the entries that moved.
+ *
+ * Where a change does not fit an entry it is left alone rather than
+ * half-applied: split expenses keep their per-line categories, a
+ * category only goes onto entries of its own type (income or expense), and
+ * a date shift never moves an entry past today.
+ */
+import { isSplit } from './splits';
+import { normalizeTag, tagsOf } from './tags';
+import { currencyOf } from './currency';
+import { isIncome } from './cashflow';
+import { findCategory } from './categories';
+import { VALIDATION_RULES } from './validation';
+import { getTodayString, isCalendarDate } from './formatters';
+
+export const MAX_SHIFT_DAYS = 366;
+
+/** True when `category` can be put on the expense by a batch re-categorise. */
+export function canRecategorize(expense, category) {
+  return !isSplit(expense) && (category.type ?? 'expense') === (expense.type ?? 'expense');
+}
+
+export function setCategory(expense, category, at) {
+  if (!canRecategorize(expense, category) || expense.category === category.id) return expense;
+  return { ...expense, category: category.id, updatedAt: at };
+}
+
+/** Adds and removes tags; an entry already at the tag limit gets no more. */
+export function editTags(expense, { add = [], remove = [] }, at) {
+  const own  = tagsOf(expense);
+  const kept = own.filter((t) => !remove.includes(t));
+  const room = VALIDATION_RULES.tags.maxCount - kept.length;
+  const next = [...kept, ...add.filter((t) => !kept.includes(t)).slice(0, Math.max(0, room))];
+  if (next.length === own.length && next.every((t, i) => t === own[i])) return expense;
+  return { ...expense, tags: next, updatedAt: at };
+}
+
+/** Tags typed into the batch bar, normalised; '' parts are dropped. */
+export function parseTagList(text) {
+  return [...new Set(text.split(/[\s,]+/).map(normalizeTag).filter(Boolean))]
+    .map((t) => t.slice(0, VALIDATION_RULES.tags.maxLength));
+}
+
+function shiftedDate(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  const moved = new Date(y, m - 1, d + days);
+  return [
+    moved.getFullYear(),
+    String(moved.getMonth() + 1).padStart(2, '0'),
+    String(moved.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * True when the expense can be moved by `days`: a whole number of days
+ * within MAX_SHIFT_DAYS, landing on a real date no later than today.
+ */
+export function canShiftDate(expense, days) {
+  if (!Number.isInteger(days) || days === 0 || Math.abs(days) > MAX_SHIFT_DAYS) return false;
+  const date = shiftedDate(expense.date, days);
+  return isCalendarDate(date) && date <= getTodayString();
+}
+
+/** Moves the date by whole days (negative = earlier). */
+export function shiftDate(expense, days, at) {
+  if (!canShiftDate(expense, days)) return expense;
+  return { ...expense, date: shiftedDate(expense.date, days), updatedAt: at };
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = ['Date', 'Title', 'Amount', 'Currency', 'Type', 'Category', 'Tags', 'Description'];
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Text a spreadsheet would run as a formula — imported bank rows can carry
+// one — is led with an apostrophe, which shows it as text (the import
+// wizard drops it again)
+const FORMULA_START = /^[=+\-@\t\r]/;
+const textCell = (value) => {
+  const text = String(value ?? '');
+  return FORMULA_START.test(text) ? `'${text}` : text;
+};
+
+/**
+ * The expenses as CSV, in the column names the import wizard recognises,
+ * so an export can be imported again. A split expense becomes one row per
+ * line, each with its own amount and category.
+ */
+export function expensesToCsv(expenses, categories) {
+  const rows = expenses.flatMap((e) => {
+    const parts = isSplit(e) ? e.splits : [{ category: e.category, amount: e.amount }];
+    return parts.map((part) => [
+      e.date,
+      textCell(e.title),
+      part.amount.toFixed(2),
+      currencyOf(e),
+      isIncome(e) ? 'income' : 'expense',
+      textCell(findCategory(categories, part.category).label),
+      textCell(tagsOf(e).join(' ')),
+      textCell(e.description),
+    ]);
+  });
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n');
+}
+
+/** Triggers a browser download of the CSV text. */
+export function downloadCsv(text, fileName) {
+  const url  = URL.createObjectURL(new Blob([text], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
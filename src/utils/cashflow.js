@@ -0,0 +1,33 @@
+/**
+ * Income vs. spending helpers
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Income is stored in the same list as expenses with `type: 'income'`;
+ * anything else (including records from before income existed) is spending.
+ */
+export const isIncome = (e) => e.type === 'income';
+
+/** @returns {{ income: object[], spending: object[] }} */
+export function splitByType(list) {
+  const income = [];
+  const spending = [];
+  list.forEach((e) => (isIncome(e) ? income : spending).push(e));
+  return { income, spending };
+}
+
+/**
+ * Per-month income, spending and net, oldest month first.
+ * @returns {{ month: 'yyyy-mm', income: number, expenses: number, net: number }[]}
+ */
+export function getMonthlyCashFlow(list) {
+  const map = {};
+  list.forEach((e) => {
+    const month = e.date.slice(0, 7);
+    if (!map[month]) map[month] = { month, income: 0, expenses: 0, net: 0 };
+    if (isIncome(e)) map[month].income   += e.amount;
+    else             map[month].expenses += e.amount;
+  });
+  return Object.values(map)
+    .map((m) => ({ ...m, net: m.income - m.expenses }))
+    .sort((a, b) => a.month.localeCompare(b.month));
+}
@@ -0,0 +1,136 @@
+/**
+ * User-defined categories — defaults, lookup, nesting and roll-ups
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Each user keeps their own list, seeded from the built-in CATEGORIES and
+ * INCOME_CATEGORIES (whose `value` becomes the `id`, so existing expenses
+ * keep pointing at the right category):
+ *
+ *   { id, label, icon, color, type: 'expense' | 'income',
+ *     parentId: null | id, archived: boolean, updatedAt }
+ *
+ * Nesting is one level deep: a subcategory's parent is always a top-level
+ * category of the same type. Expenses store the id of the category they
+ * were filed under — a subcategory or a top-level one — and spending totals
+ * roll subcategories up into their parent.
+ *
+ * Archived categories disappear from pickers but keep their expenses.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { CATEGORIES, INCOME_CATEGORIES } from './constants';
+
+// Offered in the category editor; any emoji can be typed in as well
+export const CATEGORY_ICONS = [
+  '🍽️', '🛒', '☕', '🍕', '🚗', '🚌', '⛽', '📚', '🎓', '💻', '🎮', '🎬', '🎵',
+  '💊', '🏋️', '🛍️', '👕', '🏠', '💡', '📶', '✈️', '🏨', '📱', '🐾', '🎁', '💼',
+  '💵', '🏅', '↩️', '🧾', '📦',
+];
+
+export const CATEGORY_COLORS = [
+  '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#F0A500',
+  '#A8D8EA', '#98D8C8', '#B8B8FF', '#7ED957', '#FF9ECF', '#C8C8C8',
+];
+
+const FALLBACK = { label: 'Uncategorised', icon: '📦', color: '#888888', type: 'expense', parentId: null };
+
+/** The list a new account (or a record from before custom categories) starts with. */
+export function createDefaultCategories() {
+  const seed = (type) => (c) => ({
+    id: c.value, label: c.label, icon: c.icon, color: c.color,
+    type, parentId: null, archived: false,
+  });
+  return [...CATEGORIES.map(seed('expense')), ...INCOME_CATEGORIES.map(seed('income'))];
+}
+
+export const DEFAULT_CATEGORIES = createDefaultCategories();
+
+export function createCategory({ label, icon, color, type = 'expense', parentId = null }) {
+  return {
+    id: uuidv4(), label: label.trim(), icon, color, type,
+    parentId, archived: false, updatedAt: new Date().toISOString(),
+  };
+}
+
+// ─── Lookup ───────────────────────────────────────────────────────────────────
+
+/** Looks a category up by id; unknown ids get a neutral stand-in so nothing breaks. */
+export function findCategory(categories, id) {
+  return categories.find((c) => c.id === id) || { ...FALLBACK, id, label: id || FALLBACK.label };
+}
+
+/** The top-level category an id belongs to (itself when it has no parent). */
+export function topLevelId(categories, id) {
+  return categories.find((c) => c.id === id)?.parentId || id;
+}
+
+/** True when an expense filed under `id` belongs in `filterId` — itself or one of its subcategories. */
+export function isInCategory(categories, id, filterId) {
+  return id === filterId || topLevelId(categories, id) === filterId;
+}
+
+/**
+ * Categories in display order — each top-level category followed by its
+ * subcategories — optionally limited to one type and without archived ones.
+ * `keep` is an id (or list of ids) listed even when archived — the ones
+ * the entry being edited already uses.
+ */
+export function orderCategories(categories, { type, includeArchived = false, keep } = {}) {
+  const kept = [].concat(keep ?? []);
+  // Archiving a category also hides its subcategories
+  const archived = (c) => c.archived || categories.find((p) => p.id === c.parentId)?.archived;
+  const visible = categories.filter((c) =>
+    (!type || c.type === type) && (includeArchived || !archived(c) || kept.includes(c.id))
+  );
+  const tops = visible.filter((c) => !c.parentId || !visible.some((p) => p.id === c.parentId));
+  return tops.flatMap((top) => [top, ...visible.filter((c) => c.parentId === top.id)]);
+}
+
+/** Folds subcategory totals into their top-level category. */
+export function rollUpTotals(categories, totals) {
+  return Object.entries(totals).reduce((acc, [id, amount]) => {
+    const top = topLevelId(categories, id);
+    acc[top] = (acc[top] || 0) + amount;
+    return acc;
+  }, {});
+}
+
+/** Label with the parent in front for subcategories, e.g. "Food & Dining › Coffee". */
+export function categoryPath(categories, id) {
+  const cat = findCategory(categories, id);
+  if (!cat.parentId) return cat.label;
+  return `${findCategory(categories, cat.parentId).label} › ${cat.label}`;
+}
+
+// ─── Deletion ─────────────────────────────────────────────────────────────────
+
+/**
+ * Removes a category and moves everything filed under it to `reassignTo`,
+ * including the line items of split expenses (see splits.js).
+ * Its subcategories become top-level categories rather than being lost.
+ *
+ * @param {{ categories, expenses, recurring, categoryBudgets }} data
+ * @param {string} at  ISO timestamp for the records that change
+ */
+export function removeCategory(data, id, reassignTo, at) {
+  const moveLine = (l) => (l.category === id ? { ...l, category: reassignTo } : l);
+  const move = (x) => {
+    const inSplit = Array.isArray(x.splits) && x.splits.some((l) => l.category === id);
+    if (x.category !== id && !inSplit) return x;
+    return {
+      ...x,
+      category: x.category === id ? reassignTo : x.category,
+      ...(inSplit && { splits: x.splits.map(moveLine) }),
+      updatedAt: at,
+    };
+  };
+  const categoryBudgets = { ...data.categoryBudgets };
+  delete categoryBudgets[id];
+  return {
+    categories: data.categories
+      .filter((c) => c.id !== id)
+      .map((c) => (c.parentId === id ? { ...c, parentId: null, updatedAt: at } : c)),
+    expenses:   data.expenses.map(move),
+    recurring:  data.recurring.map(move),
+    categoryBudgets,
+  };
+}
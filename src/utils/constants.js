@@ -28,6 +28,45 @@ export const CATEGORIES = [
   { value: 'other', label: 'Other', icon: '📦', color: '#C8C8C8' },
 ];
 
+// Income Categories — kept apart so they never count towards spending
+export const INCOME_CATEGORIES = [
+  { value: 'paycheck', label: 'Paycheck', icon: '💼', color: '#7ED957' },
+  { value: 'stipend', label: 'Stipend', icon: '🎓', color: '#5CC8FF' },
+  { value: 'scholarship', label: 'Scholarship', icon: '🏅', color: '#FFD45C' },
+  { value: 'refund', label: 'Refunds', icon: '↩️', color: '#9BE7C4' },
+  { value: 'gift', label: 'Gifts', icon: '🎁', color: '#FF9ECF' },
+  { value: 'other_income', label: 'Other Income', icon: '💵', color: '#B5E48C' },
+];
+
+// Every category, for lookups by value
+export const ALL_CATEGORIES = [...CATEGORIES, ...INCOME_CATEGORIES];
+
+// Transaction types
+export const TRANSACTION_TYPES = [
+  { value: 'expense', label: 'Expense', icon: '💸' },
+  { value: 'income', label: 'Income', icon: '💰' },
+];
+
+// Currencies an expense can be recorded in (ISO 4217)
+export const CURRENCIES = [
+  { value: 'USD', label: 'US Dollar', symbol: '$' },
+  { value: 'INR', label: 'Indian Rupee', symbol: '₹' },
+  { value: 'EUR', label: 'Euro', symbol: '€' },
+  { value: 'GBP', label: 'British Pound', symbol: '£' },
+  { value: 'CNY', label: 'Chinese Yuan', symbol: '¥' },
+  { value: 'JPY', label: 'Japanese Yen', symbol: '¥' },
+  { value: 'KRW', label: 'South Korean Won', symbol: '₩' },
+  { value: 'CAD', label: 'Canadian Dollar', symbol: '$' },
+  { value: 'MXN', label: 'Mexican Peso', symbol: '$' },
+  { value: 'BRL', label: 'Brazilian Real', symbol: 'R$' },
+  { value: 'AUD', label: 'Australian Dollar', symbol: '$' },
+  { value: 'NGN', label: 'Nigerian Naira', symbol: '₦' },
+  { value: 'VND', label: 'Vietnamese Dong', symbol: '₫' },
+  { value: 'SAR', label: 'Saudi Riyal', symbol: '﷼' },
+];
+
+export const DEFAULT_CURRENCY = 'USD';
+
 // Sort options
 export const SORT_OPTIONS = [
   { value: 'date_desc', label: 'Newest First' },
@@ -38,5 +77,13 @@ export const SORT_OPTIONS = [
   { value: 'title_desc', label: 'Title Z–A' },
 ];
 
+// Recurring expense frequencies
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'yearly', label: 'Yearly' },
+];
+
 export const LOCAL_STORAGE_KEY = 'prem_asu_expenses';
 export const BUDGET_STORAGE_KEY = 'prem_asu_budget';
@@ -0,0 +1,193 @@
+/**
+ * CSV parsing + column mapping for bank-statement imports
+ * Author: Prem Pagare | Arizona State University
+ *
+ * parseCsv() handles quoted fields, escaped quotes ("") and embedded
+ * newlines, and sniffs the delimiter (comma, semicolon or tab) from the
+ * first line. rowToExpense() turns one mapped row into the same shape
+ * ExpenseForm submits, ready for validateExpense().
+ */
+import { DEFAULT_CATEGORIES } from './categories';
+import { isCalendarDate } from './formatters';
+
+export const IMPORT_FIELDS = [
+  { value: 'title',       label: 'Title',       required: true  },
+  { value: 'amount',      label: 'Amount',      required: true  },
+  { value: 'date',        label: 'Date',        required: true  },
+  { value: 'category',    label: 'Category',    required: false },
+  { value: 'description', label: 'Description', required: false },
+];
+
+export const DATE_FORMATS = [
+  { value: 'auto', label: 'Detect automatically' },
+  { value: 'ymd',  label: 'YYYY-MM-DD' },
+  { value: 'mdy',  label: 'MM/DD/YYYY' },
+  { value: 'dmy',  label: 'DD/MM/YYYY' },
+];
+
+// Header names commonly used by bank exports, per field
+const HEADER_HINTS = {
+  title:       ['title', 'name', 'payee', 'merchant', 'description', 'details', 'memo'],
+  amount:      ['amount', 'debit', 'value', 'total', 'price', 'cost', 'withdrawal'],
+  date:        ['date', 'posted', 'transaction date', 'posting date', 'booking date'],
+  category:    ['category', 'type', 'group'],
+  description: ['notes', 'note', 'memo', 'reference', 'description', 'details'],
+};
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * @param {string} text  raw file contents
+ * @returns {string[][]} rows of trimmed cells, blank lines dropped
+ */
+export function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, '');   // strip BOM left by Excel
+  const delimiter = detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"')                   { inQuotes = false; }
+      else                                   { cell += ch; }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c !== ''));
+}
+
+/**
+ * Picks the most likely column index for every import field from the
+ * header row. Each column is used at most once.
+ * @returns {{ [field]: number }}  -1 = not mapped
+ */
+export function guessMapping(headers) {
+  const normalized = headers.map((h) => h.toLowerCase().trim());
+  const used = new Set();
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach(({ value }) => {
+    const hints = HEADER_HINTS[value];
+    let index = -1;
+    for (const hint of hints) {
+      index = normalized.findIndex((h, i) => !used.has(i) && (h === hint || h.includes(hint)));
+      if (index !== -1) break;
+    }
+    if (index !== -1) used.add(index);
+    mapping[value] = index;
+  });
+
+  return mapping;
+}
+
+/**
+ * "$1,234.50", "(12.00)", "-12", "12.00-", "12,50 €" → "1234.50", "-12.00", "-12", "-12.00", "12.50"
+ *
+ * Refunds and credits keep their minus sign, so validation turns them away
+ * instead of importing them as spending.
+ */
+export function normalizeAmount(raw) {
+  if (!raw) return '';
+  const t = raw.trim();
+  const negative = /^\(.*\)$/.test(t) || /^[^\d]*-/.test(t) || /-\s*$/.test(t);
+  let s = t.replace(/[^\d.,]/g, '');
+  // European decimal comma: "1.234,56" or "12,50"
+  if (/,\d{1,2}$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+  else s = s.replace(/,/g, '');
+  return negative && s ? `-${s}` : s;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// yyyy-mm-dd when that day exists — '2026-02-30' and month 13 give ''
+function toDateString(year, month, day) {
+  const s = `${year}-${pad(month)}-${pad(day)}`;
+  return isCalendarDate(s) ? s : '';
+}
+
+/** Returns yyyy-mm-dd, or '' when the value cannot be read as a date. */
+export function normalizeDate(raw, format = 'auto') {
+  if (!raw) return '';
+  const s = raw.trim();
+
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (m && (format === 'auto' || format === 'ymd')) {
+    return toDateString(m[1], m[2], m[3]);
+  }
+
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})$/);
+  if (m) {
+    const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+    let [month, day] = [m[1], m[2]];
+    // Auto: US order unless the first part cannot be a month
+    if (format === 'dmy' || (format === 'auto' && Number(m[1]) > 12)) [month, day] = [m[2], m[1]];
+    return toDateString(year, month, day);
+  }
+
+  if (format === 'auto') {
+    const d = new Date(s);
+    if (!isNaN(d)) return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+  return '';
+}
+
+/** Matches a free-text category against the user's expense categories by id or label. */
+export function matchCategory(raw, categories = DEFAULT_CATEGORIES) {
+  if (!raw) return '';
+  const s = raw.toLowerCase().trim();
+  const candidates = categories.filter((c) => c.type === 'expense' && !c.archived);
+  // An exact label wins over a partial one, so "Coffee" finds the subcategory
+  // rather than whichever category has "coffee" somewhere in its name
+  const hit =
+    candidates.find((c) => c.id === s || c.label.toLowerCase() === s) ||
+    candidates.find((c) => c.label.toLowerCase().split(/\s*&\s*|\s+/).includes(s));
+  return hit ? hit.id : '';
+}
+
+// Our own export leads formula-like text with an apostrophe (see bulk.js)
+const unguardFormula = (text) => text.replace(/^'(?=[=+\-@\t\r])/, '');
+
+/**
+ * Maps one CSV row to ExpenseForm-shaped data.
+ * @param {string[]} row
+ * @param {{ [field]: number }} mapping
+ * @param {{ dateFormat: string, defaultCategory: string, categories?: object[] }} options
+ */
+export function rowToExpense(row, mapping, { dateFormat = 'auto', defaultCategory = '', categories } = {}) {
+  const cell = (field) => (mapping[field] >= 0 ? row[mapping[field]] ?? '' : '');
+  return {
+    title:       unguardFormula(cell('title')),
+    amount:      normalizeAmount(cell('amount')),
+    date:        normalizeDate(cell('date'), dateFormat),
+    category:    matchCategory(cell('category'), categories) || defaultCategory,
+    description: mapping.description === mapping.title ? '' : unguardFormula(cell('description')),
+  };
+}
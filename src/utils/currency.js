@@ -0,0 +1,93 @@
+/**
+ * Multi-currency helpers — exchange-rate lookup + conversion to the home currency
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Every transaction carries the ISO code it was paid in (`currency`);
+ * records from before currencies existed are US dollars.
+ *
+ * The user's rate table is stored against one fixed base, US dollars, so
+ * switching the home currency never invalidates it:
+ *
+ *   { id, currency: 'INR', rate: 83.2, effectiveDate: '2026-01-01', updatedAt }
+ *   → from 1 Jan 2026 on, 1 USD = 83.2 INR
+ *
+ * A transaction is converted with the newest rate in effect on its date.
+ * Transactions older than a currency's first rate use that first rate —
+ * an approximate total beats leaving them out.
+ */
+import { DEFAULT_CURRENCY } from './constants';
+
+export const RATE_BASE = 'USD';
+
+export const currencyOf = (e) => e.currency || DEFAULT_CURRENCY;
+
+/**
+ * Units of `currency` per 1 USD on `date`, or null when the table has no
+ * rate for it at all.
+ */
+export function getRate(rates, currency, date) {
+  if (currency === RATE_BASE) return 1;
+  let inEffect = null;
+  let earliest = null;
+  rates.forEach((r) => {
+    if (r.currency !== currency || !(r.rate > 0)) return;
+    if (!earliest || r.effectiveDate < earliest.effectiveDate) earliest = r;
+    if (r.effectiveDate <= date && (!inEffect || r.effectiveDate > inEffect.effectiveDate)) inEffect = r;
+  });
+  return (inEffect || earliest)?.rate ?? null;
+}
+
+/** Converts an amount between currencies at the rates in effect on `date`; null when a rate is missing. */
+export function convertAmount(amount, from, to, date, rates) {
+  if (from === to) return amount;
+  const fromRate = getRate(rates, from, date);
+  const toRate   = getRate(rates, to, date);
+  if (fromRate == null || toRate == null) return null;
+  return (amount / fromRate) * toRate;
+}
+
+/**
+ * Converts every transaction into the home currency for totals and charts.
+ *
+ * Items already in the home currency are passed through as-is; the others
+ * become copies whose `amount` is in the home currency, with the original
+ * kept as `originalAmount` / `currency`.
+ *
+ * @returns {{ converted: object[], missing: string[] }}
+ *          `missing` lists currencies with no usable rate — their
+ *          transactions are left out of `converted`.
+ */
+export function convertToHome(list, rates, home) {
+  const converted = [];
+  const missing   = new Set();
+  list.forEach((e) => {
+    const currency = currencyOf(e);
+    if (currency === home) {
+      converted.push(e);
+      return;
+    }
+    const amount = convertAmount(e.amount, currency, home, e.date, rates);
+    if (amount == null) missing.add(currency);
+    else converted.push({ ...e, amount, originalAmount: e.amount, currency });
+  });
+  return { converted, missing: [...missing] };
+}
+
+/**
+ * The monthly and per-category budgets re-expressed in another currency at
+ * the rates in effect on `date`, rounded to the cent — so switching the
+ * home currency keeps a $500 budget worth $500. Null when a rate is missing.
+ *
+ * @returns {{ monthlyBudget: number, categoryBudgets: object } | null}
+ */
+export function convertBudgets({ monthlyBudget, categoryBudgets }, from, to, date, rates) {
+  if (from === to) return { monthlyBudget, categoryBudgets };
+  if (convertAmount(1, from, to, date, rates) == null) return null;
+  const convert = (amount) => Math.round(convertAmount(amount, from, to, date, rates) * 100) / 100;
+  return {
+    monthlyBudget:   convert(monthlyBudget),
+    categoryBudgets: Object.fromEntries(
+      Object.entries(categoryBudgets).map(([category, limit]) => [category, convert(limit)])
+    ),
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Duplicate detection — the same purchase entered twice
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Two entries are likely duplicates when they are of the same type, have
+ * the same amount in the same currency (to the cent), fall within
+ * DUPLICATE_DAYS of each other and have similar titles — a statement's
+ * "STARBUCKS #1234 TEMPE AZ" matches a receipt typed in as "Starbucks".
+ * Occurrences of one recurring series are never duplicates of each other:
+ * a daily rule produces the same entry a day apart on purpose.
+ *
+ * Entries are bucketed by amount first, so checking a whole import or
+ * history only compares entries that could match at all.
+ *
+ * A pair someone has looked at and kept apart is remembered on both
+ * records, so it is not raised again:
+ *
+ *   notDuplicateOf: [id, …]
+ */
+import { currencyOf } from './currency';
+import { tagsOf } from './tags';
+import { attachmentsOf, ATTACHMENT_RULES } from './attachments';
+import { moveToTrash } from './trash';
+import { VALIDATION_RULES } from './validation';
+
+export const DUPLICATE_DAYS = 3;
+const SIMILAR_TITLE = 0.6;
+const DAY_MS        = 24 * 60 * 60 * 1000;
+
+const amountKey = (e) => `${e.type ?? 'expense'}|${currencyOf(e)}|${Math.round(e.amount * 100)}`;
+
+const dayNumber = (date) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+};
+
+// Words of the title; store numbers and reference codes are left out
+const wordsOf = (title) =>
+  title.toLowerCase().split(/[^a-z0-9]+/).filter((w) => w.length > 1 && !/^\d+$/.test(w));
+
+function bigrams(text) {
+  const compact = text.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const pairs   = [];
+  for (let i = 0; i < compact.length - 1; i++) pairs.push(compact.slice(i, i + 2));
+  return pairs;
+}
+
+/**
+ * 0–1: how alike two titles are. The better of word overlap (one title's
+ * words all in the other counts as 1) and letter-pair likeness, which
+ * forgives typos.
+ */
+export function titleSimilarity(a, b) {
+  const wa = new Set(wordsOf(a));
+  const wb = new Set(wordsOf(b));
+  const shared  = [...wa].filter((w) => wb.has(w)).length;
+  const overlap = wa.size && wb.size ? shared / Math.min(wa.size, wb.size) : 0;
+
+  const ba = bigrams(a);
+  const bb = bigrams(b);
+  const pool = [...bb];
+  let common = 0;
+  ba.forEach((p) => {
+    const i = pool.indexOf(p);
+    if (i !== -1) { common++; pool.splice(i, 1); }
+  });
+  const dice = ba.length + bb.length ? (2 * common) / (ba.length + bb.length) : 0;
+
+  return Math.max(overlap, dice);
+}
+
+/** True when one of the two records says they are not the same. */
+export const isDismissedPair = (a, b) =>
+  Boolean(a.notDuplicateOf?.includes(b.id) || b.notDuplicateOf?.includes(a.id));
+
+const sameSeries = (a, b) => Boolean(a.recurringId) && a.recurringId === b.recurringId;
+
+/** Same type and amount assumed — the bucket already matched those. */
+function isLikelyPair(a, b) {
+  return a.id !== b.id
+    && !sameSeries(a, b)
+    && Math.abs(dayNumber(a.date) - dayNumber(b.date)) <= DUPLICATE_DAYS
+    && titleSimilarity(a.title, b.title) >= SIMILAR_TITLE
+    && !isDismissedPair(a, b);
+}
+
+// ─── Lookup ───────────────────────────────────────────────────────────────────
+
+/** Buckets entries by type, currency and amount for findDuplicates(). */
+export function createDuplicateIndex(expenses = []) {
+  const index = new Map();
+  expenses.forEach((e) => addToDuplicateIndex(index, e));
+  return index;
+}
+
+export function addToDuplicateIndex(index, expense) {
+  const key = amountKey(expense);
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(expense);
+}
+
+/**
+ * The indexed entries that `candidate` looks like a duplicate of. The
+ * candidate needs a numeric amount; one without an id (not saved yet)
+ * is compared with everything.
+ */
+export function findDuplicates(candidate, index) {
+  return (index.get(amountKey(candidate)) ?? []).filter((e) => isLikelyPair(candidate, e));
+}
+
+/**
+ * Every likely pair among the entries, newest first, for the review
+ * screen. Each pair is listed once, older entry first:
+ *
+ *   [{ key, older, newer }]
+ */
+export function findDuplicatePairs(expenses) {
+  const pairs = [];
+  createDuplicateIndex(expenses).forEach((bucket) => {
+    if (bucket.length < 2) return;
+    const byDate = [...bucket].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    byDate.forEach((a, i) => {
+      byDate.slice(i + 1).forEach((b) => {
+        if (isLikelyPair(a, b)) pairs.push({ key: `${a.id}:${b.id}`, older: a, newer: b });
+      });
+    });
+  });
+  return pairs.sort((p, q) => (p.newer.date < q.newer.date ? 1 : p.newer.date > q.newer.date ? -1 : 0));
+}
+
+// ─── Resolving a pair ─────────────────────────────────────────────────────────
+
+/** Both records marked as checked and not the same purchase. */
+export function dismissPair(a, b, at) {
+  const mark = (e, other) => ({
+    ...e,
+    notDuplicateOf: [...new Set([...(e.notDuplicateOf ?? []), other.id])],
+    updatedAt:      at,
+  });
+  return [mark(a, b), mark(b, a)];
+}
+
+/**
+ * Folds `drop` into `keep`: tags and receipts are combined (up to their
+ * limits) and a missing description is taken over. `drop` goes to the
+ * trash, so the merge can still be taken back from there.
+ *
+ * @returns {[object, object]}  [kept, dropped]
+ */
+export function mergePair(keep, drop, at) {
+  const tags = [...new Set([...tagsOf(keep), ...tagsOf(drop)])].slice(0, VALIDATION_RULES.tags.maxCount);
+  const own  = attachmentsOf(keep);
+  const attachments = [...own, ...attachmentsOf(drop).filter((a) => !own.some((o) => o.id === a.id))]
+    .slice(0, ATTACHMENT_RULES.maxFiles);
+
+  const kept = {
+    ...keep,
+    tags,
+    description: keep.description || drop.description || '',
+    ...(attachments.length && { attachments }),
+    updatedAt: at,
+  };
+  return [kept, moveToTrash(drop, at)];
+}
@@ -0,0 +1,122 @@
+/**
+ * Client-side encryption of stored user data — AES-GCM via WebCrypto
+ * Author: Prem Pagare | Arizona State University
+ *
+ * The key is derived from the user's password at sign-in (PBKDF2-SHA256
+ * with its own random `encryptionSalt` on the profile — never the password
+ * salt, whose derived hash is stored next to it) and is not extractable.
+ *
+ * Encrypted record layout:
+ *   {
+ *     schemaVersion, profile,            // clear — needed to sign in
+ *     expenses: [{ id, iv, data }],      // one ciphertext per expense
+ *     vault:    { iv, data },            // { budget, categoryBudgets, recurring,
+ *                                       //   homeCurrency, exchangeRates, categories,
+ *                                       //   people, settlements, trashDays, savedViews,
+ *                                       //   listGrouping }
+ *   }
+ *
+ * Expenses are encrypted one by one so the IndexedDB adapter can keep
+ * writing only the rows that changed: encryptRecord() reuses the previous
+ * ciphertext object for any expense object it has already seen.
+ * Receipt attachments are encrypted the same way, one file at a time
+ * (encryptBlob / decryptBlob).
+ */
+import { PBKDF2_ITERATIONS, toBase64, fromBase64 } from './password';
+
+const IV_BYTES   = 12;
+const SALT_BYTES = 16;
+const VAULT_FIELDS = ['budget', 'categoryBudgets', 'recurring', 'homeCurrency', 'exchangeRates', 'categories',
+                      'people', 'settlements', 'trashDays', 'savedViews', 'listGrouping'];
+
+export function createEncryptionSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/** Derives the AES-GCM key for a profile from the plain-text password. */
+export async function deriveEncryptionKey(password, encryptionSalt) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(encryptionSalt), iterations: PBKDF2_ITERATIONS },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// ─── JSON ↔ ciphertext ────────────────────────────────────────────────────────
+
+async function encryptJson(key, value) {
+  const iv   = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+async function decryptJson(key, { iv, data }) {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data)
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// ─── Files ↔ ciphertext ───────────────────────────────────────────────────────
+
+/** Encrypts a Blob's bytes. The ciphertext stays an ArrayBuffer — IndexedDB stores it as-is. */
+export async function encryptBlob(key, blob) {
+  const iv   = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+  return { iv: toBase64(iv), data };
+}
+
+export async function decryptBlob(key, { iv, data }, type) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, data);
+  return new Blob([plain], { type });
+}
+
+// ─── Records ──────────────────────────────────────────────────────────────────
+
+export function isEncryptedRecord(record) {
+  return Boolean(record?.vault);
+}
+
+/**
+ * @param {WeakMap} cache  plain expense object → { key, row } from earlier
+ *                         encrypt/decrypt calls
+ */
+export async function encryptRecord(key, record, cache) {
+  const { expenses = [], ...rest } = record;
+
+  const rows = await Promise.all(expenses.map(async (expense) => {
+    const hit = cache.get(expense);
+    if (hit && hit.key === key) return hit.row;
+    const { id, ...fields } = expense;
+    const row = { id, ...(await encryptJson(key, fields)) };
+    cache.set(expense, { key, row });
+    return row;
+  }));
+
+  const vault = await encryptJson(key, Object.fromEntries(VAULT_FIELDS.map((f) => [f, rest[f]])));
+  VAULT_FIELDS.forEach((f) => delete rest[f]);
+  return { ...rest, expenses: rows, vault };
+}
+
+/** Throws (OperationError) when the key does not match the data. */
+export async function decryptRecord(key, record, cache) {
+  const { vault, expenses = [], ...rest } = record;
+
+  const plain = await Promise.all(expenses.map(async (row) => {
+    const { id, ...blob } = row;
+    const expense = { id, ...(await decryptJson(key, blob)) };
+    cache.set(expense, { key, row });
+    return expense;
+  }));
+
+  // Ciphertext rows carry no createdAt, so the adapter could not order them
+  plain.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  return { ...rest, ...(await decryptJson(key, vault)), expenses: plain };
+}
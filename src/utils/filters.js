@@ -0,0 +1,85 @@
+/**
+ * Expense-list filters — date presets, date and amount ranges
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Ranges are kept as the user typed them, so the inputs stay controlled:
+ *
+ *   dateRange:   { from: 'YYYY-MM-DD' | '', to: 'YYYY-MM-DD' | '' }   // inclusive
+ *   amountRange: { min: string, max: string }                          // home currency
+ *
+ * An empty end leaves that side open.
+ */
+
+export const EMPTY_DATE_RANGE   = { from: '', to: '' };
+export const EMPTY_AMOUNT_RANGE = { min: '', max: '' };
+
+// Semesters on the ASU calendar, near enough for filtering: spring up to
+// mid-May, summer to mid-August, fall to the end of the year
+const SEMESTERS = [
+  { label: 'Spring', from: '01-01', to: '05-15' },
+  { label: 'Summer', from: '05-16', to: '08-15' },
+  { label: 'Fall',   from: '08-16', to: '12-31' },
+];
+
+export const DATE_PRESETS = [
+  { value: 'this_week',     label: 'This week' },
+  { value: 'this_month',    label: 'This month' },
+  { value: 'last_month',    label: 'Last month' },
+  { value: 'this_semester', label: 'This semester' },
+  { value: 'this_year',     label: 'This year' },
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateString = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+/**
+ * The date range a preset covers on `today` (a Date); weeks start on Monday.
+ * @returns {{ from: string, to: string }}
+ */
+export function presetRange(preset, today = new Date()) {
+  const y = today.getFullYear();
+  const m = today.getMonth();
+  switch (preset) {
+    case 'this_week': {
+      const start = new Date(y, m, today.getDate() - ((today.getDay() + 6) % 7));
+      const end   = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+      return { from: toDateString(start), to: toDateString(end) };
+    }
+    case 'this_month':
+      return { from: toDateString(new Date(y, m, 1)), to: toDateString(new Date(y, m + 1, 0)) };
+    case 'last_month':
+      return { from: toDateString(new Date(y, m - 1, 1)), to: toDateString(new Date(y, m, 0)) };
+    case 'this_semester': {
+      const md  = toDateString(today).slice(5);
+      const sem = SEMESTERS.find((s) => md >= s.from && md <= s.to);
+      return { from: `${y}-${sem.from}`, to: `${y}-${sem.to}` };
+    }
+    case 'this_year':
+      return { from: `${y}-01-01`, to: `${y}-12-31` };
+    default:
+      return EMPTY_DATE_RANGE;
+  }
+}
+
+/** The preset a range is exactly, if any — so the picker can show it as chosen. */
+export function matchPreset(range, today = new Date()) {
+  return DATE_PRESETS.find(({ value }) => {
+    const r = presetRange(value, today);
+    return r.from === range.from && r.to === range.to;
+  })?.value ?? '';
+}
+
+export function inDateRange(expense, { from, to }) {
+  return (!from || expense.date >= from) && (!to || expense.date <= to);
+}
+
+/** @param {number} amount  in the home currency */
+export function inAmountRange(amount, { min, max }) {
+  const lo = parseFloat(min);
+  const hi = parseFloat(max);
+  return (isNaN(lo) || amount >= lo) && (isNaN(hi) || amount <= hi);
+}
+
+export function isRangeSet(range) {
+  return Object.values(range).some((v) => v !== '');
+}
@@ -35,6 +35,15 @@ export function getTodayString() {
   return `${yyyy}-${mm}-${dd}`;
 }
 
+/** True for a YYYY-MM-DD string naming a day that exists — not 2026-02-30. */
+export function isCalendarDate(dateString) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString ?? '');
+  if (!m) return false;
+  const [y, mo, d] = m.slice(1).map(Number);
+  const date = new Date(y, mo - 1, d);
+  return date.getFullYear() === y && date.getMonth() === mo - 1 && date.getDate() === d;
+}
+
 export function getMonthYear(dateString) {
   const date = new Date(dateString + 'T00:00:00');
   return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
@@ -0,0 +1,84 @@
+/**
+ * Expense-list grouping — by day, week, month, year or category
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Groups keep the list's sort order: each one appears where its first
+ * entry does, and holds its entries in list order:
+ *
+ *   [{ key, label, items }]
+ *
+ * 'none' has no headers to show, so it cuts the list into plain pages of
+ * NONE_PAGE entries instead — the list still loads them a few at a time.
+ * Each account picks its own grouping; 'month' is the default.
+ */
+import { formatDate, getMonthYear } from './formatters';
+import { findCategory, topLevelId } from './categories';
+
+export const DEFAULT_GROUPING = 'month';
+
+export const GROUPINGS = [
+  { value: 'none',     label: 'No grouping' },
+  { value: 'day',      label: 'By day' },
+  { value: 'week',     label: 'By week' },
+  { value: 'month',    label: 'By month' },
+  { value: 'year',     label: 'By year' },
+  { value: 'category', label: 'By category' },
+];
+
+export const NONE_PAGE = 50;
+
+export const isGrouping = (value) => GROUPINGS.some((g) => g.value === value);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** The Monday (YYYY-MM-DD) of the week a date falls in. */
+function weekStart(dateString) {
+  const [y, m, d] = dateString.split('-').map(Number);
+  const date   = new Date(y, m - 1, d);
+  const monday = new Date(y, m - 1, d - ((date.getDay() + 6) % 7));
+  return `${monday.getFullYear()}-${pad(monday.getMonth() + 1)}-${pad(monday.getDate())}`;
+}
+
+// How each grouping keys an entry and labels the group, from that key
+const GROUPERS = {
+  day:   { keyOf: (e) => e.date,             labelOf: (key) => formatDate(key) },
+  week:  { keyOf: (e) => weekStart(e.date),  labelOf: (key) => `Week of ${formatDate(key)}` },
+  month: { keyOf: (e) => e.date.slice(0, 7), labelOf: (key) => getMonthYear(`${key}-01`) },
+  year:  { keyOf: (e) => e.date.slice(0, 4), labelOf: (key) => key },
+};
+
+/**
+ * @param {Array}  expenses    in list order
+ * @param {string} by          one of GROUPINGS
+ * @param {Array}  categories  the account's categories, for 'category'
+ * @returns {Array<{ key: string, label: string|null, items: Array }>}
+ */
+export function groupExpenses(expenses, by, categories = []) {
+  if (by === 'none') {
+    const pages = [];
+    for (let i = 0; i < expenses.length; i += NONE_PAGE) {
+      pages.push({ key: `page-${i / NONE_PAGE}`, label: null, items: expenses.slice(i, i + NONE_PAGE) });
+    }
+    return pages;
+  }
+
+  // Subcategories are listed with their parent; a split expense under its
+  // main category, as everywhere else it is shown
+  const grouper = by === 'category'
+    ? {
+        keyOf:   (e) => topLevelId(categories, e.category),
+        labelOf: (key) => {
+          const category = findCategory(categories, key);
+          return `${category.icon} ${category.label}`;
+        },
+      }
+    : GROUPERS[by] ?? GROUPERS[DEFAULT_GROUPING];
+
+  const groups = new Map();
+  expenses.forEach((e) => {
+    const key = grouper.keyOf(e);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  });
+  return [...groups].map(([key, items]) => ({ key, label: grouper.labelOf(key), items }));
+}
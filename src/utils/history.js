@@ -0,0 +1,94 @@
+/**
+ * Undo / redo — changes recorded as the items they touched
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Each undoable action is kept as what it changed, not as a snapshot of
+ * the whole state:
+ *
+ *   change: {
+ *     lists:  { [field]: { before: item[], after: item[] } },  // only items that differ
+ *     values: { [field]: [before, after] },
+ *   }
+ *
+ * so undoing it later puts back just those items, by id, on top of
+ * whatever the list holds by then — another tab's saves in between are
+ * left alone. Items put back get a fresh `updatedAt`, which makes the undo
+ * the newest edit when tabs merge (see tabSync.js).
+ */
+
+export const HISTORY_LIMIT = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// The parts of the state a change can touch: lists of { id } items, and plain values
+const LIST_FIELDS  = ['expenses', 'recurring', 'categories', 'exchangeRates', 'people', 'settlements', 'savedViews'];
+const VALUE_FIELDS = ['monthlyBudget', 'categoryBudgets', 'homeCurrency'];
+
+function diffList(prev, next) {
+  const prevById = new Map(prev.map((x) => [x.id, x]));
+  const nextById = new Map(next.map((x) => [x.id, x]));
+  const before = prev.filter((x) => nextById.get(x.id) !== x);
+  const after  = next.filter((x) => prevById.get(x.id) !== x);
+  return before.length || after.length ? { before, after } : null;
+}
+
+/** What an action changed between two states; null when it changed nothing. */
+export function diffChange(prev, next) {
+  const lists  = {};
+  const values = {};
+  LIST_FIELDS.forEach((field) => {
+    if (prev[field] === next[field]) return;
+    const diff = diffList(prev[field], next[field]);
+    if (diff) lists[field] = diff;
+  });
+  VALUE_FIELDS.forEach((field) => {
+    if (prev[field] !== next[field]) values[field] = [prev[field], next[field]];
+  });
+  return Object.keys(lists).length || Object.keys(values).length ? { lists, values } : null;
+}
+
+function patchList(list, remove, restore, at) {
+  const restored = new Map(restore.map((x) => [x.id, { ...x, updatedAt: at }]));
+  const dropped  = new Set(remove.map((x) => x.id));
+  const present  = new Set(list.map((x) => x.id));
+  const kept = list
+    .filter((x) => !dropped.has(x.id) || restored.has(x.id))
+    .map((x) => restored.get(x.id) ?? x);
+  return [...[...restored.values()].filter((x) => !present.has(x.id)), ...kept];
+}
+
+/**
+ * The state fields after taking a change back ('undo') or making it again
+ * ('redo').
+ *
+ * @param {string} at  ISO timestamp for the items put back
+ */
+export function applyChange(state, change, direction, at) {
+  const [from, to] = direction === 'undo' ? ['after', 'before'] : ['before', 'after'];
+  const fields = {};
+  Object.entries(change.lists).forEach(([field, diff]) => {
+    fields[field] = patchList(state[field], diff[from], diff[to], at);
+  });
+  Object.entries(change.values).forEach(([field, [before, after]]) => {
+    fields[field] = direction === 'undo' ? before : after;
+  });
+  return fields;
+}
+
+/** Expenses that an undo or redo could still bring back. */
+export function expensesInHistory({ past, future }) {
+  return [...past, ...future].flatMap(({ change }) => {
+    const diff = change.lists.expenses;
+    return diff ? [...diff.before, ...diff.after] : [];
+  });
+}
+
+/** The history without the steps that mention any of these expenses — once they are gone for good. */
+export function forgetExpenses({ past, future }, ids) {
+  const gone = new Set(ids);
+  const keep = ({ change }) => {
+    const diff = change.lists.expenses;
+    return !diff || ![...diff.before, ...diff.after].some((e) => gone.has(e.id));
+  };
+  return { past: past.filter(keep), future: future.filter(keep) };
+}
@@ -0,0 +1,249 @@
+/**
+ * IndexedDB storage adapter
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Database `asu_expense_tracker`:
+ *   users     keyPath 'id'            { id, schemaVersion, profile, budget,
+ *                                       categoryBudgets, recurring,
+ *                                       registeredAt, updatedAt }
+ *             index  registeredAt     → FIFO eviction order
+ *   expenses  keyPath ['userId','id'] { userId, ...expense }
+ *             index  userId
+ *   attachments keyPath ['userId','id'] { userId, id, expenseId, type, file,
+ *                                         thumbType, thumb }
+ *             index  userId
+ *             index  userId_expenseId ['userId', 'expenseId']
+ *   meta      keyPath 'key'           { key, value }
+ *
+ * Expenses are individual records, so a save only writes the expenses whose
+ * object identity changed since the last load/save (the reducer never
+ * mutates, so unchanged expenses keep their reference) and deletes the ones
+ * that disappeared — no more re-serialising the whole list on every edit.
+ * Rows are only ever read per user: an encrypted account's rows are
+ * { id, iv, data } with nothing else in clear, so there is no date or
+ * category index (version 3 drops the ones earlier versions made).
+ *
+ * Attachments are receipt files (see attachments.js); `file` and `thumb`
+ * are Blobs, or { iv, data } ciphertext for encrypted accounts. They never
+ * travel with the user record — only the expense's list of them does.
+ *
+ * On first open, data written by the old localStorage engine (asu_et_*
+ * keys) is copied in once and the old keys are removed.
+ */
+import {
+  MAX_USERS,
+  getRegistry,
+  loadUserData as loadLegacyUser,
+  deleteUserData as deleteLegacyUser,
+} from './userStorage';
+
+const DB_NAME    = 'asu_expense_tracker';
+const DB_VERSION = 3;   // 2: attachments store · 3: no date / category indexes
+const MIGRATION_KEY = 'migratedFromLocalStorage';
+
+// ─── Promise helpers ──────────────────────────────────────────────────────────
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort    = () => reject(tx.error);
+    tx.onerror    = () => reject(tx.error);
+  });
+}
+
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('users')) {
+        const users = db.createObjectStore('users', { keyPath: 'id' });
+        users.createIndex('registeredAt', 'registeredAt');
+      }
+      if (!db.objectStoreNames.contains('expenses')) {
+        const expenses = db.createObjectStore('expenses', { keyPath: ['userId', 'id'] });
+        expenses.createIndex('userId', 'userId');
+      } else {
+        const expenses = req.transaction.objectStore('expenses');
+        ['userId_date', 'userId_category'].forEach((name) => {
+          if (expenses.indexNames.contains(name)) expenses.deleteIndex(name);
+        });
+      }
+      if (!db.objectStoreNames.contains('attachments')) {
+        const attachments = db.createObjectStore('attachments', { keyPath: ['userId', 'id'] });
+        attachments.createIndex('userId', 'userId');
+        attachments.createIndex('userId_expenseId', ['userId', 'expenseId']);
+      }
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta', { keyPath: 'key' });
+      }
+    };
+
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+  });
+}
+
+// ─── Record splitting ─────────────────────────────────────────────────────────
+
+function toUserRow(userId, record, registeredAt) {
+  const { expenses, ...rest } = record;
+  return { ...rest, id: userId, registeredAt, updatedAt: new Date().toISOString() };
+}
+
+function fromRows(userRow, expenseRows) {
+  const { id, registeredAt, ...rest } = userRow;
+  return {
+    ...rest,
+    expenses: expenseRows
+      .map(({ userId, ...expense }) => expense)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')),
+  };
+}
+
+// ─── Adapter ──────────────────────────────────────────────────────────────────
+
+export async function createIndexedDbAdapter() {
+  const db = await openDatabase();
+
+  // userId → Map(expenseId → expense object last written/read)
+  const written = new Map();
+
+  // Every expense and attachment row of a user, inside a transaction over both stores
+  async function deleteOwnedRows(tx, userId) {
+    for (const store of ['expenses', 'attachments']) {
+      const keys = await request(tx.objectStore(store).index('userId').getAllKeys(userId));
+      keys.forEach((key) => tx.objectStore(store).delete(key));
+    }
+  }
+
+  async function evictOldest(tx) {
+    const users  = tx.objectStore('users');
+    const count  = await request(users.count());
+    if (count < MAX_USERS) return;
+
+    const cursor = await request(users.index('registeredAt').openCursor());
+    if (!cursor) return;
+    const evictId = cursor.value.id;
+    cursor.delete();
+    await deleteOwnedRows(tx, evictId);
+    written.delete(evictId);
+    console.info(`[IndexedDbAdapter] Evicted oldest user "${evictId}" (cap=${MAX_USERS})`);
+  }
+
+  async function writeUser(userId, record, registeredAtFallback) {
+    const tx       = db.transaction(['users', 'expenses', 'attachments'], 'readwrite');
+    const done     = transactionDone(tx);
+    const users    = tx.objectStore('users');
+    const expenses = tx.objectStore('expenses');
+
+    const existing = await request(users.get(userId));
+    if (!existing) await evictOldest(tx);
+    users.put(toUserRow(userId, record, existing?.registeredAt ?? registeredAtFallback ?? Date.now()));
+
+    const list     = record.expenses ?? [];
+    const previous = written.get(userId);
+    const next     = new Map(list.map((e) => [e.id, e]));
+
+    if (previous) {
+      list.forEach((e) => { if (previous.get(e.id) !== e) expenses.put({ ...e, userId }); });
+      previous.forEach((_, id) => { if (!next.has(id)) expenses.delete([userId, id]); });
+    } else {
+      // No snapshot for this user yet — reconcile against what is on disk
+      const keys = await request(expenses.index('userId').getAllKeys(userId));
+      keys.forEach(([, id]) => { if (!next.has(id)) expenses.delete([userId, id]); });
+      list.forEach((e) => expenses.put({ ...e, userId }));
+    }
+    written.set(userId, next);
+
+    await done;
+  }
+
+  // ── One-time migration from the localStorage engine ─────────────────────────
+  async function migrateFromLocalStorage() {
+    const flag = await request(db.transaction('meta').objectStore('meta').get(MIGRATION_KEY));
+    if (flag?.value) return;
+
+    const registry = getRegistry();
+    for (let i = 0; i < registry.length; i++) {
+      const legacy = loadLegacyUser(registry[i]);
+      if (legacy) await writeUser(registry[i], legacy, i);
+    }
+
+    const tx = db.transaction('meta', 'readwrite');
+    tx.objectStore('meta').put({ key: MIGRATION_KEY, value: new Date().toISOString() });
+    await transactionDone(tx);
+
+    // Only drop the old keys once everything is safely in IndexedDB
+    registry.forEach((id) => deleteLegacyUser(id));
+    if (registry.length) console.info(`[IndexedDbAdapter] Migrated ${registry.length} user(s) from localStorage`);
+  }
+
+  await migrateFromLocalStorage();
+
+  return {
+    name: 'indexedDB',
+
+    async loadUserData(userId) {
+      const tx   = db.transaction(['users', 'expenses']);
+      const user = await request(tx.objectStore('users').get(userId));
+      if (!user) return null;
+      const rows = await request(tx.objectStore('expenses').index('userId').getAll(userId));
+      const record = fromRows(user, rows);
+      written.set(userId, new Map(record.expenses.map((e) => [e.id, e])));
+      return record;
+    },
+
+    async saveUserData(userId, record) {
+      await writeUser(userId, record);
+    },
+
+    async deleteUserData(userId) {
+      const tx   = db.transaction(['users', 'expenses', 'attachments'], 'readwrite');
+      const done = transactionDone(tx);
+      tx.objectStore('users').delete(userId);
+      await deleteOwnedRows(tx, userId);
+      written.delete(userId);
+      await done;
+    },
+
+    async getUserCount() {
+      return request(db.transaction('users').objectStore('users').count());
+    },
+
+    async listProfiles() {
+      const rows = await request(db.transaction('users').objectStore('users').getAll());
+      return rows.filter((u) => u.profile).map((u) => ({ id: u.id, profile: u.profile }));
+    },
+
+    // ── Attachments ──
+    async saveAttachment(userId, row) {
+      const tx = db.transaction('attachments', 'readwrite');
+      tx.objectStore('attachments').put({ ...row, userId });
+      await transactionDone(tx);
+    },
+
+    async loadAttachment(userId, id) {
+      return (await request(db.transaction('attachments').objectStore('attachments').get([userId, id]))) ?? null;
+    },
+
+    async deleteAttachments(userId, ids) {
+      const tx = db.transaction('attachments', 'readwrite');
+      ids.forEach((id) => tx.objectStore('attachments').delete([userId, id]));
+      await transactionDone(tx);
+    },
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * localStorage storage adapter — Promise wrapper around userStorage.js
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Used when IndexedDB is unavailable (some private-browsing modes), so the
+ * rest of the app can always talk to the same async adapter interface.
+ */
+import {
+  loadUserData,
+  saveUserData,
+  deleteUserData,
+  getUserCount,
+  getRegistry,
+} from './userStorage';
+
+export function createLocalStorageAdapter() {
+  return {
+    name: 'localStorage',
+
+    async loadUserData(userId) {
+      return loadUserData(userId);
+    },
+
+    async saveUserData(userId, record) {
+      saveUserData(userId, record);
+    },
+
+    async deleteUserData(userId) {
+      deleteUserData(userId);
+    },
+
+    async getUserCount() {
+      return getUserCount();
+    },
+
+    async listProfiles() {
+      return getRegistry()
+        .map((id) => ({ id, profile: loadUserData(id)?.profile }))
+        .filter((u) => u.profile);
+    },
+  };
+}
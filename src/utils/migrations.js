@@ -0,0 +1,140 @@
+/**
+ * Stored-record schema versioning + migrations
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Every user record carries `schemaVersion`. Records written before
+ * versioning existed count as version 0. On load, migrateUserRecord() runs
+ * each step from the record's version up to SCHEMA_VERSION in order, so a
+ * new field only needs one new entry at the end of MIGRATIONS:
+ *
+ *   MIGRATIONS[n] upgrades a version-n record to version n + 1.
+ *
+ * Steps must return the input objects untouched when nothing changes — the
+ * IndexedDB adapter only rewrites expenses whose identity changed.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { loadExpenses, loadBudget, clearLegacyData } from './storage';
+import { LOCAL_STORAGE_KEY, BUDGET_STORAGE_KEY } from './constants';
+import { createDefaultCategories } from './categories';
+import { DEFAULT_TRASH_DAYS } from './trash';
+import { DEFAULT_GROUPING, isGrouping } from './grouping';
+
+// ── Step helpers ──────────────────────────────────────────────────────────────
+
+/** v0 expenses may have string amounts, no id or no timestamps. */
+function normalizeExpenseV1(e) {
+  const amount    = typeof e.amount === 'number' ? e.amount : parseFloat(e.amount) || 0;
+  const createdAt = e.createdAt || (e.date ? `${e.date}T12:00:00.000Z` : new Date().toISOString());
+  const complete  =
+    e.id && amount === e.amount && typeof e.description === 'string' &&
+    e.createdAt && e.updatedAt;
+  if (complete) return e;
+
+  return {
+    ...e,
+    id:          e.id || uuidv4(),
+    amount,
+    description: e.description ?? '',
+    createdAt,
+    updatedAt:   e.updatedAt || createdAt,
+  };
+}
+
+// ── Pipeline ──────────────────────────────────────────────────────────────────
+
+const MIGRATIONS = [
+  // 0 → 1: unversioned records — fill in fields older builds did not write
+  (record) => ({
+    ...record,
+    expenses:        (Array.isArray(record.expenses) ? record.expenses : []).map(normalizeExpenseV1),
+    budget:          Number(record.budget) || 0,
+    categoryBudgets: record.categoryBudgets ?? {},
+    recurring:       Array.isArray(record.recurring) ? record.recurring : [],
+  }),
+
+  // 1 → 2: income tracking — every transaction and rule gets an explicit type
+  (record) => ({
+    ...record,
+    expenses:  record.expenses.map((e) => (e.type ? e : { ...e, type: 'expense' })),
+    recurring: record.recurring.map((r) => (r.type ? r : { ...r, type: 'expense' })),
+  }),
+
+  // 2 → 3: multi-currency — everything recorded so far was in US dollars
+  (record) => ({
+    ...record,
+    expenses:      record.expenses.map((e) => (e.currency ? e : { ...e, currency: 'USD' })),
+    recurring:     record.recurring.map((r) => (r.currency ? r : { ...r, currency: 'USD' })),
+    homeCurrency:  record.homeCurrency ?? 'USD',
+    exchangeRates: Array.isArray(record.exchangeRates) ? record.exchangeRates : [],
+  }),
+
+  // 3 → 4: user-defined categories — start from the built-in list
+  (record) => ({
+    ...record,
+    categories: Array.isArray(record.categories) ? record.categories : createDefaultCategories(),
+  }),
+
+  // 4 → 5: shared expenses — nobody to share with or settle up with yet
+  (record) => ({
+    ...record,
+    people:      Array.isArray(record.people)      ? record.people      : [],
+    settlements: Array.isArray(record.settlements) ? record.settlements : [],
+  }),
+
+  // 5 → 6: trash bin — deleted expenses are kept for the default period
+  (record) => ({
+    ...record,
+    trashDays: Number(record.trashDays) > 0 ? Number(record.trashDays) : DEFAULT_TRASH_DAYS,
+  }),
+
+  // 6 → 7: saved filter views — none yet
+  (record) => ({
+    ...record,
+    savedViews: Array.isArray(record.savedViews) ? record.savedViews : [],
+  }),
+
+  // 7 → 8: list grouping preference — by month, as the list always was
+  (record) => ({
+    ...record,
+    listGrouping: isGrouping(record.listGrouping) ? record.listGrouping : DEFAULT_GROUPING,
+  }),
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Upgrades a stored user record to SCHEMA_VERSION.
+ * @returns {{ record: object|null, migrated: boolean }}
+ *          `migrated` tells the caller to write the upgraded record back.
+ */
+export function migrateUserRecord(record) {
+  if (!record) return { record, migrated: false };
+
+  const from = record.schemaVersion ?? 0;
+  if (from > SCHEMA_VERSION) {
+    // Written by a newer build (e.g. another tab after an update) — leave it be
+    console.warn(`[Migrations] Record has schema v${from}, this build knows v${SCHEMA_VERSION}`);
+    return { record, migrated: false };
+  }
+
+  let next = record;
+  for (let v = from; v < SCHEMA_VERSION; v++) next = MIGRATIONS[v](next);
+  return { record: { ...next, schemaVersion: SCHEMA_VERSION }, migrated: from !== SCHEMA_VERSION };
+}
+
+// ── Legacy single-user keys ───────────────────────────────────────────────────
+// The very first release kept guest data under prem_asu_expenses /
+// prem_asu_budget. It is offered as guest data until someone signs in,
+// at which point it is merged into that account and the keys are removed.
+
+/** Returns { expenses, budget } from the legacy keys, or null when absent. */
+export function readLegacyGuestData() {
+  const present = [LOCAL_STORAGE_KEY, BUDGET_STORAGE_KEY].some((k) => localStorage.getItem(k) !== null);
+  if (!present) return null;
+  const { record } = migrateUserRecord({ expenses: loadExpenses(), budget: loadBudget() });
+  return { expenses: record.expenses, budget: record.budget };
+}
+
+export function clearLegacyGuestData() {
+  clearLegacyData();
+}
@@ -0,0 +1,100 @@
+/**
+ * Password hashing — PBKDF2-SHA256 via WebCrypto
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Credentials live on the stored profile:
+ *   passwordHash        base64 derived key
+ *   passwordSalt        base64, 16 random bytes per user
+ *   passwordIterations  PBKDF2 rounds used for this hash
+ *   passwordAlgorithm   'pbkdf2-sha256'
+ *
+ * Profiles created before this module have only `passwordHash`, an unsalted
+ * md5(password + ':asu:' + email). They still verify, and needsRehash()
+ * tells signIn to replace them with a PBKDF2 hash on the next sign-in.
+ */
+import { md5 } from './md5';
+
+export const PBKDF2_ITERATIONS = 310000;   // OWASP 2023 guidance for PBKDF2-SHA256
+const ALGORITHM  = 'pbkdf2-sha256';
+const SALT_BYTES = 16;
+const KEY_BITS   = 256;
+
+/** Profile fields that hold credentials — never put them in state or backups. */
+export const CREDENTIAL_FIELDS = ['passwordHash', 'passwordSalt', 'passwordIterations', 'passwordAlgorithm'];
+
+// ─── Encoding ─────────────────────────────────────────────────────────────────
+
+// Spreading a whole vault into fromCharCode overflows the call stack
+const BASE64_CHUNK = 0x8000;
+
+export function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+// ─── Hashing ──────────────────────────────────────────────────────────────────
+
+async function derive(password, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, KEY_BITS
+  );
+  return toBase64(new Uint8Array(bits));
+}
+
+function legacyHash(password, email) {
+  return md5(password + ':asu:' + (email || '').toLowerCase().trim());
+}
+
+// Compares every character so the time taken does not reveal where they differ
+function constantTimeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/** Derives a fresh credential set (new random salt) for a password. */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  return {
+    passwordHash:       await derive(password, salt, PBKDF2_ITERATIONS),
+    passwordSalt:       toBase64(salt),
+    passwordIterations: PBKDF2_ITERATIONS,
+    passwordAlgorithm:  ALGORITHM,
+  };
+}
+
+/** Checks a password against a stored profile (PBKDF2 or legacy MD5). */
+export async function verifyPassword(password, profile) {
+  if (!profile?.passwordHash) return false;
+  if (profile.passwordAlgorithm !== ALGORITHM) {
+    return constantTimeEqual(legacyHash(password, profile.email), profile.passwordHash);
+  }
+  const hash = await derive(password, fromBase64(profile.passwordSalt), profile.passwordIterations);
+  return constantTimeEqual(hash, profile.passwordHash);
+}
+
+/** True when the stored hash is MD5 or uses fewer rounds than we do today. */
+export function needsRehash(profile) {
+  return profile.passwordAlgorithm !== ALGORITHM || (profile.passwordIterations ?? 0) < PBKDF2_ITERATIONS;
+}
+
+/** Splits a stored profile into its public part and its credentials. */
+export function splitCredentials(profile = {}) {
+  const pub = {};
+  const credentials = {};
+  Object.entries(profile).forEach(([k, v]) => {
+    (CREDENTIAL_FIELDS.includes(k) ? credentials : pub)[k] = v;
+  });
+  return { profile: pub, credentials };
+}
@@ -0,0 +1,152 @@
+/**
+ * Search query language — `cat:food amount:>20 date:2026-03 tag:x -coffee`
+ * Author: Prem Pagare | Arizona State University
+ *
+ * The search box takes words and `field:value` filters, all of which an
+ * entry must match:
+ *
+ *   coffee              title, description or a tag contains "coffee"
+ *   "coffee shop"       quotes keep spaces in one word or value
+ *   cat:food            category id or name (subcategories included)
+ *   tag:reimbursable    carries the tag
+ *   amount:>20          also >=, <, <=, =, a plain 20, or a range 10..50
+ *   date:2026-03        a year, month or day; also >, >=, <, <= and ranges
+ *   -coffee, -cat:food  a leading '-' excludes instead
+ *
+ * Parsing gives clauses plus errors for the parts it could not read; those
+ * parts are left out, so the rest of the query still filters.
+ */
+import { touchesCategory } from './splits';
+import { normalizeTag, tagsOf } from './tags';
+
+export const QUERY_FIELDS = ['cat', 'tag', 'amount', 'date'];
+
+// Long forms people type out of habit
+const FIELD_ALIASES = { category: 'cat', tags: 'tag', amt: 'amount' };
+
+const DATE_RE   = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+const NUMBER_RE = /^\d+(\.\d+)?$/;
+const COMPARE_RE = /^(>=|<=|>|<|=)?(.*)$/;
+
+/** Splits on spaces, keeping "quoted text" together; quotes are dropped. */
+function tokenize(text) {
+  return text.match(/-?(?:[^\s"]*"[^"]*"?)+[^\s"]*|\S+/g)?.map((t) => t.replace(/"/g, '')) ?? [];
+}
+
+/** `a..b` or an optional comparison followed by one value. */
+function parseBounds(value, isValid) {
+  const range = value.split('..');
+  if (range.length === 2) {
+    const [lo, hi] = range;
+    if ((lo && !isValid(lo)) || (hi && !isValid(hi)) || (!lo && !hi)) return null;
+    return { op: '..', lo, hi };
+  }
+  const [, op = '=', operand] = value.match(COMPARE_RE);
+  return isValid(operand) ? { op, value: operand } : null;
+}
+
+function compare(a, op, b) {
+  switch (op) {
+    case '>':  return a > b;
+    case '>=': return a >= b;
+    case '<':  return a < b;
+    case '<=': return a <= b;
+    default:   return a === b;
+  }
+}
+
+function parseClause(field, value, categories) {
+  switch (field) {
+    case 'cat': {
+      const v   = value.toLowerCase();
+      const ids = categories.some((c) => c.id === v)
+        ? [v]
+        : categories.filter((c) => c.label.toLowerCase().includes(v)).map((c) => c.id);
+      return ids.length ? { ids } : `No category matches "${value}"`;
+    }
+    case 'tag': {
+      const tag = normalizeTag(value);
+      return tag ? { tag } : 'tag: needs a tag name';
+    }
+    case 'amount': {
+      const bounds = parseBounds(value, (v) => NUMBER_RE.test(v));
+      return bounds ?? `"${value}" is not an amount — try amount:>20 or amount:10..50`;
+    }
+    case 'date': {
+      const bounds = parseBounds(value, (v) => DATE_RE.test(v));
+      return bounds ?? `"${value}" is not a date — use YYYY, YYYY-MM or YYYY-MM-DD`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {Array}  categories  the account's categories, to resolve `cat:`
+ * @returns {{ clauses: Array<{ field: string, negate: boolean }>, errors: Array<{ token: string, message: string }> }}
+ */
+export function parseQuery(text, categories = []) {
+  const clauses = [];
+  const errors  = [];
+
+  tokenize(text).forEach((token) => {
+    const negate = token.length > 1 && token.startsWith('-');
+    const body   = negate ? token.slice(1) : token;
+    const colon  = body.indexOf(':');
+    const key    = colon > 0 ? body.slice(0, colon).toLowerCase() : '';
+    const field  = FIELD_ALIASES[key] ?? key;
+
+    if (!QUERY_FIELDS.includes(field)) {
+      if (body) clauses.push({ field: 'text', negate, text: body.toLowerCase() });
+      return;
+    }
+    const value = body.slice(colon + 1);
+    if (!value) {
+      errors.push({ token, message: `${field}: needs a value` });
+      return;
+    }
+    const parsed = parseClause(field, value, categories);
+    if (typeof parsed === 'string') errors.push({ token, message: parsed });
+    else clauses.push({ field, negate, ...parsed });
+  });
+
+  return { clauses, errors };
+}
+
+function matchesBounds(actual, bounds, toComparable = (v) => v) {
+  if (bounds.op === '..') {
+    return (!bounds.lo || actual(bounds.lo) >= toComparable(bounds.lo))
+        && (!bounds.hi || actual(bounds.hi) <= toComparable(bounds.hi));
+  }
+  return compare(actual(bounds.value), bounds.op, toComparable(bounds.value));
+}
+
+function matchesClause(expense, clause, categories, amountOf) {
+  switch (clause.field) {
+    case 'cat':
+      return clause.ids.some((id) => touchesCategory(categories, expense, id));
+    case 'tag':
+      return tagsOf(expense).includes(clause.tag);
+    case 'amount':
+      // To the cent, so amount:=4.5 finds a converted 4.4999…
+      return matchesBounds(() => Math.round(amountOf(expense) * 100) / 100, clause, parseFloat);
+    case 'date':
+      // Compare as many characters as the value has, so 2026-03 means all of March
+      return matchesBounds((v) => expense.date.slice(0, v.length), clause);
+    default:
+      return expense.title.toLowerCase().includes(clause.text)
+        || Boolean(expense.description?.toLowerCase().includes(clause.text))
+        || tagsOf(expense).some((t) => t.includes(clause.text));
+  }
+}
+
+/**
+ * True when the expense matches every clause of a parsed query.
+ * `amountOf` gives the amount `amount:` compares — in the home currency
+ * when the list mixes currencies, and the whole bill of a shared expense
+ * (not your share) in the list and in Analytics alike.
+ */
+export function matchesQuery(expense, { clauses }, categories, amountOf = (e) => e.amount) {
+  return clauses.every((c) => matchesClause(expense, c, categories, amountOf) !== c.negate);
+}
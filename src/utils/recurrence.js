@@ -0,0 +1,152 @@
+/**
+ * Recurring expense rules — date maths + materialisation
+ * Author: Prem Pagare | Arizona State University
+ *
+ * A rule describes a series of identical expenses:
+ *   { id, type, title, amount, currency, category, splits?, shared?, description, tags,
+ *     frequency, startDate, endDate, count, generated, paused }
+ *
+ * Occurrence n (0-based) is always computed from startDate, never from the
+ * previous occurrence, so a series starting on Jan 31 lands on Feb 28/29,
+ * Mar 31, Apr 30 … instead of drifting to the 28th forever.
+ *
+ * An occurrence's id is its rule's id and its date, so two tabs (or a tab
+ * and a reload) that both produce the same occurrence produce the same
+ * entry, and merging them (see tabSync.js) keeps one.
+ */
+import { getTodayString } from './formatters';
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toDateString(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(year, monthIndex + 1, 0).getDate();
+}
+
+/** Returns the yyyy-mm-dd date of occurrence `index` of a rule. */
+export function getOccurrenceDate(rule, index) {
+  const [y, m, d] = rule.startDate.split('-').map(Number);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return toDateString(new Date(y, m - 1, d + index));
+    case 'weekly':
+      return toDateString(new Date(y, m - 1, d + index * 7));
+    case 'monthly': {
+      const target = new Date(y, m - 1 + index, 1);
+      const day    = Math.min(d, daysInMonth(target.getFullYear(), target.getMonth()));
+      return toDateString(new Date(target.getFullYear(), target.getMonth(), day));
+    }
+    case 'yearly': {
+      const day = Math.min(d, daysInMonth(y + index, m - 1));
+      return toDateString(new Date(y + index, m - 1, day));
+    }
+    default:
+      return rule.startDate;
+  }
+}
+
+/** True once a rule has produced every occurrence it ever will. */
+export function isRuleFinished(rule) {
+  if (rule.count && rule.generated >= rule.count) return true;
+  if (rule.endDate && getOccurrenceDate(rule, rule.generated) > rule.endDate) return true;
+  return false;
+}
+
+/** Next date the rule will produce an expense on, or null when finished. */
+export function getNextOccurrence(rule) {
+  return isRuleFinished(rule) ? null : getOccurrenceDate(rule, rule.generated);
+}
+
+/** Id of the expense a rule produces on `date`. */
+export const occurrenceId = (rule, date) => `${rule.id}:${date}`;
+
+/** Builds the expense object for occurrence `index` of a rule. */
+function buildOccurrence(rule, index) {
+  const now  = new Date().toISOString();
+  const date = getOccurrenceDate(rule, index);
+  return {
+    id:          occurrenceId(rule, date),
+    type:        rule.type || 'expense',
+    title:       rule.title,
+    description: rule.description || '',
+    category:    rule.category,
+    ...(rule.splits && { splits: rule.splits }),
+    ...(rule.shared && { shared: rule.shared }),
+    amount:      rule.amount,
+    currency:    rule.currency || 'USD',
+    tags:        rule.tags || [],
+    date,
+    recurringId: rule.id,
+    createdAt:   now,
+    updatedAt:   now,
+  };
+}
+
+/**
+ * Produces every occurrence that has fallen due on or before `today`.
+ *
+ * @param {object[]} rules
+ * @param {string}   today  yyyy-mm-dd
+ * @returns {{ rules: object[], expenses: object[] }}
+ *          `rules` has `generated` advanced; `expenses` is newest first.
+ */
+export function materializeRecurring(rules, today) {
+  const expenses = [];
+
+  const next = rules.map((rule) => {
+    if (rule.paused) return rule;
+
+    let generated = rule.generated;
+    while (!isRuleFinished({ ...rule, generated }) && getOccurrenceDate(rule, generated) <= today) {
+      expenses.push(buildOccurrence(rule, generated));
+      generated++;
+    }
+    return generated === rule.generated ? rule : { ...rule, generated };
+  });
+
+  expenses.sort((a, b) => b.date.localeCompare(a.date));
+  return { rules: next, expenses };
+}
+
+/**
+ * Applies user edits to a rule. Changing the frequency re-anchors the
+ * series at its next pending occurrence so already generated expenses
+ * are not produced a second time; resuming a paused rule skips the
+ * occurrences that fell due while it was paused.
+ */
+export function reviseRule(rule, changes, today = getTodayString()) {
+  const updated = { ...rule, ...changes, updatedAt: new Date().toISOString() };
+
+  if (rule.paused && changes.paused === false) {
+    let generated = rule.generated;
+    while (!isRuleFinished({ ...rule, generated }) && getOccurrenceDate(rule, generated) < today) {
+      generated++;
+    }
+    updated.generated = generated;
+  }
+
+  const reschedule = changes.frequency && changes.frequency !== rule.frequency;
+  if (reschedule && updated.generated > 0 && !isRuleFinished(updated)) {
+    return {
+      ...updated,
+      startDate: getOccurrenceDate(rule, updated.generated),
+      generated: 0,
+      count:     updated.count ? updated.count - updated.generated : null,
+    };
+  }
+  return updated;
+}
+
+/** Human-readable summary, e.g. "Monthly · 3 of 12" or "Weekly until Mar 1". */
+export function describeRule(rule, formatDate = (d) => d) {
+  const freq = rule.frequency.charAt(0).toUpperCase() + rule.frequency.slice(1);
+  if (rule.count)   return `${freq} · ${rule.generated} of ${rule.count}`;
+  if (rule.endDate) return `${freq} until ${formatDate(rule.endDate)}`;
+  return freq;
+}
@@ -0,0 +1,183 @@
+/**
+ * Shared expenses — who paid, who owes what, and settling up
+ * Author: Prem Pagare | Arizona State University
+ *
+ * The people an account shares costs with are kept with its data:
+ *
+ *   people: [{ id, name, accountId?, updatedAt }]   // accountId = a registered user
+ *
+ * An expense shared with them carries:
+ *
+ *   shared: {
+ *     paidBy: 'me' | personId,
+ *     method: 'equal' | 'percent' | 'exact',
+ *     shares: [{ person: 'me' | personId, value }],  // % or amount; ignored for 'equal'
+ *   }
+ *
+ * Only your own share counts as your spending (see ownShare()); the rest
+ * is money lent or borrowed. Settle-up payments between any two people
+ * square the books:
+ *
+ *   settlements: [{ id, from, to, amount, currency, date, note, createdAt, updatedAt }]
+ *
+ * A balance is what someone paid minus what they owe, in the home
+ * currency: positive means they are owed money, negative that they owe.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { scaleSplits } from './splits';
+
+export const ME = 'me';
+
+export const SHARE_METHODS = [
+  { value: 'equal',   label: 'Equally' },
+  { value: 'percent', label: 'By %' },
+  { value: 'exact',   label: 'Exact amounts' },
+];
+
+const toCents = (n) => Math.round(n * 100) / 100;
+
+// Anything under half a cent is rounding noise, not a debt
+const isSettled = (n) => Math.abs(n) < 0.005;
+
+export function createPerson({ name, accountId = null }) {
+  return { id: uuidv4(), name: name.trim(), accountId, updatedAt: new Date().toISOString() };
+}
+
+export function isShared(expense) {
+  return Boolean(expense.shared) && Array.isArray(expense.shared.shares) && expense.shared.shares.length > 0;
+}
+
+/** 'You' for the account owner, the person's name otherwise. */
+export function personName(people, id) {
+  if (id === ME) return 'You';
+  return people.find((p) => p.id === id)?.name ?? 'Removed person';
+}
+
+/**
+ * What each participant owes towards an expense: `[{ person, amount }]`,
+ * rounded to the cent and adding up to its amount. Percentages and exact
+ * amounts are treated as weights, so an expense converted to the home
+ * currency still divides the same way.
+ */
+export function shareAmounts(expense) {
+  const { method, shares } = expense.shared;
+  const lines = shares.map((s) => ({
+    person: s.person,
+    amount: method === 'equal' ? 1 : Math.max(Number(s.value) || 0, 0),
+  }));
+  return scaleSplits(lines, expense.amount);
+}
+
+export function myShareOf(expense) {
+  if (!isShared(expense)) return expense.amount;
+  return shareAmounts(expense).find((s) => s.person === ME)?.amount ?? 0;
+}
+
+/** The expense as it counts towards your own spending — your share of it. */
+export function ownShare(expense) {
+  return isShared(expense) ? { ...expense, amount: myShareOf(expense), fullAmount: expense.amount } : expense;
+}
+
+/** Rescales exact shares to a new total; percentages and equal shares already follow it. */
+export function scaleShared(shared, total) {
+  if (shared.method !== 'exact') return shared;
+  const lines = scaleSplits(shared.shares.map((s) => ({ person: s.person, amount: Number(s.value) || 0 })), total);
+  return { ...shared, shares: lines.map((l) => ({ person: l.person, value: l.amount })) };
+}
+
+/**
+ * How a shared expense or a settlement moves each person's balance:
+ * `{ [person]: delta }`.
+ */
+function effectOf(item) {
+  const deltas = {};
+  const add = (person, n) => { deltas[person] = (deltas[person] || 0) + n; };
+  if (item.shared) {
+    add(item.shared.paidBy, item.amount);
+    shareAmounts(item).forEach(({ person, amount }) => add(person, -amount));
+  } else {
+    add(item.from, item.amount);
+    add(item.to, -item.amount);
+  }
+  return deltas;
+}
+
+/**
+ * Everyone's balance, you included: `{ [person]: amount }`.
+ *
+ * @param {object[]} expenses     in the home currency
+ * @param {object[]} settlements  in the home currency
+ */
+export function getBalances(expenses, settlements) {
+  const balances = {};
+  [...expenses.filter(isShared), ...settlements].forEach((item) => {
+    Object.entries(effectOf(item)).forEach(([person, n]) => {
+      balances[person] = (balances[person] || 0) + n;
+    });
+  });
+  Object.keys(balances).forEach((p) => { balances[p] = toCents(balances[p]); });
+  return balances;
+}
+
+/**
+ * One person's history, oldest first, with their balance after each entry:
+ * `[{ id, date, title, kind: 'expense' | 'settlement', change, balance }]`.
+ */
+export function personLedger(person, expenses, settlements, people) {
+  const entries = [
+    ...expenses.filter(isShared).map((e) => ({ item: e, kind: 'expense', title: e.title })),
+    ...settlements.map((s) => ({
+      item: s,
+      kind: 'settlement',
+      title: `${personName(people, s.from)} paid ${personName(people, s.to)}${s.note ? ` — ${s.note}` : ''}`,
+    })),
+  ]
+    .map(({ item, kind, title }) => ({ id: item.id, date: item.date, title, kind, change: effectOf(item)[person] }))
+    .filter((entry) => entry.change !== undefined)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  let balance = 0;
+  return entries.map((entry) => {
+    balance = toCents(balance + entry.change);
+    return { ...entry, change: toCents(entry.change), balance };
+  });
+}
+
+/**
+ * The fewest payments that settle every balance: the largest debtor pays
+ * the largest creditor, until nobody is owed anything.
+ * @returns {{ from, to, amount }[]}
+ */
+export function suggestSettlements(balances) {
+  const debtors   = [];
+  const creditors = [];
+  Object.entries(balances).forEach(([person, n]) => {
+    if (isSettled(n)) return;
+    (n < 0 ? debtors : creditors).push({ person, left: Math.abs(n) });
+  });
+  debtors.sort((a, b) => b.left - a.left);
+  creditors.sort((a, b) => b.left - a.left);
+
+  const payments = [];
+  let d = 0, c = 0;
+  while (d < debtors.length && c < creditors.length) {
+    const amount = toCents(Math.min(debtors[d].left, creditors[c].left));
+    if (!isSettled(amount)) payments.push({ from: debtors[d].person, to: creditors[c].person, amount });
+    debtors[d].left   -= amount;
+    creditors[c].left -= amount;
+    if (isSettled(debtors[d].left))   d++;
+    if (isSettled(creditors[c].left)) c++;
+  }
+  return payments;
+}
+
+/** How many shared expenses and settlements mention each person: `{ [id]: count }`. */
+export function countPersonUses(expenses, recurring, settlements) {
+  const counts = {};
+  const mark = (ids) => new Set(ids).forEach((id) => { counts[id] = (counts[id] || 0) + 1; });
+  [...expenses, ...recurring].filter(isShared).forEach((e) =>
+    mark([e.shared.paidBy, ...e.shared.shares.map((s) => s.person)])
+  );
+  settlements.forEach((s) => mark([s.from, s.to]));
+  return counts;
+}
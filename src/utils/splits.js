@@ -0,0 +1,82 @@
+/**
+ * Split expenses — one receipt divided into line items by category
+ * Author: Prem Pagare | Arizona State University
+ *
+ * A split expense keeps its total in `amount` and lists its line items:
+ *
+ *   splits: [{ category, amount }, …]     // two or more, summing to amount
+ *
+ * `category` still holds one category — the largest line's — so anything
+ * that needs a single icon or colour keeps working. Totals, filters and
+ * charts go through categorySharesOf(), which scales the lines to the
+ * expense's current `amount`; that way a split converted to the home
+ * currency (see currency.js) is still attributed correctly.
+ */
+import { isInCategory } from './categories';
+
+export function isSplit(expense) {
+  return Array.isArray(expense.splits) && expense.splits.length > 1;
+}
+
+function sumOf(lines) {
+  return lines.reduce((s, l) => s + (Number(l.amount) || 0), 0);
+}
+
+const toCents = (n) => Math.round(n * 100) / 100;
+
+/** What each category gets from an expense: `[{ category, amount }]`. */
+export function categorySharesOf(expense) {
+  if (!isSplit(expense)) return [{ category: expense.category, amount: expense.amount }];
+  const sum = sumOf(expense.splits) || 1;
+  return expense.splits.map((l) => ({ category: l.category, amount: expense.amount * (l.amount / sum) }));
+}
+
+/** Every category an expense is filed under. */
+export function categoriesOf(expense) {
+  return isSplit(expense) ? [...new Set(expense.splits.map((l) => l.category))] : [expense.category];
+}
+
+/** True when any part of the expense belongs in `filterId` (or one of its subcategories). */
+export function touchesCategory(categories, expense, filterId) {
+  return categoriesOf(expense).some((id) => isInCategory(categories, id, filterId));
+}
+
+/**
+ * The part of an expense that falls in `filterId`, as an expense of its own
+ * (amount and lines cut down to that part); null when none of it does.
+ */
+export function portionIn(categories, expense, filterId) {
+  if (!isSplit(expense)) {
+    return isInCategory(categories, expense.category, filterId) ? expense : null;
+  }
+  const lines = expense.splits.filter((l) => isInCategory(categories, l.category, filterId));
+  if (!lines.length) return null;
+  if (lines.length === expense.splits.length) return expense;
+  const amount = expense.amount * (sumOf(lines) / (sumOf(expense.splits) || 1));
+  return { ...expense, amount, splits: lines, category: primaryCategory(lines) };
+}
+
+/** The category of the largest line — the one a split expense is shown under. */
+export function primaryCategory(lines) {
+  return lines.reduce((best, l) => (Number(l.amount) > Number(best.amount) ? l : best), lines[0]).category;
+}
+
+/** Total minus the lines so far, to the cent; positive means some is left to assign. */
+export function splitRemainder(lines, total) {
+  return toCents((Number(total) || 0) - sumOf(lines));
+}
+
+/**
+ * Rescales lines to a new total, keeping their proportions. Lines are
+ * rounded to the cent and the rounding difference goes to the largest.
+ */
+export function scaleSplits(lines, total) {
+  const sum = sumOf(lines) || 1;
+  const scaled = lines.map((l) => ({ ...l, amount: toCents(total * (l.amount / sum)) }));
+  const diff = toCents(total - sumOf(scaled));
+  if (diff !== 0) {
+    const largest = scaled.indexOf(scaled.reduce((a, b) => (b.amount > a.amount ? b : a)));
+    scaled[largest] = { ...scaled[largest], amount: toCents(scaled[largest].amount + diff) };
+  }
+  return scaled;
+}
@@ -33,3 +33,12 @@ export function saveBudget(budget) {
     console.error('Failed to save budget to localStorage');
   }
 }
+
+export function clearLegacyData() {
+  try {
+    localStorage.removeItem(LOCAL_STORAGE_KEY);
+    localStorage.removeItem(BUDGET_STORAGE_KEY);
+  } catch {
+    console.error('Failed to clear legacy keys from localStorage');
+  }
+}
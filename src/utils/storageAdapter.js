@@ -0,0 +1,130 @@
+/**
+ * Storage adapter — the single persistence entry point for AuthContext
+ * and ExpenseContext.
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Every adapter implements the same async interface:
+ *
+ *   loadUserData(userId)          → Promise<record | null>
+ *   saveUserData(userId, record)  → Promise<void>   (enforces the 200-user FIFO cap)
+ *   deleteUserData(userId)        → Promise<void>
+ *   getUserCount()                → Promise<number>
+ *   listProfiles()                → Promise<{ id, profile }[]>   (clear even for encrypted records)
+ *
+ * and, where files can be stored (IndexedDB only), receipt attachments:
+ *
+ *   saveAttachment(userId, row)     → Promise<void>
+ *   loadAttachment(userId, id)      → Promise<row | null>
+ *   deleteAttachments(userId, ids)  → Promise<void>
+ *
+ * where record = { schemaVersion, profile, expenses, budget, categoryBudgets, recurring, … }.
+ *
+ * getStorage() wraps whichever adapter is chosen so that every save is
+ * stamped with SCHEMA_VERSION and every load runs the migration pipeline
+ * (see migrations.js); an upgraded record is written back straight away.
+ *
+ * The wrapper also takes the user's encryption key as an extra argument:
+ *
+ *   loadUserData(userId, key?)          decrypts (see encryption.js). Without
+ *                                       the key an encrypted record comes back
+ *                                       as { schemaVersion, profile, locked: true }.
+ *   saveUserData(userId, record, key?)  encrypts; refuses to write an
+ *                                       encrypted account's data in the clear.
+ *   saveAttachment / loadAttachment     the same for one file at a time, with
+ *                                       its Blobs in and out; `supportsAttachments`
+ *                                       says whether the adapter can store files.
+ *
+ * IndexedDB is preferred; localStorage is the fallback when it cannot be
+ * opened. The session pointer (asu_et_session) always stays in
+ * localStorage via userStorage.js — it is tiny and read on every load.
+ */
+import { createIndexedDbAdapter, isIndexedDbAvailable } from './indexedDbAdapter';
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { migrateUserRecord, SCHEMA_VERSION } from './migrations';
+import {
+  encryptRecord, decryptRecord, isEncryptedRecord, encryptBlob, decryptBlob,
+} from './encryption';
+
+let adapterPromise = null;
+
+async function initAdapter() {
+  if (isIndexedDbAvailable()) {
+    try {
+      return await createIndexedDbAdapter();
+    } catch (err) {
+      console.warn('[Storage] IndexedDB unavailable, falling back to localStorage', err);
+    }
+  }
+  return createLocalStorageAdapter();
+}
+
+function withMigrationsAndEncryption(adapter) {
+  // Plain expense → ciphertext row, so unchanged expenses are not re-encrypted
+  const cache = new WeakMap();
+
+  async function save(userId, record, key) {
+    // A record from a newer build keeps its version, so that build still
+    // runs its own migrations on it (see migrateUserRecord)
+    const stamped = { ...record, schemaVersion: Math.max(record.schemaVersion ?? 0, SCHEMA_VERSION) };
+    delete stamped.locked;
+    if (key) {
+      await adapter.saveUserData(userId, await encryptRecord(key, stamped, cache));
+    } else if (stamped.profile?.encryptionSalt) {
+      throw new Error(`[Storage] Refusing to save user "${userId}" unencrypted`);
+    } else {
+      await adapter.saveUserData(userId, stamped);
+    }
+  }
+
+  return {
+    ...adapter,
+
+    async loadUserData(userId, key = null) {
+      let stored = await adapter.loadUserData(userId);
+      if (isEncryptedRecord(stored)) {
+        if (!key) return { schemaVersion: stored.schemaVersion, profile: stored.profile, locked: true };
+        stored = await decryptRecord(key, stored, cache);
+      }
+
+      const { record, migrated } = migrateUserRecord(stored);
+      if (migrated && (key || !record.profile?.encryptionSalt)) {
+        await save(userId, record, key);
+        console.info(`[Storage] Migrated user "${userId}" to schema v${SCHEMA_VERSION}`);
+      }
+      return record;
+    },
+
+    saveUserData: save,
+
+    supportsAttachments: typeof adapter.saveAttachment === 'function',
+
+    /** @param {{ id, expenseId, file: Blob, thumb: Blob|null }} attachment */
+    async saveAttachment(userId, { id, expenseId, file, thumb }, key = null) {
+      const seal = (blob) => (blob && key ? encryptBlob(key, blob) : blob);
+      await adapter.saveAttachment(userId, {
+        id,
+        expenseId,
+        type:      file.type,
+        file:      await seal(file),
+        thumbType: thumb?.type ?? null,
+        thumb:     (await seal(thumb)) ?? null,
+      });
+    },
+
+    /** Resolves to the file (or its thumbnail) as a Blob; null when it is not stored here. */
+    async loadAttachment(userId, id, key = null, part = 'file') {
+      const row = await adapter.loadAttachment(userId, id);
+      const stored = row?.[part];
+      if (!stored) return null;
+      if (stored instanceof Blob) return stored;
+      if (!key) return null;
+      return decryptBlob(key, stored, part === 'thumb' ? row.thumbType : row.type);
+    },
+  };
+}
+
+/** Resolves to the app-wide storage adapter (created once). */
+export function getStorage() {
+  if (!adapterPromise) adapterPromise = initAdapter().then(withMigrationsAndEncryption);
+  return adapterPromise;
+}
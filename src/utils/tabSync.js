@@ -0,0 +1,170 @@
+/**
+ * Cross-tab synchronisation — messaging + merge-by-id
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Tabs tell each other about saves and session changes over a
+ * BroadcastChannel, or — where that is missing — by writing a throwaway
+ * localStorage key whose `storage` event fires in every other tab. Neither
+ * route echoes a message back to the tab that sent it.
+ *
+ * Messages:
+ *   { type: 'user-data', userId }   a tab saved this user's record
+ *   { type: 'session',   userId }   a tab signed in (id) or signed out (null)
+ */
+import { DEFAULT_TRASH_DAYS } from './trash';
+import { DEFAULT_GROUPING } from './grouping';
+
+const CHANNEL_NAME = 'asu_et_sync';
+const PING_KEY     = 'asu_et_sync_ping';
+
+let channel = null;
+
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') channel = new BroadcastChannel(CHANNEL_NAME);
+  return channel;
+}
+
+// ─── Messaging ────────────────────────────────────────────────────────────────
+
+export function broadcast(message) {
+  const ch = getChannel();
+  if (ch) {
+    ch.postMessage(message);
+    return;
+  }
+  try {
+    // Timestamp makes every ping a new value, so the storage event always fires
+    localStorage.setItem(PING_KEY, JSON.stringify({ ...message, at: Date.now() }));
+  } catch {
+    /* storage full or blocked — other tabs simply won't hear about it */
+  }
+}
+
+/** Calls `handler(message)` for every message from another tab. Returns an unsubscribe fn. */
+export function subscribe(handler) {
+  const ch = getChannel();
+  if (ch) {
+    const onMessage = (e) => handler(e.data);
+    ch.addEventListener('message', onMessage);
+    return () => ch.removeEventListener('message', onMessage);
+  }
+
+  const onStorage = (e) => {
+    if (e.key !== PING_KEY || !e.newValue) return;
+    try { handler(JSON.parse(e.newValue)); } catch { /* ignore malformed ping */ }
+  };
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+}
+
+// ─── Merging ──────────────────────────────────────────────────────────────────
+
+const expenseRank = (e) => e.updatedAt || e.createdAt || '';
+// Rules also advance `generated` without touching updatedAt — the copy that
+// has produced more occurrences must win, or they would be produced again
+const ruleRank = (r) => `${r.updatedAt || ''}|${String(r.generated ?? 0).padStart(6, '0')}`;
+
+/**
+ * Three-way merge of two lists of `{ id }` items.
+ *
+ * `base` holds the ids both sides last agreed on, which tells a deletion on
+ * one side apart from an addition on the other:
+ *   • on both sides        → the copy with the higher rank (newer) wins, ties keep local
+ *   • on one side, in base → it was deleted on the other side — dropped
+ *   • on one side, not in base → it is new — kept
+ */
+export function mergeById(base, local, remote, rank = expenseRank) {
+  const localById  = new Map(local.map((x) => [x.id, x]));
+  const remoteById = new Map(remote.map((x) => [x.id, x]));
+
+  const added = remote.filter((r) => !localById.has(r.id) && !base.has(r.id));
+  const kept  = [];
+  local.forEach((l) => {
+    const r = remoteById.get(l.id);
+    if (r) kept.push(rank(r) > rank(l) ? r : l);
+    else if (!base.has(l.id)) kept.push(l);
+  });
+  return [...added, ...kept];
+}
+
+function sameList(a, b, rank) {
+  if (a.length !== b.length) return false;
+  const byId = new Map(b.map((x) => [x.id, x]));
+  return a.every((x) => byId.has(x.id) && rank(byId.get(x.id)) === rank(x));
+}
+
+/** Ids of every item kept in a list in a record — the base for the next merge. */
+export function knownIds({
+  expenses = [], recurring = [], exchangeRates = [], categories = [], people = [], settlements = [], savedViews = [],
+}) {
+  return new Set(
+    [...expenses, ...recurring, ...exchangeRates, ...categories, ...people, ...settlements, ...savedViews].map((x) => x.id)
+  );
+}
+
+/**
+ * Merges this tab's data with what is currently stored.
+ *
+ * Expenses, recurring rules, exchange rates, categories, people,
+ * settlements and saved views merge item by item. Budgets, the home
+ * currency, the trash period and the list grouping carry no timestamps,
+ * so `prefer` decides: 'local' when this tab just changed something,
+ * 'remote' when another tab did.
+ *
+ * @param {Set<string>} base     knownIds() of the last record both sides agreed on
+ * @param {object}      local    { expenses, budget, categoryBudgets, recurring,
+ *                                 homeCurrency, exchangeRates, categories,
+ *                                 people, settlements, trashDays, savedViews,
+ *                                 listGrouping }
+ * @param {object|null} remote   stored record, same shape
+ * @returns {{ data, localChanged: boolean, remoteChanged: boolean }}
+ */
+export function mergeUserData(base, local, remote, prefer = 'local') {
+  if (!remote) return { data: local, localChanged: false, remoteChanged: true };
+
+  const remoteData = {
+    expenses:        remote.expenses        ?? [],
+    budget:          remote.budget          ?? 0,
+    categoryBudgets: remote.categoryBudgets ?? {},
+    recurring:       remote.recurring       ?? [],
+    homeCurrency:    remote.homeCurrency    ?? 'USD',
+    exchangeRates:   remote.exchangeRates   ?? [],
+    categories:      remote.categories      ?? [],
+    people:          remote.people          ?? [],
+    settlements:     remote.settlements     ?? [],
+    trashDays:       remote.trashDays       ?? DEFAULT_TRASH_DAYS,
+    savedViews:      remote.savedViews      ?? [],
+    listGrouping:    remote.listGrouping    ?? DEFAULT_GROUPING,
+  };
+  const winner = prefer === 'remote' ? remoteData : local;
+  const data = {
+    expenses:        mergeById(base, local.expenses,  remoteData.expenses),
+    budget:          winner.budget,
+    categoryBudgets: winner.categoryBudgets,
+    recurring:       mergeById(base, local.recurring, remoteData.recurring, ruleRank),
+    homeCurrency:    winner.homeCurrency,
+    exchangeRates:   mergeById(base, local.exchangeRates, remoteData.exchangeRates),
+    categories:      mergeById(base, local.categories, remoteData.categories),
+    people:          mergeById(base, local.people, remoteData.people),
+    settlements:     mergeById(base, local.settlements, remoteData.settlements),
+    trashDays:       winner.trashDays,
+    savedViews:      mergeById(base, local.savedViews, remoteData.savedViews),
+    listGrouping:    winner.listGrouping,
+  };
+
+  const differs = (side) =>
+    !sameList(data.expenses, side.expenses, expenseRank) ||
+    !sameList(data.recurring, side.recurring, ruleRank) ||
+    !sameList(data.exchangeRates, side.exchangeRates, expenseRank) ||
+    !sameList(data.categories, side.categories, expenseRank) ||
+    !sameList(data.people, side.people, expenseRank) ||
+    !sameList(data.settlements, side.settlements, expenseRank) ||
+    !sameList(data.savedViews, side.savedViews, expenseRank) ||
+    data.budget !== side.budget ||
+    data.homeCurrency !== side.homeCurrency ||
+    data.trashDays !== side.trashDays ||
+    data.listGrouping !== side.listGrouping ||
+    JSON.stringify(data.categoryBudgets) !== JSON.stringify(side.categoryBudgets);
+
+  return { data, localChanged: differs(local), remoteChanged: differs(remoteData) };
+}
@@ -0,0 +1,69 @@
+/**
+ * Free-form expense tags — normalisation, suggestions and per-tag totals
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Tags cut across categories ("spring-break-trip", "reimbursable"), so an
+ * expense can carry several: `tags: string[]`. They are stored normalised —
+ * lower-case, no leading '#', inner spaces turned into '-' — so "Spring
+ * Break" and "spring-break" are the same tag. Expenses from before tags
+ * existed simply have no `tags` field.
+ */
+
+/** Normalises typed text into a tag; returns '' when nothing usable is left. */
+export function normalizeTag(raw) {
+  return String(raw ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/[\s,]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+export function tagsOf(expense) {
+  return Array.isArray(expense.tags) ? expense.tags : [];
+}
+
+/** True when the expense carries every tag in `tags`. */
+export function hasAllTags(expense, tags) {
+  const own = tagsOf(expense);
+  return tags.every((t) => own.includes(t));
+}
+
+/** Every tag in use with how many entries carry it, most used first. */
+export function collectTags(expenses) {
+  const counts = new Map();
+  expenses.forEach((e) => tagsOf(e).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1)));
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Autocomplete for the tag input: known tags starting with the typed text
+ * first, then ones containing it, skipping those already chosen.
+ *
+ * @param {{ tag, count }[]} known  from collectTags()
+ */
+export function suggestTags(known, text, chosen = [], limit = 6) {
+  const q = normalizeTag(text);
+  const open = known.filter(({ tag }) => !chosen.includes(tag));
+  if (!q) return open.slice(0, limit).map(({ tag }) => tag);
+  const starts   = open.filter(({ tag }) => tag.startsWith(q));
+  const contains = open.filter(({ tag }) => !tag.startsWith(q) && tag.includes(q));
+  return [...starts, ...contains].slice(0, limit).map(({ tag }) => tag);
+}
+
+/**
+ * Spending per tag. An expense with several tags counts in full towards
+ * each, so the totals can add up to more than the spending they cover.
+ */
+export function getTagTotals(expenses) {
+  const map = {};
+  expenses.forEach((e) => tagsOf(e).forEach((tag) => {
+    if (!map[tag]) map[tag] = { tag, total: 0, count: 0 };
+    map[tag].total += e.amount;
+    map[tag].count++;
+  }));
+  return Object.values(map).sort((a, b) => b.total - a.total);
+}
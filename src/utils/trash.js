@@ -0,0 +1,43 @@
+/**
+ * Trash — soft-deleted expenses and their automatic purge
+ * Author: Prem Pagare | Arizona State University
+ *
+ * Deleting an expense stamps it instead of removing it:
+ *
+ *   { ...expense, deletedAt: ISO string }
+ *
+ * It stays in the stored list — so the deletion syncs between tabs like
+ * any other edit, and its receipts stay put — but counts towards nothing
+ * until it is restored. Each account keeps trashed entries for
+ * `trashDays` days (see TRASH_DAYS_OPTIONS); after that they are deleted
+ * for good.
+ */
+
+export const DEFAULT_TRASH_DAYS = 30;
+
+export const TRASH_DAYS_OPTIONS = [7, 14, 30, 60, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isTrashed = (expense) => Boolean(expense.deletedAt);
+
+export function moveToTrash(expense, at) {
+  return { ...expense, deletedAt: at, updatedAt: at };
+}
+
+export function restoreFromTrash(expense, at) {
+  const { deletedAt, ...rest } = expense;
+  return { ...rest, updatedAt: at };
+}
+
+/** Days left, rounded up, before a trashed expense is purged. */
+export function daysUntilPurge(expense, trashDays, now = new Date()) {
+  const purgeAt = new Date(expense.deletedAt).getTime() + trashDays * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - now.getTime()) / DAY_MS));
+}
+
+/** Ids of trashed expenses kept longer than `trashDays`. */
+export function expiredTrash(expenses, trashDays, now = new Date()) {
+  const cutoff = now.getTime() - trashDays * DAY_MS;
+  return expenses.filter((e) => isTrashed(e) && new Date(e.deletedAt).getTime() <= cutoff).map((e) => e.id);
+}
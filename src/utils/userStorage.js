@@ -4,11 +4,11 @@
  *
  * Storage layout:
  *   asu_et_registry          →  string[]  ordered user-id list (oldest → newest)
- *   asu_et_u_<id>            →  { profile, expenses, budget }
+ *   asu_et_u_<id>            →  { schemaVersion, profile, expenses, budget, categoryBudgets, recurring }
  *   asu_et_session           →  string    current user-id (survives refresh)
  */
 
-const MAX_USERS     = 200;
+export const MAX_USERS = 200;
 const REGISTRY_KEY  = 'asu_et_registry';
 const SESSION_KEY   = 'asu_et_session';
 const userKey = (id) => `asu_et_u_${id}`;
@@ -40,7 +40,7 @@ export function loadUserData(userId) {
   return parse(localStorage.getItem(userKey(userId)), null);
 }
 
-export function saveUserData(userId, { profile, expenses, budget }) {
+export function saveUserData(userId, record) {
   const registry = getRegistry();
 
   if (!registry.includes(userId)) {
@@ -56,7 +56,7 @@ export function saveUserData(userId, { profile, expenses, budget }) {
 
   localStorage.setItem(
     userKey(userId),
-    JSON.stringify({ profile, expenses, budget, updatedAt: new Date().toISOString() })
+    JSON.stringify({ ...record, updatedAt: new Date().toISOString() })
   );
 }
 
@@ -2,6 +2,10 @@
  * Validation utilities for Expense Tracker
  * Author: Prem Pagare | Arizona State University
  */
+import { DEFAULT_CATEGORIES } from './categories';
+import { formatCurrency, getTodayString, isCalendarDate } from './formatters';
+import { splitRemainder } from './splits';
+import { ME } from './sharing';
 
 export const VALIDATION_RULES = {
   title: {
@@ -13,6 +17,14 @@ export const VALIDATION_RULES = {
     required: true,
     min: 0.01,
     max: 1_000_000,
+    // Currencies where a million units is not a large sum
+    maxByCurrency: {
+      INR: 100_000_000,
+      JPY: 150_000_000,
+      KRW: 1_500_000_000,
+      NGN: 1_500_000_000,
+      VND: 25_000_000_000,
+    },
     isPositiveNumber: true,
   },
   category: {
@@ -21,9 +33,29 @@ export const VALIDATION_RULES = {
   description: {
     maxLength: 300,
   },
+  tags: {
+    maxCount: 10,
+    maxLength: 30,
+  },
+  splits: {
+    minLines: 2,
+    maxLines: 12,
+  },
+  shared: {
+    maxPeople: 20,
+  },
 };
 
-export function validateExpense(formData) {
+function maxAmount(currency) {
+  return VALIDATION_RULES.amount.maxByCurrency[currency] ?? VALIDATION_RULES.amount.max;
+}
+
+/**
+ * @param {object[]} categories  the user's categories (see categories.js)
+ * @param {{ allowFuture?: boolean }} options
+ *        allowFuture — the date starts a recurring series, which may begin later
+ */
+export function validateExpense(formData, categories = DEFAULT_CATEGORIES, { allowFuture = false } = {}) {
   const errors = {};
 
   // Title validation
@@ -45,16 +77,29 @@ export function validateExpense(formData) {
       errors.amount = 'Amount must be a valid number.';
     } else if (numericAmount <= 0) {
       errors.amount = 'Amount must be greater than zero.';
-    } else if (numericAmount > VALIDATION_RULES.amount.max) {
-      errors.amount = `Amount cannot exceed $${VALIDATION_RULES.amount.max.toLocaleString()}.`;
+    } else if (numericAmount > maxAmount(formData.currency)) {
+      errors.amount = `Amount cannot exceed ${formatCurrency(maxAmount(formData.currency), 'en-US', formData.currency || 'USD')}.`;
     } else if (!/^\d+(\.\d{1,2})?$/.test(String(rawAmount).trim())) {
       errors.amount = 'Amount must be a positive number (up to 2 decimal places).';
     }
   }
 
-  // Category validation
-  if (!formData.category || formData.category === '') {
+  // Category validation — a split expense is checked line by line instead
+  if (Array.isArray(formData.splits) && formData.splits.length > 0) {
+    const splitError = validateSplits(formData, categories);
+    if (splitError) errors.splits = splitError;
+  } else if (!formData.category || formData.category === '') {
     errors.category = 'Please select a category.';
+  } else if (categories.find((c) => c.id === formData.category)?.type !== (formData.type || 'expense')) {
+    errors.category = formData.type === 'income'
+      ? 'Please select an income category.'
+      : 'Please select an expense category.';
+  }
+
+  // Sharing (expenses only)
+  if (formData.shared && (formData.type || 'expense') === 'expense') {
+    const sharedError = validateShared(formData);
+    if (sharedError) errors.shared = sharedError;
   }
 
   // Description (optional but capped)
@@ -62,6 +107,14 @@ export function validateExpense(formData) {
     errors.description = `Description cannot exceed ${VALIDATION_RULES.description.maxLength} characters.`;
   }
 
+  // Tags (optional) — already normalised by the tag input
+  const tags = formData.tags || [];
+  if (tags.length > VALIDATION_RULES.tags.maxCount) {
+    errors.tags = `Use at most ${VALIDATION_RULES.tags.maxCount} tags.`;
+  } else if (tags.some((t) => t.length > VALIDATION_RULES.tags.maxLength)) {
+    errors.tags = `Tags cannot exceed ${VALIDATION_RULES.tags.maxLength} characters.`;
+  }
+
   // Date validation
   if (!formData.date) {
     errors.date = 'Date is required.';
@@ -69,7 +122,9 @@ export function validateExpense(formData) {
     const selectedDate = new Date(formData.date);
     const today = new Date();
     today.setHours(23, 59, 59, 999);
-    if (selectedDate > today) {
+    if (isNaN(selectedDate) || !isCalendarDate(formData.date)) {
+      errors.date = 'Enter a real date (YYYY-MM-DD).';
+    } else if (!allowFuture && selectedDate > today) {
       errors.date = 'Date cannot be in the future.';
     }
   }
@@ -79,3 +134,136 @@ export function validateExpense(formData) {
     errors,
   };
 }
+
+/**
+ * Checks the line items of a split expense: enough lines, each with a
+ * category of the right type and a positive amount, adding up to the total.
+ * Returns the first problem found, or null.
+ */
+function validateSplits(formData, categories) {
+  const { splits } = formData;
+  const type = formData.type || 'expense';
+  const { minLines, maxLines } = VALIDATION_RULES.splits;
+
+  if (splits.length < minLines) return `Add at least ${minLines} line items, or stop splitting.`;
+  if (splits.length > maxLines) return `Use at most ${maxLines} line items.`;
+
+  for (const [i, line] of splits.entries()) {
+    if (!line.category) return `Pick a category for line ${i + 1}.`;
+    if (categories.find((c) => c.id === line.category)?.type !== type) {
+      return `Line ${i + 1} needs ${type === 'income' ? 'an income' : 'an expense'} category.`;
+    }
+    const n = Number(line.amount);
+    if (line.amount === '' || isNaN(n) || n <= 0 || !/^\d+(\.\d{1,2})?$/.test(String(line.amount).trim())) {
+      return `Enter a positive amount (up to 2 decimal places) for line ${i + 1}.`;
+    }
+  }
+
+  // Only meaningful once the total itself is a valid number
+  if (isNaN(Number(formData.amount)) || Number(formData.amount) <= 0) return null;
+  const left = splitRemainder(splits, formData.amount);
+  if (left !== 0) {
+    const diff = formatCurrency(Math.abs(left), 'en-US', formData.currency || 'USD');
+    return left > 0
+      ? `Line items are ${diff} short of the total.`
+      : `Line items are ${diff} over the total.`;
+  }
+  return null;
+}
+
+/**
+ * Checks how a shared expense is divided: someone besides you is involved,
+ * and percentages add up to 100 or exact shares to the total.
+ * Returns the first problem found, or null.
+ */
+function validateShared(formData) {
+  const { paidBy, method, shares } = formData.shared;
+  const people = shares.map((s) => s.person);
+
+  if (!paidBy) return 'Choose who paid.';
+  if (!shares.length) return 'Choose who this is shared between.';
+  if (!people.some((p) => p !== ME) && paidBy === ME) return 'Add at least one other person to share with.';
+  if (people.length > VALIDATION_RULES.shared.maxPeople) {
+    return `Share between at most ${VALIDATION_RULES.shared.maxPeople} people.`;
+  }
+  if (method === 'equal') return null;
+
+  for (const s of shares) {
+    const n = Number(s.value);
+    if (s.value === '' || isNaN(n) || n < 0 || !/^\d+(\.\d{1,2})?$/.test(String(s.value).trim())) {
+      return method === 'percent'
+        ? 'Enter a percentage (up to 2 decimal places) for everyone.'
+        : 'Enter an amount (up to 2 decimal places) for everyone.';
+    }
+  }
+
+  const sum = Math.round(shares.reduce((t, s) => t + Number(s.value), 0) * 100) / 100;
+  if (method === 'percent') {
+    return sum === 100 ? null : `Percentages add up to ${sum}%, not 100%.`;
+  }
+  // Only meaningful once the total itself is a valid number
+  if (isNaN(Number(formData.amount)) || Number(formData.amount) <= 0) return null;
+  const left = Math.round((Number(formData.amount) - sum) * 100) / 100;
+  if (left !== 0) {
+    const diff = formatCurrency(Math.abs(left), 'en-US', formData.currency || 'USD');
+    return left > 0 ? `Shares are ${diff} short of the total.` : `Shares are ${diff} over the total.`;
+  }
+  return null;
+}
+
+/** Checks a settle-up payment before it is recorded. */
+export function validateSettlement({ from, to, amount, currency, date }) {
+  const errors = {};
+
+  if (!from || !to) {
+    errors.people = 'Choose who paid and who received it.';
+  } else if (from === to) {
+    errors.people = 'Someone cannot settle up with themselves.';
+  }
+
+  const n = Number(amount);
+  if (amount === '' || isNaN(n) || n <= 0 || !/^\d+(\.\d{1,2})?$/.test(String(amount).trim())) {
+    errors.amount = 'Enter a positive amount (up to 2 decimal places).';
+  } else if (n > maxAmount(currency)) {
+    errors.amount = `Amount cannot exceed ${formatCurrency(maxAmount(currency), 'en-US', currency || 'USD')}.`;
+  }
+
+  if (!date) {
+    errors.date = 'Date is required.';
+  } else if (date > getTodayString()) {
+    errors.date = 'Date cannot be in the future.';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+export function validateRecurrence({ frequency, startDate, ends, endDate, count }) {
+  const errors = {};
+
+  if (!frequency) {
+    errors.frequency = 'Please choose how often this repeats.';
+  }
+
+  if (ends === 'on') {
+    if (!endDate) {
+      errors.endDate = 'End date is required.';
+    } else if (startDate && endDate < startDate) {
+      errors.endDate = 'End date cannot be before the first occurrence.';
+    }
+  }
+
+  if (ends === 'after') {
+    const n = Number(count);
+    if (!Number.isInteger(n) || n < 1 || n > 999) {
+      errors.count = 'Occurrences must be a whole number between 1 and 999.';
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Filter views — the expense list's filters in the URL and as saved views
+ * Author: Prem Pagare | Arizona State University
+ *
+ * The filter and sort state round-trips through the query string, so a
+ * view is linkable and survives a reload:
+ *
+ *   ?cat=food,transport&tag=trip&q=coffee&from=2026-03-01&to=2026-03-31&min=5&max=50&sort=amount_desc
+ *
+ * Fields at their default are left out, so the unfiltered list has a bare
+ * URL. Saved views are kept per account next to the expenses:
+ *
+ *   { id, name, filters: { filterCategories, filterTags, searchQuery,
+ *                          dateRange, amountRange, sortBy },
+ *     createdAt, updatedAt }
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { SORT_OPTIONS } from './constants';
+import { EMPTY_DATE_RANGE, EMPTY_AMOUNT_RANGE } from './filters';
+
+export const DEFAULT_FILTERS = {
+  filterCategories: [],
+  filterTags:       [],
+  searchQuery:      '',
+  dateRange:        EMPTY_DATE_RANGE,
+  amountRange:      EMPTY_AMOUNT_RANGE,
+  sortBy:           'date_desc',
+};
+
+export const VIEW_NAME_MAX = 40;
+
+const DATE_RE   = /^\d{4}-\d{2}-\d{2}$/;
+const AMOUNT_RE = /^\d+(\.\d+)?$/;
+
+// Our keys in the query string — anything else there is left alone
+const PARAMS = ['cat', 'tag', 'q', 'from', 'to', 'min', 'max', 'sort'];
+
+/** Just the filter fields of the state (or of anything shaped like it). */
+export function pickFilters(state) {
+  return Object.fromEntries(Object.keys(DEFAULT_FILTERS).map((k) => [k, state[k] ?? DEFAULT_FILTERS[k]]));
+}
+
+/**
+ * The query string for a set of filters, keeping any other parameters of
+ * `current`; '' when nothing is left.
+ */
+export function filtersToSearch(filters, current = '') {
+  const params = new URLSearchParams(current);
+  PARAMS.forEach((p) => params.delete(p));
+
+  const { filterCategories, filterTags, searchQuery, dateRange, amountRange, sortBy } = filters;
+  if (filterCategories.length) params.set('cat', filterCategories.join(','));
+  if (filterTags.length)       params.set('tag', filterTags.join(','));
+  if (searchQuery)             params.set('q', searchQuery);
+  if (dateRange.from)          params.set('from', dateRange.from);
+  if (dateRange.to)            params.set('to', dateRange.to);
+  if (amountRange.min)         params.set('min', amountRange.min);
+  if (amountRange.max)         params.set('max', amountRange.max);
+  if (sortBy !== DEFAULT_FILTERS.sortBy) params.set('sort', sortBy);
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+/**
+ * The filters a query string describes, from DEFAULT_FILTERS. Values that
+ * do not fit — a made-up sort, a malformed date — are ignored.
+ */
+export function filtersFromSearch(search) {
+  const params = new URLSearchParams(search);
+  const list   = (p) => (params.get(p) ?? '').split(',').filter(Boolean);
+  const valid  = (p, re) => (re.test(params.get(p) ?? '') ? params.get(p) : '');
+  const sort   = params.get('sort');
+
+  return {
+    filterCategories: list('cat'),
+    filterTags:       list('tag'),
+    searchQuery:      params.get('q') ?? '',
+    dateRange:        { from: valid('from', DATE_RE),  to:  valid('to', DATE_RE) },
+    amountRange:      { min:  valid('min', AMOUNT_RE), max: valid('max', AMOUNT_RE) },
+    sortBy:           SORT_OPTIONS.some((o) => o.value === sort) ? sort : DEFAULT_FILTERS.sortBy,
+  };
+}
+
+/** True when two sets of filters list the same entries in the same order. */
+export function sameFilters(a, b) {
+  const key = (f) => {
+    const picked = pickFilters(f);
+    return JSON.stringify({
+      ...picked,
+      filterCategories: [...picked.filterCategories].sort(),
+      filterTags:       [...picked.filterTags].sort(),
+      searchQuery:      picked.searchQuery.trim(),
+    });
+  };
+  return key(a) === key(b);
+}
+
+export function validateViewName(name) {
+  const trimmed = name.trim();
+  if (!trimmed) return 'Give the view a name';
+  if (trimmed.length > VIEW_NAME_MAX) return `Keep the name under ${VIEW_NAME_MAX} characters`;
+  return '';
+}
+
+export function createView(name, filters) {
+  const now = new Date().toISOString();
+  return { id: uuidv4(), name: name.trim(), filters: pickFilters(filters), createdAt: now, updatedAt: now };
+}
+
+/** The view pointed at new filters — saving again under a name already in use. */
+export function updateView(view, filters) {
+  return { ...view, filters: pickFilters(filters), updatedAt: new Date().toISOString() };
+}